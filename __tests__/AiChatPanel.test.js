@@ -0,0 +1,148 @@
+/**
+ * @jest-environment ./__tests__/support/jsdomEnvironment.js
+ */
+import React from 'react';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import AiChatPanel from '../components/AiChatPanel';
+import { startMockBackend, routeApiTo, seedOutlets, htmlErrorResponse } from './support/mockBackend';
+import fixtures from '../mock/fixtures/outlets.json';
+import { AI_CONFIG } from '../variables';
+
+const outlets = fixtures.map((fixture, index) => ({ id: index + 1, ...fixture }));
+
+let backend;
+let restoreFetch;
+
+beforeAll(async () => {
+  backend = await startMockBackend();
+  await seedOutlets(backend.url, outlets);
+  Element.prototype.scrollIntoView = jest.fn(); // not implemented by jsdom
+});
+
+afterAll(() => backend.stop());
+
+beforeEach(() => {
+  window.localStorage.clear();
+  restoreFetch = routeApiTo(backend.url);
+});
+
+afterEach(() => restoreFetch());
+
+const ask = async (question) => {
+  const user = userEvent.setup();
+  await user.type(screen.getByPlaceholderText(/Ask a/), question);
+  await user.click(screen.getByRole('button', { name: 'Ask AI' }));
+};
+
+describe('AiChatPanel', () => {
+  it('streams the answer and highlights the outlets it mentions', async () => {
+    const onHighlightOutlets = jest.fn();
+    render(<AiChatPanel outlets={outlets} onHighlightOutlets={onHighlightOutlets} />);
+
+    await ask('Which outlets are in Bangsar?');
+
+    // Shown both as the chat message and as the conversation's title
+    expect(screen.getAllByText('Which outlets are in Bangsar?').length).toBeGreaterThan(0);
+    expect(await screen.findByText(/I found 1 matching outlet/)).toBeInTheDocument();
+    await screen.findByRole('button', { name: 'Ask AI' }); // streaming finished
+
+    const bangsar = outlets.find((outlet) => outlet.name.includes('Bangsar'));
+    expect(screen.getByRole('button', { name: bangsar.name })).toBeInTheDocument();
+    expect(onHighlightOutlets).toHaveBeenLastCalledWith(new Set([bangsar.id]));
+
+    const [, init] = global.fetch.mock.calls.at(-1);
+    expect(JSON.parse(init.body)).toMatchObject({ query: 'Which outlets are in Bangsar?', stream: true });
+  });
+
+  it('sends earlier turns as history for follow-up questions', async () => {
+    render(<AiChatPanel outlets={outlets} />);
+
+    await ask('Outlets in Bangsar');
+    await screen.findByRole('button', { name: 'Ask AI' });
+    await ask('And in Subang?');
+
+    expect(await screen.findByText(/2 earlier message\(s\) taken into account/)).toBeInTheDocument();
+  });
+
+  it('leaves a stopped answer out of the history and highlights only finished answers', async () => {
+    window.localStorage.setItem(AI_CONFIG.STORAGE_KEY, JSON.stringify([{
+      id: 'c1',
+      title: 'Outlets in Bangsar',
+      messages: [
+        { id: 'm1', role: 'user', content: 'Outlets in Bangsar' },
+        { id: 'm2', role: 'assistant', content: 'There is one outlet in Bangsar.' },
+        { id: 'm3', role: 'user', content: 'Which are open 24 hours?' },
+        { id: 'm4', role: 'assistant', content: 'I found', cancelled: true },
+      ],
+    }]));
+    const onHighlightOutlets = jest.fn();
+    render(<AiChatPanel outlets={outlets} onHighlightOutlets={onHighlightOutlets} />);
+    expect(await screen.findByText('Stopped')).toBeInTheDocument();
+
+    await ask('And in Subang?');
+
+    expect(await screen.findByText(/3 earlier message\(s\) taken into account/)).toBeInTheDocument();
+    await screen.findByRole('button', { name: 'Ask AI' });
+    const subang = outlets.filter((outlet) => /subang/i.test(`${outlet.name} ${outlet.address}`));
+    // Once on mount with nothing to highlight, then once for the finished answer
+    expect(onHighlightOutlets).toHaveBeenCalledTimes(2);
+    expect(onHighlightOutlets).toHaveBeenLastCalledWith(new Set(subang.map((outlet) => outlet.id)));
+  });
+
+  it('shows an answer left pending by a closed page as interrupted', async () => {
+    window.localStorage.setItem(AI_CONFIG.STORAGE_KEY, JSON.stringify([{
+      id: 'c1',
+      title: 'Outlets in Bangsar',
+      messages: [
+        { id: 'm1', role: 'user', content: 'Outlets in Bangsar' },
+        { id: 'm2', role: 'assistant', content: 'I found', pending: true },
+      ],
+    }]));
+    render(<AiChatPanel outlets={outlets} />);
+
+    expect(await screen.findByText(/Interrupted when the page closed/)).toBeInTheDocument();
+    expect(screen.queryByText(/The AI is thinking/)).not.toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Ask AI' })).toBeInTheDocument();
+
+    await ask('Outlets in Bangsar');
+    // The earlier question only, not the interrupted answer
+    expect(await screen.findByText(/1 earlier message\(s\) taken into account/)).toBeInTheDocument();
+    await screen.findByRole('button', { name: 'Ask AI' });
+  });
+
+  it('shows a readable error when the gateway answers with an HTML page', async () => {
+    global.fetch.mockResolvedValueOnce(htmlErrorResponse(502));
+    render(<AiChatPanel outlets={outlets} />);
+
+    await ask('Any drive-thru outlets?');
+
+    expect(await screen.findByText('HTTP error! status: 502')).toBeInTheDocument();
+    expect(screen.queryByText(/<html>/)).not.toBeInTheDocument();
+  });
+
+  it('shows plain-text error bodies as they are', async () => {
+    global.fetch.mockResolvedValueOnce(new Response('Internal Server Error', {
+      status: 500,
+      headers: { 'Content-Type': 'text/plain' },
+    }));
+    render(<AiChatPanel outlets={outlets} />);
+
+    await ask('Any drive-thru outlets?');
+
+    expect(await screen.findByText('Internal Server Error')).toBeInTheDocument();
+  });
+
+  it('reports FastAPI validation errors by field', async () => {
+    render(<AiChatPanel outlets={outlets} />);
+    global.fetch.mockImplementationOnce(() => fetch(`${backend.url}/api/v1/search`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ query: ' ' }),
+    }));
+
+    await ask('Anything');
+
+    await waitFor(() => expect(screen.getByText('query: field required')).toBeInTheDocument());
+  });
+});
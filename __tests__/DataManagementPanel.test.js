@@ -0,0 +1,155 @@
+/**
+ * @jest-environment ./__tests__/support/jsdomEnvironment.js
+ */
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import DataManagementPanel from '../components/DataManagementPanel';
+import { LocaleProvider } from '../hooks/useTranslation';
+import { startMockBackend, routeApiTo, seedOutlets, htmlErrorResponse } from './support/mockBackend';
+import fixtures from '../mock/fixtures/outlets.json';
+
+let backend;
+let restoreFetch;
+
+const storedTotal = async () => (await (await fetch(`${backend.url}/outlets`)).json()).total;
+
+beforeAll(async () => {
+  backend = await startMockBackend();
+  // jsdom has no object URLs or downloads; the snapshot only needs to be offered
+  URL.createObjectURL = jest.fn(() => 'blob:snapshot');
+  URL.revokeObjectURL = jest.fn();
+  jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+});
+
+afterAll(() => backend.stop());
+
+beforeEach(async () => {
+  await fetch(`${backend.url}/outlets`, { method: 'DELETE' });
+  await seedOutlets(backend.url, fixtures);
+  restoreFetch = routeApiTo(backend.url);
+});
+
+afterEach(() => restoreFetch());
+
+// Open the panel, scope the delete to a search term and take the snapshot
+const prepareDelete = async (user, term) => {
+  await user.click(screen.getByRole('button', { name: /Manage Stored Data/ }));
+  await user.click(await screen.findByRole('radio', { name: 'By search term' }));
+  await user.type(screen.getByPlaceholderText('e.g. Petaling Jaya'), term);
+  await user.click(screen.getByRole('button', { name: /Download JSON snapshot/ }));
+  await user.type(screen.getByLabelText(/to confirm/), term);
+};
+
+const deleteCalls = () => global.fetch.mock.calls.filter(([, init]) => init?.method === 'DELETE');
+
+describe('DataManagementPanel', () => {
+  it('deletes only the outlets in scope and starts the rescrape', async () => {
+    const user = userEvent.setup();
+    const onDataChanged = jest.fn();
+    const onRescrape = jest.fn(async (searchTerm) => ({ searchTerm }));
+    render(<DataManagementPanel onDataChanged={onDataChanged} onRescrape={onRescrape} />);
+
+    await prepareDelete(user, 'Petaling Jaya');
+    expect(screen.getByText(/stored outlets will be deleted/)).toHaveTextContent(`2 of ${fixtures.length} stored outlets`);
+    await user.click(screen.getByRole('button', { name: 'Delete 2 outlets & Rescrape' }));
+
+    expect(await screen.findByText('Deleted outlets matching "Petaling Jaya" (2).')).toBeInTheDocument();
+    expect(screen.getByText(/Rescrape of "Petaling Jaya" started/)).toBeInTheDocument();
+    expect(onRescrape).toHaveBeenCalledWith('Petaling Jaya');
+    expect(onDataChanged).toHaveBeenCalled();
+    expect(HTMLAnchorElement.prototype.click).toHaveBeenCalled();
+    expect(await storedTotal()).toBe(fixtures.length - 2);
+    // One call per outlet by id, never the unscoped DELETE /outlets
+    expect(deleteCalls().map(([url]) => url)).toEqual([
+      expect.stringMatching(/\/outlets\/\d+$/),
+      expect.stringMatching(/\/outlets\/\d+$/),
+    ]);
+  });
+
+  it('deletes exactly the outlets the region preview counted', async () => {
+    await seedOutlets(backend.url, [
+      { name: "McDonald's Jalan Selangor", address: 'Jalan Selangor, 50480 Kuala Lumpur', latitude: 3.16, longitude: 101.68 },
+    ]);
+    const selangor = fixtures.filter((fixture) => fixture.address.endsWith('Selangor')).length;
+    const user = userEvent.setup();
+    render(<DataManagementPanel onDataChanged={jest.fn()} onRescrape={jest.fn()} />);
+
+    await user.click(screen.getByRole('button', { name: /Manage Stored Data/ }));
+    await user.selectOptions(await screen.findByRole('combobox'), 'Selangor');
+    expect(screen.getByText(/stored outlets will be deleted/)).toHaveTextContent(`${selangor} of ${fixtures.length + 1} stored outlets`);
+    await user.click(screen.getByRole('checkbox'));
+    await user.click(screen.getByRole('button', { name: /Download JSON snapshot/ }));
+    await user.type(screen.getByLabelText(/to confirm/), 'Selangor');
+    await user.click(screen.getByRole('button', { name: `Delete ${selangor} outlets` }));
+
+    expect(await screen.findByText(`Deleted outlets in Selangor (${selangor}).`)).toBeInTheDocument();
+    // The Kuala Lumpur outlet on Jalan Selangor stays
+    expect(await storedTotal()).toBe(fixtures.length + 1 - selangor);
+  });
+
+  it('stops at the first failed delete without retrying it', async () => {
+    const user = userEvent.setup();
+    const passThrough = global.fetch.getMockImplementation();
+    global.fetch.mockImplementation((input, init) => (
+      init?.method === 'DELETE'
+        ? Promise.resolve(htmlErrorResponse(503))
+        : passThrough(input, init)
+    ));
+    const onRescrape = jest.fn();
+    render(<DataManagementPanel onDataChanged={jest.fn()} onRescrape={onRescrape} />);
+
+    await prepareDelete(user, 'Petaling Jaya');
+    await user.click(screen.getByRole('button', { name: 'Delete 2 outlets & Rescrape' }));
+
+    expect(await screen.findByText('HTTP error! status: 503')).toBeInTheDocument();
+    expect(deleteCalls()).toHaveLength(1);
+    expect(onRescrape).not.toHaveBeenCalled();
+    expect(await storedTotal()).toBe(fixtures.length);
+  });
+
+  it('keeps delete disabled until a snapshot was downloaded', async () => {
+    const user = userEvent.setup();
+    render(<DataManagementPanel onDataChanged={jest.fn()} onRescrape={jest.fn()} />);
+
+    await user.click(screen.getByRole('button', { name: /Manage Stored Data/ }));
+    await user.click(await screen.findByRole('radio', { name: 'By search term' }));
+    await user.type(screen.getByPlaceholderText('e.g. Petaling Jaya'), 'Klang');
+
+    expect(screen.getByLabelText(/to confirm/)).toBeDisabled();
+    expect(screen.getByRole('button', { name: 'Delete 1 outlet & Rescrape' })).toBeDisabled();
+    expect(screen.getByText('Download a snapshot before deleting.')).toBeInTheDocument();
+  });
+
+  it('renders in Bahasa Malaysia', async () => {
+    const user = userEvent.setup();
+    render(<LocaleProvider value="ms"><DataManagementPanel onDataChanged={jest.fn()} onRescrape={jest.fn()} /></LocaleProvider>);
+
+    await user.click(screen.getByRole('button', { name: /Urus Data Tersimpan/ }));
+    await user.click(await screen.findByRole('radio', { name: 'Mengikut istilah carian' }));
+    await user.type(screen.getByPlaceholderText('cth. Petaling Jaya'), 'Klang');
+
+    expect(screen.getByText(/outlet tersimpan akan dipadam/)).toHaveTextContent(`1 daripada ${fixtures.length} outlet tersimpan`);
+    expect(screen.getByLabelText('4. Taip Klang untuk mengesahkan')).toBeDisabled();
+    expect(screen.getByRole('button', { name: 'Padam 1 outlet & Scrape semula' })).toBeDisabled();
+  });
+
+  it('shows plain-text error bodies and leaves the data alone', async () => {
+    const user = userEvent.setup();
+    const passThrough = global.fetch.getMockImplementation();
+    global.fetch.mockImplementation((input, init) => (
+      init?.method === 'DELETE'
+        ? Promise.resolve(new Response('Forbidden', { status: 403, headers: { 'Content-Type': 'text/plain' } }))
+        : passThrough(input, init)
+    ));
+    const onDataChanged = jest.fn();
+    render(<DataManagementPanel onDataChanged={onDataChanged} onRescrape={jest.fn()} />);
+
+    await prepareDelete(user, 'Klang');
+    await user.click(screen.getByRole('button', { name: 'Delete 1 outlet & Rescrape' }));
+
+    expect(await screen.findByText('Forbidden')).toBeInTheDocument();
+    expect(onDataChanged).not.toHaveBeenCalled();
+    expect(await storedTotal()).toBe(fixtures.length);
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * @jest-environment ./__tests__/support/jsdomEnvironment.js
+ */
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import DataQuality from '../pages/data-quality';
+import SignIn from '../pages/signin';
+import { LocaleProvider } from '../hooks/useTranslation';
+import { findDataQualityIssues } from '../lib/dataQuality';
+
+const mockRouter = { pathname: '/data-quality', asPath: '/data-quality', query: {}, locale: 'ms', locales: ['en', 'ms'], replace: jest.fn(), push: jest.fn() };
+jest.mock('next/router', () => ({ useRouter: () => mockRouter }));
+jest.mock('next-auth/react', () => ({ signIn: jest.fn() }));
+// Server-only; the page uses it in getServerSideProps
+jest.mock('../lib/auth', () => ({ isSignInRequired: () => false }));
+
+const complete = { operating_hours: '24 Hours', telephone: '03-1', waze_link: 'https://waze.com/ul?ll=3.1,101.7' };
+const OUTLETS = [
+  { id: 1, name: 'Outlet 1', address: 'Address 1', latitude: null, longitude: 101.6, ...complete },
+  { id: 2, name: 'Outlet 2', address: 'Address 2', latitude: 0, longitude: 0, ...complete },
+  { id: 3, name: 'Outlet 3', address: 'Address 3', latitude: 3.139, longitude: 101.6869, ...complete, telephone: '' },
+];
+
+// The props getServerSideProps would send
+const pageProps = () => ({
+  total: OUTLETS.length,
+  flagged: findDataQualityIssues(OUTLETS).map(({ outlet, issues }) => ({
+    id: outlet.id,
+    name: outlet.name,
+    address: outlet.address,
+    isPlottable: outlet.latitude !== null && outlet.latitude !== 0,
+    issues: issues.map((issue) => ({ ...issue, related: [] })),
+  })),
+});
+
+describe('pages in Bahasa Malaysia', () => {
+  it('renders the data-quality report', () => {
+    render(<LocaleProvider value="ms"><DataQuality {...pageProps()} /></LocaleProvider>);
+
+    expect(screen.getByRole('heading', { name: 'Kualiti data' })).toBeInTheDocument();
+    expect(screen.getByText('3 daripada 3 outlet tersimpan mempunyai masalah.')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Koordinat tidak sah (1)' })).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Di luar Malaysia (1)' })).toBeInTheDocument();
+    expect(screen.getByText('Koordinat tiada atau bukan nombor (tiada latitud, 101.6)')).toBeInTheDocument();
+    expect(screen.getByText(/0, 0 berada di luar Malaysia \(0, 0 biasanya bermaksud geokod gagal\)/)).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Tiada nombor telefon (1)' })).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'BM' })).toHaveAttribute('aria-pressed', 'true');
+  });
+
+  it('renders the sign-in form and its errors', () => {
+    mockRouter.query = { error: 'CredentialsSignin' };
+    render(<LocaleProvider value="ms"><SignIn canBrowseSignedOut /></LocaleProvider>);
+
+    expect(screen.getByRole('heading', { name: 'Log masuk' })).toBeInTheDocument();
+    expect(screen.getByRole('alert')).toHaveTextContent('Nama pengguna atau kata laluan salah.');
+    expect(screen.getByLabelText('Nama pengguna')).toBeInTheDocument();
+    expect(screen.getByLabelText('Kata laluan')).toBeInTheDocument();
+    expect(screen.getByRole('link', { name: 'Teruskan tanpa log masuk' })).toBeInTheDocument();
+  });
+});
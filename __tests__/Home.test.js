@@ -0,0 +1,259 @@
+/**
+ * @jest-environment ./__tests__/support/jsdomEnvironment.js
+ */
+import React from 'react';
+import { render, screen, waitFor, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import Home from '../pages/index';
+import { LocaleProvider } from '../hooks/useTranslation';
+import { startMockBackend, routeApiTo, seedOutlets, htmlErrorResponse } from './support/mockBackend';
+import fixtures from '../mock/fixtures/outlets.json';
+
+// Leaflet needs a real layout engine; the map is covered by the end-to-end test
+let mockMapProps = null;
+jest.mock('next/dynamic', () => () => function OutletMapStub(props) {
+  mockMapProps = props;
+  return null;
+});
+
+const mockRouter = {
+  isReady: true,
+  pathname: '/',
+  asPath: '/',
+  query: {},
+  locale: 'en',
+  locales: ['en', 'ms'],
+  // Shallow replaces update the query the way Next.js does
+  replace: jest.fn((url) => {
+    mockRouter.query = url.query;
+    return Promise.resolve(true);
+  }),
+  push: jest.fn(),
+};
+// A copy per render, like Next.js, so code holding on to an old router is caught
+jest.mock('next/router', () => ({ useRouter: () => ({ ...mockRouter }) }));
+let mockSession = null;
+jest.mock('next-auth/react', () => ({
+  useSession: () => (mockSession ? { data: mockSession, status: 'authenticated' } : { data: null, status: 'unauthenticated' }),
+  signOut: jest.fn(),
+}));
+
+let backend;
+let restoreFetch;
+
+beforeAll(async () => {
+  backend = await startMockBackend();
+  await seedOutlets(backend.url, fixtures);
+  global.ResizeObserver = class {
+    observe() {}
+    disconnect() {}
+  };
+  Element.prototype.scrollIntoView = jest.fn();
+  // jsdom does not scroll; move scrollTop so the virtualized list follows
+  Element.prototype.scrollTo = jest.fn(function scrollTo({ top }) {
+    this.scrollTop = top;
+    this.dispatchEvent(new Event('scroll'));
+  });
+});
+
+afterAll(() => backend.stop());
+
+beforeEach(() => {
+  mockRouter.query = {};
+  mockSession = null;
+  window.localStorage.clear();
+  restoreFetch = routeApiTo(backend.url);
+});
+
+afterEach(() => restoreFetch());
+
+const outletList = () => screen.getByRole('heading', { name: /Available Outlets/ }).parentElement;
+
+describe('Home', () => {
+  it('loads the stored outlets and narrows the list and map with the search filter', async () => {
+    render(<Home />);
+
+    expect(await screen.findByRole('heading', { name: `Available Outlets (${fixtures.length})` })).toBeInTheDocument();
+    expect(mockMapProps.outlets).toHaveLength(fixtures.length);
+
+    await userEvent.setup().type(screen.getByLabelText('Filter outlets by name or address'), 'petaling jaya');
+
+    expect(screen.getByRole('heading', { name: 'Available Outlets (2)' })).toBeInTheDocument();
+    const names = within(outletList()).getAllByText(/^McDonald's /).map((node) => node.textContent);
+    expect(names.sort()).toEqual(["McDonald's Damansara Uptown", "McDonald's Petaling Jaya SS2"]);
+    expect(mockMapProps.visibleOutletIds.size).toBe(2);
+  });
+
+  it('gives the map every outlet while the list pages through them', async () => {
+    const many = Array.from({ length: 120 }, (_, i) => ({
+      id: i + 1,
+      name: `McDonald's Outlet ${String(i + 1).padStart(3, '0')}`,
+      address: `${i + 1} Jalan Test, Kuala Lumpur`,
+      latitude: 3 + i / 1000,
+      longitude: 101.5,
+    }));
+    global.fetch.mockImplementation((input) => {
+      const params = new URL(String(input), 'http://localhost').searchParams;
+      const perPage = Number(params.get('per_page'));
+      const start = (Number(params.get('page')) - 1) * perPage;
+      return Promise.resolve(Response.json({ outlets: many.slice(start, start + perPage), total: many.length }));
+    });
+    render(<Home />);
+
+    expect(await screen.findByRole('heading', { name: 'Available Outlets (120) Showing 50 of 120' })).toBeInTheDocument();
+    await waitFor(() => expect(mockMapProps.outlets).toHaveLength(120));
+
+    await userEvent.setup().type(screen.getByLabelText('Filter outlets by name or address'), 'Outlet 11');
+
+    expect(screen.getByRole('heading', { name: 'Available Outlets (10)' })).toBeInTheDocument();
+    expect(mockMapProps.visibleOutletIds.size).toBe(10);
+  });
+
+  it('selects an outlet from a link even when it is past the loaded pages', async () => {
+    const many = Array.from({ length: 120 }, (_, i) => ({
+      id: i + 1,
+      name: `McDonald's Outlet ${String(i + 1).padStart(3, '0')}`,
+      latitude: 3 + i / 1000,
+      longitude: 101.5,
+    }));
+    global.fetch.mockImplementation((input) => {
+      const params = new URL(String(input), 'http://localhost').searchParams;
+      const perPage = Number(params.get('per_page'));
+      const start = (Number(params.get('page')) - 1) * perPage;
+      return Promise.resolve(Response.json({ outlets: many.slice(start, start + perPage), total: many.length }));
+    });
+    mockRouter.query = { outlet: '110' };
+    render(<Home />);
+
+    // The list leaves paging to show the selected outlet
+    expect(await screen.findByRole('heading', { name: 'Available Outlets (120)' })).toBeInTheDocument();
+    expect(mockMapProps.selectedOutletId).toBe('110');
+    expect(mockMapProps.outlets.some((outlet) => outlet.id === 110)).toBe(true);
+    await waitFor(() => expect(screen.getByText("McDonald's Outlet 110").closest('[role="button"]')).toHaveAttribute('aria-current', 'true'));
+  });
+
+  it('diffs an imported file against every outlet, not only the loaded pages', async () => {
+    mockSession = { user: { name: 'Admin', role: 'admin' } };
+    const many = Array.from({ length: 120 }, (_, i) => ({
+      id: i + 1,
+      name: `McDonald's Outlet ${i + 1}`,
+      latitude: 3 + i / 1000,
+      longitude: 101.5,
+    }));
+    global.fetch.mockImplementation((input) => {
+      const url = new URL(String(input), 'http://localhost');
+      if (!url.pathname.endsWith('/outlets')) return Promise.resolve(Response.json({}));
+      const perPage = Number(url.searchParams.get('per_page'));
+      const start = (Number(url.searchParams.get('page')) - 1) * perPage;
+      return Promise.resolve(Response.json({ outlets: many.slice(start, start + perPage), total: many.length }));
+    });
+    const user = userEvent.setup();
+    render(<Home />);
+
+    const importButton = await screen.findByRole('button', { name: 'Import...' });
+    await waitFor(() => expect(importButton).toBeEnabled());
+    const csv = "ID,Name,Latitude,Longitude\n120,McDonald's Outlet 120,3.119,101.5";
+    // jsdom's File has no text()
+    const file = Object.assign(new File([csv], 'outlets.csv', { type: 'text/csv' }), { text: async () => csv });
+    await user.upload(importButton.nextElementSibling, file);
+
+    expect(await screen.findByRole('tab', { name: /Unchanged \(1\)/ })).toBeInTheDocument();
+    expect(screen.getByRole('tab', { name: /Missing from file \(119\)/ })).toBeInTheDocument();
+  });
+
+  it('shows that nothing matches a search', async () => {
+    render(<Home />);
+    await screen.findByRole('heading', { name: `Available Outlets (${fixtures.length})` });
+
+    await userEvent.setup().type(screen.getByLabelText('Filter outlets by name or address'), 'Penang');
+
+    expect(screen.getByText('No outlets match the current filters.')).toBeInTheDocument();
+  });
+
+  it('keeps the selected outlet in the URL when the filters are written to it', async () => {
+    const user = userEvent.setup();
+    render(<Home />);
+    await screen.findByRole('heading', { name: `Available Outlets (${fixtures.length})` });
+
+    await user.type(screen.getByLabelText('Filter outlets by name or address'), 'petaling jaya');
+    await user.click(within(outletList()).getByText("McDonald's Petaling Jaya SS2"));
+
+    await waitFor(() => expect(mockRouter.query.q).toBe('petaling jaya'));
+    expect(mockRouter.query.outlet).toMatch(/^\d+$/);
+  });
+
+  it('plans a route through outlets picked in the list', async () => {
+    const user = userEvent.setup();
+    render(<Home />);
+    await screen.findByRole('heading', { name: `Available Outlets (${fixtures.length})` });
+
+    await user.type(screen.getByLabelText('Filter outlets by name or address'), 'petaling jaya');
+    for (const button of within(outletList()).getAllByRole('button', { name: '+ Route' })) {
+      await user.click(button);
+    }
+
+    expect(await screen.findByRole('heading', { name: /^Route: 2 stops · \d/ })).toBeInTheDocument();
+    expect(within(outletList()).getByRole('button', { name: 'Stop 1' })).toBeInTheDocument();
+    expect(screen.getByRole('link', { name: 'Open in Google Maps' }).href).toMatch(/^https:\/\/www\.google\.com\/maps\/dir\//);
+    expect(mockMapProps.route.stops).toHaveLength(2);
+    expect(JSON.parse(window.localStorage.getItem('mcd-outlets:route-stops'))).toHaveLength(2);
+
+    await user.click(screen.getByRole('button', { name: 'Clear route' }));
+    expect(screen.queryByRole('heading', { name: /^Route:/ })).not.toBeInTheDocument();
+  });
+
+  it('hides the admin controls from signed-out visitors', async () => {
+    render(<Home />);
+    await screen.findByRole('heading', { name: `Available Outlets (${fixtures.length})` });
+
+    expect(screen.queryByText('Scraping Controls')).not.toBeInTheDocument();
+    expect(screen.getByRole('link', { name: 'Sign in' })).toBeInTheDocument();
+  });
+
+  it('lists outlets with invalid coordinates and points to the data-quality page', async () => {
+    const broken = [
+      { id: 1, name: "McDonald's Null Island", address: 'Unknown', latitude: null, longitude: null },
+      { id: 2, name: "McDonald's Equator", address: 'Somewhere', latitude: 0, longitude: 101.5 },
+    ];
+    global.fetch.mockImplementation(() => Promise.resolve(Response.json({ outlets: broken, total: 2 })));
+    render(<Home />);
+
+    expect(await screen.findByRole('heading', { name: 'Available Outlets (2)' })).toBeInTheDocument();
+    expect(within(outletList()).getByText('Invalid coordinates')).toBeInTheDocument();
+    expect(within(outletList()).getByText('Lat: 0.0000')).toBeInTheDocument();
+    expect(screen.getByText(/1 outlet is not on the map/)).toBeInTheDocument();
+    expect(screen.getByRole('link', { name: 'Review' })).toHaveAttribute('href', '/data-quality?issue=invalid_coordinates');
+  });
+
+  it('switches to Bahasa Malaysia and remembers the choice', async () => {
+    render(<Home />);
+    await screen.findByRole('heading', { name: `Available Outlets (${fixtures.length})` });
+
+    await userEvent.setup().click(screen.getByRole('button', { name: 'BM' }));
+
+    expect(mockRouter.push).toHaveBeenCalledWith({ pathname: '/', query: {} }, '/', { locale: 'ms', scroll: false });
+    expect(document.cookie).toMatch(/(^|; )NEXT_LOCALE=ms/);
+  });
+
+  it('renders the page in Bahasa Malaysia', async () => {
+    render(<LocaleProvider value="ms"><Home /></LocaleProvider>);
+
+    expect(await screen.findByRole('heading', { name: `Outlet Tersedia (${fixtures.length})` })).toBeInTheDocument();
+    expect(screen.getByRole('heading', { name: "Cari Outlet McDonald's Berhampiran Anda" })).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'BM' })).toHaveAttribute('aria-pressed', 'true');
+    expect(screen.getByRole('link', { name: 'Log masuk' })).toBeInTheDocument();
+
+    await userEvent.setup().type(screen.getByLabelText('Tapis outlet mengikut nama atau alamat'), 'petaling jaya');
+    expect(screen.getByText(`2 daripada ${fixtures.length} outlet sepadan`)).toBeInTheDocument();
+  });
+
+  it('reports an HTML error page instead of the outlets', async () => {
+    global.fetch.mockImplementation(() => Promise.resolve(htmlErrorResponse(503)));
+    render(<Home />);
+
+    // 503 is retried with backoff before it is reported
+    const alert = await screen.findByRole('alert', {}, { timeout: 5000 });
+    expect(alert).toHaveTextContent('An error occurred: HTTP error! status: 503');
+    expect(alert).not.toHaveTextContent('nginx');
+  });
+});
@@ -0,0 +1,33 @@
+/**
+ * @jest-environment ./__tests__/support/jsdomEnvironment.js
+ */
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import OfflineBanner from '../components/OfflineBanner';
+
+const SAVED_AT = new Date('2024-06-03T09:30:00+08:00').getTime();
+
+describe('OfflineBanner', () => {
+  it('stays hidden while online with live data', () => {
+    const { container } = render(<OfflineBanner savedAt={SAVED_AT} />);
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  it('mentions the saved copy when offline, even while live data is shown', () => {
+    render(<OfflineBanner isOnline={false} savedAt={SAVED_AT} />);
+    expect(screen.getByRole('status')).toHaveTextContent('You are offline.');
+    expect(screen.getByText(/^Showing saved outlet data as of/)).toBeInTheDocument();
+    expect(screen.queryByText('No saved outlet data on this device yet.')).not.toBeInTheDocument();
+  });
+
+  it('says when this device has no saved copy', () => {
+    render(<OfflineBanner isOnline={false} />);
+    expect(screen.getByText('No saved outlet data on this device yet.')).toBeInTheDocument();
+  });
+
+  it('offers a retry when the server cannot be reached', () => {
+    render(<OfflineBanner isShowingSaved savedAt={SAVED_AT} onRetry={() => {}} />);
+    expect(screen.getByRole('status')).toHaveTextContent('The server cannot be reached.');
+    expect(screen.getByRole('button', { name: 'Retry' })).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,27 @@
+/**
+ * @jest-environment ./__tests__/support/jsdomEnvironment.js
+ */
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import OutletHours from '../components/OutletHours';
+import { LocaleProvider } from '../hooks/useTranslation';
+
+// 2024-06-03 is a Monday
+const MONDAY_NIGHT = new Date('2024-06-03T22:30:00+08:00');
+
+describe('OutletHours', () => {
+  it('renders the schedule and status in English', () => {
+    render(<OutletHours hours="Mon-Fri: 7am-11pm; Sat: Closed" now={MONDAY_NIGHT} />);
+    expect(screen.getByRole('row', { name: 'Mon–Fri 7:00 AM – 11:00 PM' })).toBeInTheDocument();
+    expect(screen.getByText('Closes in 30 min')).toBeInTheDocument();
+  });
+
+  it('renders the schedule and status in Bahasa Malaysia', () => {
+    render(<LocaleProvider value="ms"><OutletHours hours="Mon-Fri: 7am-11pm; Sat: Closed" now={MONDAY_NIGHT} /></LocaleProvider>);
+    expect(screen.getByText('Waktu operasi:')).toBeInTheDocument();
+    expect(screen.getByRole('row', { name: 'Isn–Jum 7:00 PG – 11:00 PTG' })).toBeInTheDocument();
+    expect(screen.getByRole('row', { name: 'Sab Tutup' })).toBeInTheDocument();
+    expect(screen.getByRole('row', { name: 'Ahd Tidak diketahui' })).toBeInTheDocument();
+    expect(screen.getByText('Tutup dalam 30 min')).toBeInTheDocument();
+  });
+});
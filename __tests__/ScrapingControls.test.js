@@ -0,0 +1,92 @@
+/**
+ * @jest-environment ./__tests__/support/jsdomEnvironment.js
+ */
+import React from 'react';
+import { render, screen, waitFor, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import ScrapingControls from '../components/ScrapingControls';
+import { startMockBackend, routeApiTo, htmlErrorResponse } from './support/mockBackend';
+
+// Poll the fast mock scrapes often enough to finish within a test
+jest.mock('../variables', () => {
+  const actual = jest.requireActual('../variables');
+  return { ...actual, JOBS_CONFIG: { ...actual.JOBS_CONFIG, POLL_INTERVAL_MS: 20 } };
+});
+
+let backend;
+let restoreFetch;
+
+beforeAll(async () => {
+  backend = await startMockBackend();
+});
+
+afterAll(() => backend.stop());
+
+beforeEach(() => {
+  window.localStorage.clear();
+  window.alert = jest.fn();
+  restoreFetch = routeApiTo(backend.url);
+});
+
+afterEach(() => restoreFetch());
+
+const scrape = async (term) => {
+  const user = userEvent.setup();
+  await user.type(screen.getByPlaceholderText(/Enter a location to scrape/), term);
+  await user.click(screen.getByRole('button', { name: 'Search & Scrape' }));
+};
+
+describe('ScrapingControls', () => {
+  it('tracks a scrape job until it completes and then refreshes the outlets', async () => {
+    const onDataChanged = jest.fn();
+    render(<ScrapingControls onDataChanged={onDataChanged} onError={jest.fn()} />);
+
+    await scrape('Petaling Jaya');
+
+    const job = (await screen.findByText('"Petaling Jaya"')).closest('li');
+    await waitFor(() => expect(within(job).getByText('Completed')).toBeInTheDocument());
+    expect(within(job).getByText('2 new outlets')).toBeInTheDocument();
+    expect(onDataChanged).toHaveBeenCalledTimes(1);
+    expect(onDataChanged.mock.calls[0][0]).toMatchObject({ searchTerm: 'Petaling Jaya', status: 'completed', newOutlets: 2 });
+
+    const saved = await (await fetch(`${backend.url}/outlets`)).json();
+    expect(saved.total).toBe(2);
+  });
+
+  it('asks for a search term before scraping', async () => {
+    render(<ScrapingControls onDataChanged={jest.fn()} onError={jest.fn()} />);
+
+    await userEvent.setup().click(screen.getByRole('button', { name: 'Search & Scrape' }));
+
+    expect(window.alert).toHaveBeenCalledWith('Please enter a search term.');
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  it('reports an HTML error page from the gateway without showing its markup', async () => {
+    const passThrough = global.fetch.getMockImplementation();
+    global.fetch.mockImplementation((input, init) => (
+      init?.method === 'POST' ? Promise.resolve(htmlErrorResponse(502)) : passThrough(input, init)
+    ));
+    const onError = jest.fn();
+    render(<ScrapingControls onDataChanged={jest.fn()} onError={onError} />);
+
+    await scrape('Klang');
+
+    await waitFor(() => expect(onError).toHaveBeenLastCalledWith('HTTP error! status: 502'));
+    expect(window.alert).toHaveBeenCalledWith('An error occurred: HTTP error! status: 502');
+    expect(screen.queryByText('"Klang"')).not.toBeInTheDocument();
+  });
+
+  it('shows validation errors from the backend', async () => {
+    const passThrough = global.fetch.getMockImplementation();
+    global.fetch.mockImplementation((input, init) => (
+      init?.method === 'POST' ? passThrough(input, { ...init, body: JSON.stringify({ search_term: '' }) }) : passThrough(input, init)
+    ));
+    const onError = jest.fn();
+    render(<ScrapingControls onDataChanged={jest.fn()} onError={onError} />);
+
+    await scrape('Klang');
+
+    await waitFor(() => expect(onError).toHaveBeenLastCalledWith('search_term: field required'));
+  });
+});
@@ -0,0 +1,191 @@
+import { Readable, Writable } from 'node:stream';
+import { handleProxyRequest, matchProxyRoute } from '../lib/apiProxy';
+import { getRequestAccess } from '../lib/auth';
+import { API_BASE_URL, PROXY_CONFIG } from '../variables';
+
+jest.mock('../lib/auth', () => ({ getRequestAccess: jest.fn() }));
+
+const VIEWER = { role: 'viewer', isSignedIn: false };
+
+// What Next.js hands the API route for /api/backend/<path>
+const proxyRequest = (method, url, { headers = {}, address = '192.0.2.1', body } = {}) => {
+  const [pathname] = url.split('?');
+  return Object.assign(Readable.from(body ? [Buffer.from(body)] : []), {
+    method,
+    url: `${PROXY_CONFIG.BASE_PATH}${url}`,
+    query: { path: pathname.split('/').filter(Boolean) },
+    headers: { host: 'outlets.example', ...headers },
+    socket: { remoteAddress: address },
+  });
+};
+
+const proxyResponse = () => {
+  const chunks = [];
+  const res = new Writable({
+    write(chunk, encoding, done) {
+      chunks.push(chunk);
+      done();
+    },
+  });
+  res.headers = {};
+  res.statusCode = 200;
+  res.setHeader = (name, value) => {
+    res.headers[name.toLowerCase()] = value;
+  };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (value) => res.send(JSON.stringify(value));
+  res.send = (value) => {
+    res.end(value);
+    return res;
+  };
+  res.text = () => Buffer.concat(chunks).toString();
+  return res;
+};
+
+const proxy = async (...args) => {
+  const res = proxyResponse();
+  await handleProxyRequest(proxyRequest(...args), res);
+  return res;
+};
+
+const aiSearch = (options) => proxy('POST', '/api/v1/search', { body: '{"query":"drive-thru"}', ...options });
+
+beforeEach(() => {
+  getRequestAccess.mockResolvedValue(VIEWER);
+  global.fetch = jest.fn(() => Promise.resolve(new Response('{"outlets":[]}', {
+    status: 200,
+    headers: { 'Content-Type': 'application/json' },
+  })));
+});
+
+describe('matchProxyRoute', () => {
+  it('matches listed routes and their id segment', () => {
+    expect(matchProxyRoute('GET', '/outlets').route).toMatchObject({ method: 'GET', isCached: true });
+    expect(matchProxyRoute('DELETE', '/outlets/42').route).toMatchObject({ hasId: true, isProtected: true });
+    expect(matchProxyRoute('DELETE', '/outlets/42/extra')).toEqual({ route: null, allowedMethods: [] });
+  });
+
+  it('lists the methods a known path accepts', () => {
+    expect(matchProxyRoute('POST', '/outlets')).toEqual({ route: null, allowedMethods: ['GET', 'DELETE'] });
+  });
+});
+
+describe('handleProxyRequest', () => {
+  it('answers unknown paths and methods without calling the backend', async () => {
+    expect((await proxy('GET', '/admin')).statusCode).toBe(404);
+    const res = await proxy('PUT', '/outlets');
+    expect(res.statusCode).toBe(405);
+    expect(res.headers.allow).toBe('GET, DELETE');
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  it('asks for a sign-in when signed-out visitors may not browse', async () => {
+    getRequestAccess.mockResolvedValue({ role: null, isSignedIn: false });
+    const res = await proxy('GET', '/outlets');
+    expect(res.statusCode).toBe(401);
+    expect(JSON.parse(res.text())).toEqual({ detail: 'Sign in to continue' });
+  });
+
+  it('keeps admin routes to admins', async () => {
+    expect((await proxy('DELETE', '/outlets/1')).statusCode).toBe(401);
+    getRequestAccess.mockResolvedValue({ role: 'viewer', isSignedIn: true });
+    expect((await proxy('DELETE', '/outlets/1')).statusCode).toBe(403);
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  it('refuses cross-site admin requests', async () => {
+    getRequestAccess.mockResolvedValue({ role: 'admin', isSignedIn: true });
+    const crossSite = await proxy('DELETE', '/outlets/1', { headers: { 'sec-fetch-site': 'cross-site' } });
+    expect(crossSite.statusCode).toBe(403);
+    const otherOrigin = await proxy('DELETE', '/outlets/1', { headers: { origin: 'https://evil.example' } });
+    expect(otherOrigin.statusCode).toBe(403);
+    expect(fetch).not.toHaveBeenCalled();
+
+    const sameOrigin = await proxy('DELETE', '/outlets/1', { headers: { 'sec-fetch-site': 'same-origin' } });
+    expect(sameOrigin.statusCode).toBe(200);
+    expect(fetch).toHaveBeenCalledWith(`${API_BASE_URL}/outlets/1`, expect.objectContaining({ method: 'DELETE' }));
+  });
+
+  it('limits AI searches per client', async () => {
+    for (let i = 0; i < PROXY_CONFIG.AI_SEARCH_RATE_LIMIT; i++) {
+      expect((await aiSearch({ address: '192.0.2.10' })).statusCode).toBe(200);
+    }
+    const limited = await aiSearch({ address: '192.0.2.10' });
+    expect(limited.statusCode).toBe(429);
+    expect(Number(limited.headers['retry-after'])).toBeGreaterThan(0);
+    expect(fetch).toHaveBeenCalledTimes(PROXY_CONFIG.AI_SEARCH_RATE_LIMIT);
+
+    expect((await aiSearch({ address: '192.0.2.11' })).statusCode).toBe(200);
+  });
+
+  describe('behind reverse proxies', () => {
+    const hops = PROXY_CONFIG.TRUSTED_PROXY_HOPS;
+    afterEach(() => {
+      PROXY_CONFIG.TRUSTED_PROXY_HOPS = hops;
+    });
+
+    const exhaust = async (forwardedFor, address) => {
+      for (let i = 0; i < PROXY_CONFIG.AI_SEARCH_RATE_LIMIT; i++) {
+        await aiSearch({ address, headers: { 'x-forwarded-for': forwardedFor(i) } });
+      }
+      return aiSearch({ address, headers: { 'x-forwarded-for': forwardedFor('next') } });
+    };
+
+    it('ignores X-Forwarded-For without trusted proxies', async () => {
+      PROXY_CONFIG.TRUSTED_PROXY_HOPS = 0;
+      const res = await exhaust((i) => `198.51.100.${i}`, '192.0.2.20');
+      expect(res.statusCode).toBe(429);
+    });
+
+    it('reads the client that many entries from the end', async () => {
+      PROXY_CONFIG.TRUSTED_PROXY_HOPS = 2;
+      // Addresses the client wrote itself come first and do not count
+      const res = await exhaust((i) => `spoofed-${i}, 203.0.113.5, 10.0.0.1`, '10.0.0.2');
+      expect(res.statusCode).toBe(429);
+      const otherClient = await aiSearch({ address: '10.0.0.2', headers: { 'x-forwarded-for': '203.0.113.6, 10.0.0.1' } });
+      expect(otherClient.statusCode).toBe(200);
+    });
+  });
+
+  describe('outlet page cache', () => {
+    it('shares a page between clients', async () => {
+      const first = await proxy('GET', '/outlets?page=1&per_page=11');
+      const second = await proxy('GET', '/outlets?page=1&per_page=11', { address: '192.0.2.30' });
+      expect(first.headers['x-cache']).toBe('MISS');
+      expect(second.headers['x-cache']).toBe('HIT');
+      expect(second.text()).toBe('{"outlets":[]}');
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('keys pages by page and per_page only', async () => {
+      await proxy('GET', '/outlets?page=1&per_page=12&x=1');
+      const res = await proxy('GET', '/outlets?x=2&per_page=12&page=1');
+      expect(res.headers['x-cache']).toBe('HIT');
+      expect(fetch).toHaveBeenCalledTimes(1);
+      expect(fetch).toHaveBeenCalledWith(`${API_BASE_URL}/outlets?page=1&per_page=12`, expect.anything());
+    });
+
+    it('skips the cache for no-cache without dropping other pages', async () => {
+      await proxy('GET', '/outlets?page=1&per_page=13');
+      await proxy('GET', '/outlets?page=2&per_page=13');
+      const fresh = await proxy('GET', '/outlets?page=1&per_page=13', { headers: { 'cache-control': 'no-cache' } });
+      expect(fresh.headers['x-cache']).toBe('MISS');
+      expect(fetch).toHaveBeenCalledTimes(3);
+
+      const other = await proxy('GET', '/outlets?page=2&per_page=13');
+      expect(other.headers['x-cache']).toBe('HIT');
+      expect(fetch).toHaveBeenCalledTimes(3);
+    });
+
+    it('drops the pages when outlets change', async () => {
+      getRequestAccess.mockResolvedValue({ role: 'admin', isSignedIn: true });
+      await proxy('GET', '/outlets?page=1&per_page=14');
+      await proxy('DELETE', '/outlets/1', { headers: { 'sec-fetch-site': 'same-origin' } });
+      const res = await proxy('GET', '/outlets?page=1&per_page=14');
+      expect(res.headers['x-cache']).toBe('MISS');
+    });
+  });
+});
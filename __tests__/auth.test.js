@@ -0,0 +1,32 @@
+import { authOptionsFor } from '../lib/auth';
+import { AUTH_CONFIG } from '../variables';
+
+// next-auth's session helpers are ESM-only; only the provider options are tested
+jest.mock('next-auth/next', () => ({ getServerSession: jest.fn() }));
+jest.mock('next-auth/providers/credentials', () => (options) => ({ id: 'credentials', type: 'credentials', ...options }));
+
+const signIn = (address, credentials) => {
+  const [provider] = authOptionsFor({ headers: {}, socket: { remoteAddress: address } }).providers;
+  return provider.authorize(credentials);
+};
+
+beforeAll(() => {
+  process.env.AUTH_USERS = JSON.stringify([{ username: 'admin', password: 'secret', role: 'admin' }]);
+});
+
+afterAll(() => {
+  delete process.env.AUTH_USERS;
+});
+
+describe('sign-in rate limit', () => {
+  it('locks out a client guessing an account, but not the account', async () => {
+    for (let i = 0; i < AUTH_CONFIG.SIGN_IN_ATTEMPTS; i++) {
+      await expect(signIn('198.51.100.1', { username: 'admin', password: `guess-${i}` })).resolves.toBeNull();
+    }
+    await expect(signIn('198.51.100.1', { username: 'admin', password: 'secret' })).rejects.toThrow('TooManyAttempts');
+
+    await expect(signIn('192.0.2.1', { username: 'Admin ', password: 'wrong' })).resolves.toBeNull();
+    await expect(signIn('192.0.2.1', { username: 'admin', password: 'secret' }))
+      .resolves.toEqual({ id: 'admin', name: 'admin', role: 'admin' });
+  });
+});
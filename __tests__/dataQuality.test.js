@@ -0,0 +1,82 @@
+import { findDataQualityIssues, countIssues } from '../lib/dataQuality';
+
+const complete = { operating_hours: 'Open 24 hours', telephone: '03-2141 0000', waze_link: 'https://waze.com/ul?ll=3.1,101.7' };
+const outlet = (id, latitude, longitude, fields = complete) => ({
+  id, name: `Outlet ${id}`, address: `Address ${id}`, latitude, longitude, ...fields,
+});
+const typesOf = (flagged, id) => flagged.find((entry) => entry.outlet.id === id)?.issues.map((issue) => issue.type) ?? [];
+
+describe('findDataQualityIssues', () => {
+  it('leaves complete outlets inside the country alone', () => {
+    expect(findDataQualityIssues([outlet(1, 3.139, 101.6869), outlet(2, 5.4141, 100.3288)])).toEqual([]);
+  });
+
+  it('flags missing, non-numeric and out-of-range coordinates', () => {
+    const flagged = findDataQualityIssues([
+      outlet(1, null, 101.6),
+      outlet(2, 'abc', 101.6),
+      outlet(3, 3.1, 250),
+    ]);
+    expect(flagged.map((entry) => typesOf(flagged, entry.outlet.id))).toEqual([
+      ['invalid_coordinates'],
+      ['invalid_coordinates'],
+      ['invalid_coordinates'],
+    ]);
+    expect(flagged[0].issues[0]).toEqual({
+      type: 'invalid_coordinates',
+      detail: 'missingCoordinates',
+      coordinates: { latitude: null, longitude: 101.6 },
+    });
+    expect(flagged[2].issues[0].detail).toBe('coordinatesOutOfRange');
+  });
+
+  it('flags coordinates outside the country, including 0, 0', () => {
+    const flagged = findDataQualityIssues([outlet(1, 13.7563, 100.5018), outlet(2, 0, 0), outlet(3, 6.1, 116.1)]);
+    expect(typesOf(flagged, 1)).toEqual(['out_of_country']); // Bangkok
+    expect(flagged.find((entry) => entry.outlet.id === 1).issues[0].detail).toBe('outsideCountry');
+    expect(flagged.find((entry) => entry.outlet.id === 2).issues[0].detail).toBe('nullIsland');
+    expect(typesOf(flagged, 3)).toEqual([]); // Kota Kinabalu
+  });
+
+  it('flags outlets closer together than the duplicate distance on both sides', () => {
+    const flagged = findDataQualityIssues([
+      outlet(1, 3.1390, 101.6869),
+      outlet(2, 3.1392, 101.6869), // about 22 m away
+      outlet(3, 3.1400, 101.6869), // about 111 m away
+    ], { duplicateDistanceM: 50 });
+    expect(typesOf(flagged, 1)).toEqual(['near_duplicate']);
+    expect(typesOf(flagged, 2)).toEqual(['near_duplicate']);
+    expect(typesOf(flagged, 3)).toEqual([]);
+    expect(flagged[0].issues[0]).toMatchObject({ type: 'near_duplicate', related: [{ id: 2 }] });
+    expect(flagged[0].issues[0].related[0].distance).toBeCloseTo(0.022, 3);
+  });
+
+  it('flags missing hours, phone and Waze link', () => {
+    const flagged = findDataQualityIssues([
+      outlet(1, 3.1, 101.6, { operating_hours: ' ', telephone: null }),
+    ]);
+    expect(typesOf(flagged, 1)).toEqual(['missing_hours', 'missing_phone', 'missing_waze']);
+  });
+
+  it('does not look for duplicates among outlets without coordinates', () => {
+    const flagged = findDataQualityIssues([outlet(1, null, null), outlet(2, null, null)]);
+    expect(typesOf(flagged, 1)).toEqual(['invalid_coordinates']);
+  });
+});
+
+describe('countIssues', () => {
+  it('counts flagged outlets per issue type', () => {
+    const flagged = findDataQualityIssues([
+      outlet(1, null, null, {}),
+      outlet(2, 3.1, 101.6, { telephone: '1' }),
+    ]);
+    expect(countIssues(flagged)).toEqual({
+      invalid_coordinates: 1,
+      out_of_country: 0,
+      near_duplicate: 0,
+      missing_hours: 2,
+      missing_phone: 1,
+      missing_waze: 2,
+    });
+  });
+});
@@ -0,0 +1,149 @@
+import {
+  hasValidCoordinates,
+  coordinateProblem,
+  distancesFrom,
+  calculateDistance,
+  findIntersectingOutlets,
+  groupOverlapsByOutlet,
+  rankByDistance,
+  formatDistance,
+} from '../lib/geo';
+
+const outlet = (id, latitude, longitude) => ({ id, name: `Outlet ${id}`, latitude, longitude });
+
+// Brute-force reference for the grid-based search
+const allPairsWithin = (outlets, maxDistance) => {
+  const pairs = [];
+  outlets.forEach((a, i) => outlets.slice(i + 1).forEach((b) => {
+    if (calculateDistance(a.latitude, a.longitude, b.latitude, b.longitude) < maxDistance) pairs.push(`${a.id}-${b.id}`);
+  }));
+  return pairs.sort();
+};
+
+describe('hasValidCoordinates', () => {
+  it('accepts 0 as a latitude or longitude', () => {
+    expect(hasValidCoordinates(outlet(1, 0, 101.5))).toBe(true);
+    expect(hasValidCoordinates(outlet(2, 3.1, 0))).toBe(true);
+    expect(hasValidCoordinates(outlet(3, 0, 0))).toBe(true);
+  });
+
+  it('accepts numeric strings', () => {
+    expect(hasValidCoordinates(outlet(1, '3.15', '101.71'))).toBe(true);
+    expect(coordinateProblem(outlet(2, '3.1', 'east'))).toBe('missing');
+    expect(coordinateProblem(outlet(3, '95', '101.5'))).toBe('out_of_range');
+  });
+
+  it('rejects missing, non-numeric and out-of-range coordinates', () => {
+    expect(coordinateProblem(outlet(1, null, 101.5))).toBe('missing');
+    expect(coordinateProblem(outlet(2, NaN, 101.5))).toBe('missing');
+    expect(coordinateProblem(outlet(3, '', ' '))).toBe('missing');
+    expect(coordinateProblem({ id: 4 })).toBe('missing');
+    expect(coordinateProblem(outlet(5, 91, 101.5))).toBe('out_of_range');
+    expect(coordinateProblem(outlet(6, 3.1, -181))).toBe('out_of_range');
+    expect(hasValidCoordinates(outlet(7, Infinity, 101.5))).toBe(false);
+  });
+});
+
+describe('distancesFrom', () => {
+  it('leaves out outlets without valid coordinates', () => {
+    const distances = distancesFrom([outlet(1, 3.1, 101.6), outlet(2, null, null)], { latitude: 3.1, longitude: 101.6 });
+    expect([...distances.keys()]).toEqual([1]);
+  });
+});
+
+describe('calculateDistance', () => {
+  it('is zero for the same point', () => {
+    expect(calculateDistance(3.139, 101.6869, 3.139, 101.6869)).toBe(0);
+  });
+
+  it('matches known great-circle distances', () => {
+    // Kuala Lumpur to Penang, about 293 km
+    expect(calculateDistance(3.139, 101.6869, 5.4141, 100.3288)).toBeCloseTo(293, -1);
+    // One degree of latitude is about 111.2 km
+    expect(calculateDistance(0, 0, 1, 0)).toBeCloseTo(111.19, 1);
+    // One degree of longitude shrinks with latitude
+    expect(calculateDistance(60, 0, 60, 1)).toBeCloseTo(55.6, 1);
+  });
+
+  it('is symmetric', () => {
+    const there = calculateDistance(3.1529, 101.7046, 1.4927, 103.7414);
+    const back = calculateDistance(1.4927, 103.7414, 3.1529, 101.7046);
+    expect(there).toBeCloseTo(back, 10);
+  });
+
+  it('handles the antimeridian and the equator', () => {
+    expect(calculateDistance(0, 179.5, 0, -179.5)).toBeCloseTo(111.19, 1);
+    expect(calculateDistance(-0.5, 0, 0.5, 0)).toBeCloseTo(111.19, 1);
+  });
+});
+
+describe('findIntersectingOutlets', () => {
+  it('pairs outlets closer than twice the catchment radius, once each', () => {
+    const outlets = [
+      outlet(1, 3.1529, 101.7046),
+      outlet(2, 3.1579, 101.7116), // ~0.96 km from 1
+      outlet(3, 3.2, 101.7046), // ~5.2 km from 1
+      outlet(4, 5.4141, 100.3288), // Penang
+    ];
+
+    const pairs = findIntersectingOutlets(outlets, 1);
+    expect(pairs).toHaveLength(1);
+    expect(pairs[0]).toMatchObject({ a: 1, b: 2 });
+    expect(pairs[0].distance).toBeCloseTo(calculateDistance(3.1529, 101.7046, 3.1579, 101.7116), 10);
+
+    const wider = findIntersectingOutlets(outlets, 3).map(({ a, b }) => `${a}-${b}`).sort();
+    expect(wider).toEqual(['1-2', '1-3', '2-3']);
+  });
+
+  it('does not count circles that only touch', () => {
+    const outlets = [outlet(1, 0, 0), outlet(2, 1, 0)];
+    const distance = calculateDistance(0, 0, 1, 0);
+    expect(findIntersectingOutlets(outlets, distance / 2)).toEqual([]);
+    expect(findIntersectingOutlets(outlets, distance / 2 + 0.001)).toHaveLength(1);
+  });
+
+  it('returns nothing for fewer than two outlets', () => {
+    expect(findIntersectingOutlets([], 5)).toEqual([]);
+    expect(findIntersectingOutlets([outlet(1, 3.1, 101.6)], 5)).toEqual([]);
+  });
+
+  it('finds the same pairs as comparing every outlet with every other', () => {
+    // Deterministic scatter around the Klang Valley, including pairs across grid cell borders
+    const outlets = Array.from({ length: 150 }, (_, i) => outlet(
+      i,
+      2.9 + ((i * 37) % 100) / 200,
+      101.4 + ((i * 53) % 100) / 150
+    ));
+    [0.5, 2, 5].forEach((radius) => {
+      const pairs = findIntersectingOutlets(outlets, radius).map(({ a, b }) => `${a}-${b}`).sort();
+      expect(pairs).toEqual(allPairsWithin(outlets, radius * 2));
+    });
+  });
+
+  it('feeds groupOverlapsByOutlet, nearest overlap first', () => {
+    const outlets = [outlet(1, 0, 0), outlet(2, 0, 0.02), outlet(3, 0, 0.01)];
+    const overlaps = groupOverlapsByOutlet(findIntersectingOutlets(outlets, 5), outlets);
+    expect(overlaps.get(1).map((item) => item.id)).toEqual([3, 2]);
+    expect(overlaps.get(3)).toHaveLength(2);
+    expect(overlaps.get(2)[0]).toMatchObject({ id: 3, name: 'Outlet 3' });
+  });
+});
+
+describe('rankByDistance', () => {
+  it('orders outlets nearest first with their distances', () => {
+    const ranked = rankByDistance(
+      [outlet(1, 0, 0.03), outlet(2, 0, 0.01), outlet(3, 0, 0.02)],
+      { latitude: 0, longitude: 0 }
+    );
+    expect(ranked.map((entry) => entry.outlet.id)).toEqual([2, 3, 1]);
+    expect(ranked[0].distance).toBeCloseTo(1.11, 2);
+  });
+});
+
+describe('formatDistance', () => {
+  it('uses metres below 1 km and fewer decimals further out', () => {
+    expect(formatDistance(0.8504)).toBe('850 m');
+    expect(formatDistance(4.24)).toBe('4.2 km');
+    expect(formatDistance(37.4)).toBe('37 km');
+  });
+});
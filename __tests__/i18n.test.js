@@ -0,0 +1,53 @@
+import { MESSAGES, formatNumber, translate } from '../lib/i18n';
+import { formatDistance } from '../lib/geo';
+
+// Dot-separated paths of every message; plural forms count as one message
+const messageKeys = (node, prefix = '') => Object.entries(node).flatMap(([key, value]) => (
+  typeof value === 'object' && !('other' in value) ? messageKeys(value, `${prefix}${key}.`) : [`${prefix}${key}`]
+));
+
+describe('message catalogs', () => {
+  it('translate every English message into Bahasa Malaysia', () => {
+    expect(messageKeys(MESSAGES.ms).sort()).toEqual(messageKeys(MESSAGES.en).sort());
+  });
+
+  it('use the same placeholders in both languages', () => {
+    const placeholders = (text) => (JSON.stringify(text).match(/\{\w+\}/g) ?? []).sort();
+    messageKeys(MESSAGES.en).forEach((key) => {
+      const lookup = (messages) => key.split('.').reduce((node, part) => node[part], messages);
+      expect([key, [...new Set(placeholders(lookup(MESSAGES.ms)))]])
+        .toEqual([key, [...new Set(placeholders(lookup(MESSAGES.en)))]]);
+    });
+  });
+});
+
+describe('translate', () => {
+  it('fills placeholders and formats numbers for the locale', () => {
+    expect(translate('en', 'list.showing', { shown: 50, count: 1234 })).toBe('Showing 50 of 1,234');
+    expect(translate('ms', 'list.showing', { shown: 50, count: 1234 })).toBe('Memaparkan 50 daripada 1,234');
+  });
+
+  it('picks the plural form from the count', () => {
+    expect(translate('en', 'map.outletCount', { count: 1 })).toBe('1 outlet found');
+    expect(translate('en', 'map.outletCount', { count: 3 })).toBe('3 outlets found');
+    expect(translate('ms', 'map.outletCount', { count: 1 })).toBe('1 outlet ditemui');
+    expect(translate('ms', 'map.outletCount', { count: 3 })).toBe('3 outlet ditemui');
+  });
+
+  it('falls back to English, then to the key', () => {
+    expect(translate('fr', 'home.review')).toBe('Review');
+    expect(translate('ms', 'home.noSuchMessage')).toBe('home.noSuchMessage');
+  });
+
+  it('leaves placeholders without a value in place', () => {
+    expect(translate('en', 'route.removeStop')).toBe('Remove {name} from the route');
+  });
+});
+
+describe('locale formatting', () => {
+  it('formats numbers and distances for the locale', () => {
+    expect(formatNumber('ms', 0.42, { style: 'percent' })).toBe('42%');
+    expect(formatDistance(1234.5, 'ms')).toBe('1,235 km');
+    expect(formatDistance(4.24, 'de')).toBe('4,2 km');
+  });
+});
@@ -0,0 +1,224 @@
+import {
+  parseOperatingHours,
+  getOpenStatus,
+  isOpenNow,
+  malaysiaTime,
+  formatWeeklySchedule,
+  formatDuration,
+} from '../lib/operatingHours';
+
+// Malaysia local time; 2024-06-03 is a Monday
+const myt = (date, time) => new Date(`${date}T${time}:00+08:00`);
+const MONDAY = '2024-06-03';
+const FRIDAY = '2024-06-07';
+const SATURDAY = '2024-06-08';
+const SUNDAY = '2024-06-09';
+
+const everyDay = (ranges) => Array(7).fill(ranges);
+
+describe('parseOperatingHours', () => {
+  it('returns null for missing or unreadable hours', () => {
+    expect(parseOperatingHours(undefined)).toBeNull();
+    expect(parseOperatingHours('')).toBeNull();
+    expect(parseOperatingHours('   ')).toBeNull();
+    expect(parseOperatingHours('Call for hours')).toBeNull();
+  });
+
+  it('parses 24-hour stores', () => {
+    ['24 Hours', 'Open 24 hours', '24/7', 'Buka 24 jam'].forEach((text) => {
+      const schedule = parseOperatingHours(text);
+      expect(schedule.days).toEqual(everyDay([{ open: 0, close: 1440 }]));
+      expect(schedule.isAlwaysOpen).toBe(true);
+    });
+  });
+
+  it('applies a single range to every day', () => {
+    const schedule = parseOperatingHours('10:00 AM - 10:00 PM');
+    expect(schedule.days).toEqual(everyDay([{ open: 600, close: 1320 }]));
+    expect(schedule.isAlwaysOpen).toBe(false);
+  });
+
+  it('extends ranges that end past midnight into the next day', () => {
+    expect(parseOperatingHours('7:00 AM - 2:00 AM').days[1]).toEqual([{ open: 420, close: 1560 }]);
+    expect(parseOperatingHours('7:00 AM - 12:00 AM').days[1]).toEqual([{ open: 420, close: 1440 }]);
+    expect(parseOperatingHours('18:00 - 03:30').days[1]).toEqual([{ open: 1080, close: 1650 }]);
+  });
+
+  it('reads 24-hour clock and loose time formats', () => {
+    expect(parseOperatingHours('07:00-23:00').days[0]).toEqual([{ open: 420, close: 1380 }]);
+    expect(parseOperatingHours('7am to 11.30pm').days[0]).toEqual([{ open: 420, close: 1410 }]);
+    expect(parseOperatingHours('7 a.m. – 11 p.m.').days[0]).toEqual([{ open: 420, close: 1380 }]);
+  });
+
+  it('parses per-day ranges', () => {
+    const { days } = parseOperatingHours('Mon-Fri: 7:00 AM - 11:00 PM; Sat-Sun: 24 Hours');
+    [1, 2, 3, 4, 5].forEach((day) => expect(days[day]).toEqual([{ open: 420, close: 1380 }]));
+    [0, 6].forEach((day) => expect(days[day]).toEqual([{ open: 0, close: 1440 }]));
+  });
+
+  it('parses one line per day, closed days and day lists', () => {
+    const { days } = parseOperatingHours([
+      'Monday: 8 AM – 10 PM',
+      'Tuesday: Closed',
+      'Wed, Thu: 9am - 9pm',
+      'Friday to Sunday: 8am-2am',
+    ].join('\n'));
+    expect(days[1]).toEqual([{ open: 480, close: 1320 }]);
+    expect(days[2]).toEqual([]);
+    expect(days[3]).toEqual([{ open: 540, close: 1260 }]);
+    expect(days[4]).toEqual([{ open: 540, close: 1260 }]);
+    [5, 6, 0].forEach((day) => expect(days[day]).toEqual([{ open: 480, close: 1560 }]));
+  });
+
+  it('wraps day ranges across the end of the week', () => {
+    const { days } = parseOperatingHours('Sat - Mon: 10am-10pm');
+    expect(days.map((ranges) => ranges !== null)).toEqual([true, true, false, false, false, false, true]);
+  });
+
+  it('understands Malay day names and day groups', () => {
+    expect(parseOperatingHours('Isnin - Jumaat: 7am - 10pm; Sabtu: Tutup').days[6]).toEqual([]);
+    const weekdays = parseOperatingHours('Weekdays 7am-10pm, Weekends 24 hours').days;
+    expect(weekdays[3]).toEqual([{ open: 420, close: 1320 }]);
+    expect(weekdays[6]).toEqual([{ open: 0, close: 1440 }]);
+  });
+
+  it('keeps split shifts on the same days', () => {
+    expect(parseOperatingHours('Daily: 10am-2pm, 5pm-10pm').days[4]).toEqual([
+      { open: 600, close: 840 },
+      { open: 1020, close: 1320 },
+    ]);
+  });
+
+  it('leaves days that are not mentioned unknown', () => {
+    const { days } = parseOperatingHours('Mon-Fri: 7am - 11pm');
+    expect(days[0]).toBeNull();
+    expect(days[6]).toBeNull();
+  });
+
+  it('ignores public holiday notes', () => {
+    const { days } = parseOperatingHours('Daily 7am - 11pm; Public holidays: 24 hours');
+    expect(days).toEqual(everyDay([{ open: 420, close: 1380 }]));
+  });
+
+  it('keeps the hours around a public holiday clause', () => {
+    expect(parseOperatingHours('24 hours except public holidays').isAlwaysOpen).toBe(true);
+    expect(parseOperatingHours('Mon-Sat: 8am-10pm (PH closed)').days[1]).toEqual([{ open: 480, close: 1320 }]);
+    expect(parseOperatingHours('Daily 9am-9pm, closed on public holidays').days[0]).toEqual([{ open: 540, close: 1260 }]);
+  });
+
+  it('prefers explicit ranges over a 24-hour note', () => {
+    const schedule = parseOperatingHours('8am-10pm (Drive-Thru 24 hours)');
+    expect(schedule.days).toEqual(everyDay([{ open: 480, close: 1320 }]));
+    expect(schedule.isAlwaysOpen).toBe(false);
+  });
+});
+
+describe('malaysiaTime', () => {
+  it('converts to UTC+8 regardless of the local time zone', () => {
+    expect(malaysiaTime(new Date('2024-06-02T17:30:00Z'))).toEqual({ day: 1, minutes: 90 });
+  });
+});
+
+describe('getOpenStatus', () => {
+  it('reports unknown hours', () => {
+    expect(getOpenStatus('', myt(MONDAY, '12:00')).state).toBe('unknown');
+    expect(getOpenStatus(null, myt(MONDAY, '12:00')).state).toBe('unknown');
+    expect(getOpenStatus('Mon-Fri: 7am - 11pm', myt(SATURDAY, '12:00')).state).toBe('unknown');
+  });
+
+  it('never closes a 24-hour store', () => {
+    expect(getOpenStatus('24 Hours', myt(SUNDAY, '23:59'))).toEqual({
+      state: 'open',
+      closesInMinutes: null,
+      opensInMinutes: null,
+    });
+  });
+
+  it('counts down to closing time', () => {
+    expect(getOpenStatus('10:00 AM - 10:00 PM', myt(MONDAY, '21:30'))).toEqual({
+      state: 'open',
+      closesInMinutes: 30,
+      opensInMinutes: null,
+    });
+  });
+
+  it('counts down to the next opening', () => {
+    expect(getOpenStatus('10:00 AM - 10:00 PM', myt(MONDAY, '22:00'))).toEqual({
+      state: 'closed',
+      closesInMinutes: null,
+      opensInMinutes: 720,
+    });
+  });
+
+  it('stays open after midnight for ranges from the previous day', () => {
+    const status = getOpenStatus('7:00 AM - 2:00 AM', myt(MONDAY, '01:30'));
+    expect(status.state).toBe('open');
+    expect(status.closesInMinutes).toBe(30);
+    expect(getOpenStatus('7:00 AM - 2:00 AM', myt(MONDAY, '02:00')).state).toBe('closed');
+  });
+
+  it('carries Saturday night ranges into Sunday morning', () => {
+    const hours = 'Mon-Fri: 7am-11pm; Sat: 7am-3am; Sun: 10am-10pm';
+    expect(getOpenStatus(hours, myt(SUNDAY, '02:00'))).toMatchObject({ state: 'open', closesInMinutes: 60 });
+    expect(getOpenStatus(hours, myt(SUNDAY, '04:00'))).toMatchObject({ state: 'closed', opensInMinutes: 360 });
+  });
+
+  it('joins back-to-back days when finding the closing time', () => {
+    const hours = 'Mon-Thu: 7am-11pm; Fri: 7am-12am; Sat-Sun: 24 hours';
+    expect(getOpenStatus(hours, myt(FRIDAY, '23:00')).closesInMinutes).toBe(60 + 2 * 24 * 60);
+  });
+
+  it('reports closed days', () => {
+    expect(getOpenStatus('Mon: Closed; Tue-Sun: 8am-8pm', myt(MONDAY, '12:00'))).toMatchObject({
+      state: 'closed',
+      opensInMinutes: 20 * 60,
+    });
+  });
+});
+
+describe('isOpenNow', () => {
+  it('maps the status to true, false or null', () => {
+    expect(isOpenNow('7:00 AM - 2:00 AM', myt(MONDAY, '12:00'))).toBe(true);
+    expect(isOpenNow('7:00 AM - 2:00 AM', myt(MONDAY, '03:00'))).toBe(false);
+    expect(isOpenNow(undefined, myt(MONDAY, '12:00'))).toBeNull();
+  });
+});
+
+describe('formatWeeklySchedule', () => {
+  it('collapses identical days', () => {
+    expect(formatWeeklySchedule(parseOperatingHours('24 Hours'))).toEqual([{ label: 'Daily', hours: 'Open 24 hours' }]);
+    expect(formatWeeklySchedule(parseOperatingHours('7:00 AM - 2:00 AM'))).toEqual([
+      { label: 'Daily', hours: '7:00 AM – 2:00 AM' },
+    ]);
+  });
+
+  it('groups consecutive days from Monday', () => {
+    expect(formatWeeklySchedule(parseOperatingHours('Mon-Fri: 7am-11pm; Sat: Closed'))).toEqual([
+      { label: 'Mon–Fri', hours: '7:00 AM – 11:00 PM' },
+      { label: 'Sat', hours: 'Closed' },
+      { label: 'Sun', hours: 'Unknown' },
+    ]);
+  });
+
+  it('formats day names, times and notes for the locale', () => {
+    expect(formatWeeklySchedule(parseOperatingHours('24 Hours'), 'ms')).toEqual([{ label: 'Setiap hari', hours: 'Buka 24 jam' }]);
+    expect(formatWeeklySchedule(parseOperatingHours('Mon-Fri: 7am-11pm; Sat: Closed'), 'ms')).toEqual([
+      { label: 'Isn–Jum', hours: '7:00 PG – 11:00 PTG' },
+      { label: 'Sab', hours: 'Tutup' },
+      { label: 'Ahd', hours: 'Tidak diketahui' },
+    ]);
+  });
+});
+
+describe('formatDuration', () => {
+  it('formats minutes and hours', () => {
+    expect(formatDuration(30)).toBe('30 min');
+    expect(formatDuration(120)).toBe('2 h');
+    expect(formatDuration(135)).toBe('2 h 15 min');
+  });
+
+  it('uses the locale\'s units', () => {
+    expect(formatDuration(30, 'ms')).toBe('30 min');
+    expect(formatDuration(135, 'ms')).toBe('2 j 15 min');
+  });
+});
@@ -0,0 +1,49 @@
+import { outletsToCsv, outletsToGeoJson, outletsToKml } from '../lib/outletExport';
+
+const OUTLETS = [
+  { id: 1, name: 'McDonald\'s Bangsar', address: 'Jalan Telawi, Bangsar', latitude: 3.13, longitude: 101.671 },
+  { id: 2, name: 'McDonald\'s Nowhere', address: 'Unknown', latitude: '', longitude: null },
+  { id: 3, name: 'McDonald\'s Off The Globe', address: 'Somewhere', latitude: 95, longitude: 101.6 },
+  { id: 4, name: 'McDonald\'s KLCC', address: 'Jalan Ampang', latitude: 3.157, longitude: 101.712 },
+];
+
+describe('outletsToCsv', () => {
+  it('keeps outlets without valid coordinates, with empty coordinates', () => {
+    const lines = outletsToCsv(OUTLETS).split(/\r?\n/);
+    expect(lines).toHaveLength(OUTLETS.length + 1);
+    expect(lines[2]).toMatch(/^2,McDonald's Nowhere,Unknown,,,/);
+  });
+});
+
+describe('outletsToGeoJson', () => {
+  it('leaves out outlets without valid coordinates', () => {
+    const { features } = JSON.parse(outletsToGeoJson(OUTLETS));
+    expect(features.map((feature) => feature.properties.id)).toEqual([1, 4]);
+    expect(features[0].geometry).toEqual({ type: 'Point', coordinates: [101.671, 3.13] });
+  });
+
+  it('exports coordinates stored as numeric strings as numbers', () => {
+    const { features } = JSON.parse(outletsToGeoJson([{ id: 5, name: 'McDonald\'s Text', latitude: '3.15', longitude: '101.7' }]));
+    expect(features[0].geometry.coordinates).toEqual([101.7, 3.15]);
+  });
+
+  it('draws no catchment for them either', () => {
+    const { features } = JSON.parse(outletsToGeoJson(OUTLETS, { catchmentRadiusKm: 3 }));
+    const catchments = features.filter((feature) => feature.geometry.type === 'Polygon');
+    expect(catchments.map((feature) => feature.properties.outlet_id)).toEqual([1, 4]);
+    catchments.flatMap((feature) => feature.geometry.coordinates[0]).forEach(([longitude, latitude]) => {
+      expect(latitude).toBeGreaterThan(3);
+      expect(longitude).toBeGreaterThan(101);
+    });
+  });
+});
+
+describe('outletsToKml', () => {
+  it('leaves out outlets without valid coordinates', () => {
+    const kml = outletsToKml(OUTLETS);
+    expect(kml.match(/<Placemark>/g)).toHaveLength(2);
+    expect(kml).toContain('<coordinates>101.671,3.13,0</coordinates>');
+    expect(kml).not.toContain('Nowhere');
+    expect(kml).not.toMatch(/<coordinates>[^<]*null/);
+  });
+});
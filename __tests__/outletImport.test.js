@@ -0,0 +1,97 @@
+import { parseOutletFile, diffImportedOutlets, outletToSubmit } from '../lib/outletImport';
+import { outletsToCsv, outletsToGeoJson } from '../lib/outletExport';
+
+const EXISTING = [
+  { id: 1, name: 'McDonald\'s Bangsar', address: 'Jalan Telawi, Bangsar', latitude: 3.1300, longitude: 101.6710, telephone: '03-111' },
+  { id: 2, name: 'McDonald\'s KLCC', address: 'Jalan Ampang', latitude: 3.1570, longitude: 101.7120, telephone: '03-222' },
+  { id: 3, name: 'McDonald\'s Subang', address: 'SS15, Subang Jaya', latitude: 3.0780, longitude: 101.5860, telephone: '03-333' },
+];
+
+const byStatus = (entries, status) => entries.filter((entry) => entry.status === status);
+
+describe('parseOutletFile', () => {
+  it('round-trips the CSV export', () => {
+    const { format, rows, invalid } = parseOutletFile(outletsToCsv(EXISTING), 'outlets.csv');
+    expect(format).toBe('csv');
+    expect(invalid).toEqual([]);
+    expect(rows.map(({ outlet }) => outlet)).toEqual(EXISTING.map((outlet) => expect.objectContaining(outlet)));
+  });
+
+  it('accepts loose headers and reports invalid rows with line numbers', () => {
+    const csv = [
+      'Outlet Name,LAT,lng,Phone',
+      'A,3.1,101.6,03-1',
+      'B,,101.6,03-2',
+      ',3.1,101.6,03-3',
+      'C,95,101.6,03-4',
+    ].join('\n');
+    const { rows, invalid } = parseOutletFile(csv, 'loose.csv');
+    expect(rows).toEqual([{ row: 'Line 2', outlet: expect.objectContaining({ name: 'A', latitude: 3.1, longitude: 101.6, telephone: '03-1' }) }]);
+    expect(invalid.map(({ row, problem }) => [row, problem])).toEqual([
+      ['Line 3', 'missingCoordinates'],
+      ['Line 4', 'missingName'],
+      ['Line 5', 'coordinatesOutOfRange'],
+    ]);
+  });
+
+  it('rejects CSVs without coordinate columns', () => {
+    expect(() => parseOutletFile('Name,Address\nA,B', 'x.csv')).toThrow(expect.objectContaining({ code: 'csvNeedsCoordinates' }));
+  });
+
+  it('reads GeoJSON points and skips exported catchment polygons', () => {
+    const geojson = outletsToGeoJson(EXISTING, { catchmentRadiusKm: 3 });
+    const { format, rows, invalid } = parseOutletFile(geojson, 'outlets.geojson');
+    expect(format).toBe('geojson');
+    expect(invalid).toEqual([]);
+    expect(rows.map(({ outlet }) => outlet.id)).toEqual([1, 2, 3]);
+    expect(rows[0].outlet).toMatchObject({ latitude: 3.13, longitude: 101.671, address: 'Jalan Telawi, Bangsar' });
+  });
+
+  it('flags non-point features', () => {
+    const geojson = JSON.stringify({
+      type: 'FeatureCollection',
+      features: [{ type: 'Feature', geometry: { type: 'LineString', coordinates: [] }, properties: { name: 'x' } }],
+    });
+    expect(parseOutletFile(geojson, 'lines.json').invalid[0]).toMatchObject({
+      row: 'Feature 1',
+      status: 'invalid',
+      problem: 'notPoint',
+      values: { geometry: 'LineString' },
+    });
+  });
+});
+
+describe('diffImportedOutlets', () => {
+  const diff = (csv) => diffImportedOutlets(parseOutletFile(csv, 'f.csv').rows, EXISTING, { duplicateRadiusKm: 0.05 });
+
+  it('classifies new, changed, unchanged, duplicate and missing rows', () => {
+    const entries = diff([
+      'ID,Name,Latitude,Longitude,Telephone',
+      '1,McDonald\'s Bangsar,3.1300,101.6710,03-111', // unchanged
+      ',McDonald\'s KLCC,3.1570,101.7120,03-999', // matched by name, phone changed
+      ',Drive-thru next door,3.1302,101.6711,', // ~25 m from Bangsar
+      ',McDonald\'s Penang,5.4141,100.3288,', // new
+      ',McDonald\'s Penang 2,5.4142,100.3288,', // ~11 m from the previous row
+    ].join('\n'));
+
+    expect(byStatus(entries, 'unchanged').map((e) => e.existing.id)).toEqual([1]);
+    const [changed] = byStatus(entries, 'changed');
+    expect(changed.existing.id).toBe(2);
+    expect(changed.changes).toEqual([{ field: 'telephone', from: '03-222', to: '03-999' }]);
+    const duplicates = byStatus(entries, 'duplicate');
+    expect(duplicates[0]).toMatchObject({ row: 'Line 4', existing: { id: 1 } });
+    expect(duplicates[1]).toMatchObject({ row: 'Line 6', duplicateOf: 'Line 5' });
+    expect(byStatus(entries, 'new').map((e) => e.row)).toEqual(['Line 5']);
+    expect(byStatus(entries, 'missing').map((e) => e.outlet.id)).toEqual([3]);
+  });
+
+  it('ignores columns the file does not have', () => {
+    const entries = diff('Name,Latitude,Longitude\nMcDonald\'s Subang,3.0780,101.5860');
+    expect(byStatus(entries, 'unchanged')).toHaveLength(1);
+  });
+
+  it('merges changed rows into the outlet they matched', () => {
+    const [changed] = byStatus(diff('ID,Name,Latitude,Longitude\n3,Subang Renamed,3.0780,101.5860'), 'changed');
+    expect(outletToSubmit(changed)).toEqual({ ...EXISTING[2], name: 'Subang Renamed' });
+  });
+});
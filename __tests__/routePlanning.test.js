@@ -0,0 +1,111 @@
+import { planRoute } from '../lib/routePlanning';
+import { googleMapsRouteUrls } from '../lib/mapLinks';
+import { routeToGpx } from '../lib/outletExport';
+import { calculateDistance } from '../lib/geo';
+
+const outlet = (id, latitude, longitude) => ({ id, name: `Outlet ${id}`, address: `Address ${id}`, latitude, longitude });
+
+const lengthOf = (points) => points.slice(1).reduce(
+  (total, point, index) => total + calculateDistance(points[index].latitude, points[index].longitude, point.latitude, point.longitude),
+  0
+);
+
+// Shortest open path by trying every order
+const bruteForceShortest = (outlets, origin = null) => {
+  const permutations = (items) => (items.length <= 1 ? [items] : items.flatMap((item, index) => (
+    permutations([...items.slice(0, index), ...items.slice(index + 1)]).map((rest) => [item, ...rest])
+  )));
+  return Math.min(...permutations(outlets).map((order) => lengthOf(origin ? [origin, ...order] : order)));
+};
+
+// Klang Valley outlets from the mock fixtures, in scrambled order
+const KLANG_VALLEY = [
+  outlet(1, 3.0738, 101.5183), // Shah Alam
+  outlet(2, 3.1478, 101.7133), // Bukit Bintang
+  outlet(3, 3.1179, 101.6776), // Mid Valley
+  outlet(4, 3.0456, 101.4457), // Klang
+  outlet(5, 3.1579, 101.7116), // KLCC
+  outlet(6, 3.1186, 101.6201), // PJ SS2
+  outlet(7, 3.0810, 101.5850), // Subang
+];
+
+describe('planRoute', () => {
+  it('handles no stops and a single stop', () => {
+    expect(planRoute([])).toEqual({ stops: [], legs: [], totalKm: 0 });
+    const single = planRoute([outlet(1, 3.1, 101.6)]);
+    expect(single.stops.map((stop) => stop.id)).toEqual([1]);
+    expect(single.totalKm).toBe(0);
+  });
+
+  it('visits points on a line from one end to the other', () => {
+    const stops = [outlet(1, 3.0, 101.3), outlet(2, 3.0, 101.9), outlet(3, 3.0, 101.5), outlet(4, 3.0, 101.7)];
+    const ids = planRoute(stops).stops.map((stop) => stop.id);
+    expect([[1, 3, 4, 2], [2, 4, 3, 1]]).toContainEqual(ids);
+  });
+
+  it('finds the shortest order for a handful of outlets', () => {
+    const route = planRoute(KLANG_VALLEY);
+    expect(route.stops).toHaveLength(KLANG_VALLEY.length);
+    expect(new Set(route.stops)).toEqual(new Set(KLANG_VALLEY));
+    expect(route.totalKm).toBeCloseTo(bruteForceShortest(KLANG_VALLEY), 6);
+    expect(route.totalKm).toBeCloseTo(lengthOf(route.stops), 6);
+  });
+
+  it('starts from the origin when one is given', () => {
+    const origin = { latitude: 3.1579, longitude: 101.7416 }; // east of KLCC
+    const route = planRoute(KLANG_VALLEY, { origin });
+    expect(route.legs[0].from).toBe(origin);
+    expect(route.legs).toHaveLength(KLANG_VALLEY.length);
+    expect(route.totalKm).toBeCloseTo(bruteForceShortest(KLANG_VALLEY, origin), 6);
+    expect(route.stops[route.stops.length - 1].id).toBe(4); // ends at Klang, the far west
+  });
+
+  it('reports each leg with its distance', () => {
+    const route = planRoute([outlet(1, 0, 0), outlet(2, 0, 1)]);
+    expect(route.legs).toHaveLength(1);
+    expect(route.legs[0].distance).toBeCloseTo(111.19, 1);
+    expect(route.totalKm).toBe(route.legs[0].distance);
+  });
+});
+
+describe('googleMapsRouteUrls', () => {
+  it('builds one directions link through the stops in order', () => {
+    const [url] = googleMapsRouteUrls([outlet(1, 3.1, 101.6), outlet(2, 3.2, 101.7), outlet(3, 3.3, 101.8)]);
+    const params = new URL(url).searchParams;
+    expect(url).toMatch(/^https:\/\/www\.google\.com\/maps\/dir\/\?/);
+    expect(params.get('origin')).toBe('3.1,101.6');
+    expect(params.get('waypoints')).toBe('3.2,101.7');
+    expect(params.get('destination')).toBe('3.3,101.8');
+    expect(params.get('travelmode')).toBe('driving');
+  });
+
+  it('splits long routes into links that continue where the last one ended', () => {
+    const points = Array.from({ length: 12 }, (_, index) => outlet(index, 3, 101 + index / 10));
+    const urls = googleMapsRouteUrls(points, { maxWaypoints: 3 });
+    const parts = urls.map((url) => new URL(url).searchParams);
+    expect(urls).toHaveLength(3);
+    expect(parts[0].get('waypoints').split('|')).toHaveLength(3);
+    expect(parts[1].get('origin')).toBe(parts[0].get('destination'));
+    expect(parts[2].get('origin')).toBe(parts[1].get('destination'));
+    expect(parts[2].get('destination')).toBe('3,102.1');
+  });
+
+  it('falls back to a place link for a single stop', () => {
+    expect(googleMapsRouteUrls([outlet(1, 3.1, 101.6)])).toEqual(['https://www.google.com/maps/search/?api=1&query=3.1,101.6']);
+  });
+});
+
+describe('routeToGpx', () => {
+  it('writes numbered waypoints and a route starting at the origin', () => {
+    const route = planRoute([outlet(1, 3.0, 101.5), { ...outlet(2, 3.0, 101.6), name: 'Fish & Chips <Drive-thru>' }]);
+    const gpx = routeToGpx(route, { origin: { latitude: 3.0, longitude: 101.4 } });
+
+    expect(gpx).toMatch(/^<\?xml version="1.0" encoding="UTF-8"\?>\n<gpx version="1.1"/);
+    expect(gpx.match(/<wpt /g)).toHaveLength(2);
+    expect(gpx.match(/<rtept /g)).toHaveLength(3);
+    expect(gpx).toContain('<rtept lat="3" lon="101.4">\n      <name>Start</name>');
+    expect(gpx).toContain('<name>1. Outlet 1</name>');
+    expect(gpx).toContain('<name>2. Fish &amp; Chips &lt;Drive-thru&gt;</name>');
+    expect(gpx).toContain('<desc>Address 1</desc>');
+  });
+});
@@ -0,0 +1,23 @@
+// jsdom plus Node's fetch and streams, so components can talk to the mock
+// backend over real HTTP. AbortController comes from Node too, as fetch
+// rejects signals from jsdom's implementation.
+const { TestEnvironment } = require('jest-environment-jsdom');
+
+class JsdomWithFetchEnvironment extends TestEnvironment {
+  async setup() {
+    await super.setup();
+    Object.assign(this.global, {
+      fetch,
+      Request,
+      Response,
+      Headers,
+      ReadableStream,
+      TextDecoder,
+      TextEncoder,
+      AbortController,
+      AbortSignal,
+    });
+  }
+}
+
+module.exports = JsdomWithFetchEnvironment;
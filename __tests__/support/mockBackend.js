@@ -0,0 +1,59 @@
+import { spawn } from 'node:child_process';
+import path from 'node:path';
+import { PROXY_CONFIG } from '../../variables';
+
+const SERVER_PATH = path.join(__dirname, '../../mock/server.mjs');
+
+/**
+ * Start mock/server.mjs on a free port with fast scrapes and streams.
+ * @returns {Promise<{url: string, stop: () => Promise<void>}>}
+ */
+export const startMockBackend = (env = {}) => new Promise((resolve, reject) => {
+  const child = spawn(process.execPath, [SERVER_PATH], {
+    env: { ...process.env, MOCK_API_PORT: '0', MOCK_SCRAPE_STEP_MS: '5', MOCK_STREAM_TOKEN_MS: '1', ...env },
+    stdio: ['ignore', 'pipe', 'inherit'],
+  });
+  const stop = () => new Promise((done) => {
+    if (child.exitCode !== null) return done();
+    child.once('exit', () => done());
+    child.kill();
+  });
+
+  child.once('error', reject);
+  child.once('exit', (code) => reject(new Error(`Mock backend exited with code ${code}`)));
+  child.stdout.on('data', (chunk) => {
+    const match = /listening on (http:\/\/\S+)/.exec(String(chunk));
+    if (match) resolve({ url: match[1], stop });
+  });
+});
+
+/**
+ * Send the browser's same-origin proxy calls straight to the mock backend,
+ * standing in for pages/api/backend. Returns a function restoring fetch.
+ */
+export const routeApiTo = (backendUrl) => {
+  const realFetch = global.fetch;
+  global.fetch = jest.fn((input, init) => {
+    const url = String(input);
+    return realFetch(url.startsWith(PROXY_CONFIG.BASE_PATH) ? backendUrl + url.slice(PROXY_CONFIG.BASE_PATH.length) : url, init);
+  });
+  return () => {
+    global.fetch = realFetch;
+  };
+};
+
+/** Seed the mock backend with outlets through POST /save-outlets. */
+export const seedOutlets = async (backendUrl, outlets) => {
+  const response = await fetch(`${backendUrl}/save-outlets`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ outlets }),
+  });
+  if (!response.ok) throw new Error(`Seeding failed: ${response.status}`);
+};
+
+/** A fetch response the way a gateway answers when the backend is down. */
+export const htmlErrorResponse = (status = 502) => new Response(
+  `<html><head><title>${status} Bad Gateway</title></head><body><center><h1>${status} Bad Gateway</h1></center><hr><center>nginx</center></body></html>`,
+  { status, headers: { 'Content-Type': 'text/html' } },
+);
@@ -0,0 +1,48 @@
+import React from 'react';
+import Link from 'next/link';
+import { useRouter } from 'next/router';
+import { signOut } from 'next-auth/react';
+import useRole from '../hooks/useRole';
+import useTranslation from '../hooks/useTranslation';
+import { AUTH_CONFIG } from '../variables';
+
+// Signed-in user and role, or a sign-in link, for the page header
+const AccountMenu = () => {
+  const router = useRouter();
+  const { user, role, isLoading } = useRole();
+  const { t } = useTranslation();
+
+  if (isLoading) return null;
+
+  if (!user) {
+    return (
+      <Link
+        href={{ pathname: AUTH_CONFIG.SIGN_IN_PATH, query: { callbackUrl: router.asPath } }}
+        className="px-3 py-1.5 text-sm font-medium text-blue-700 border border-blue-200 rounded-lg hover:bg-blue-50"
+      >
+        {t('account.signIn')}
+      </Link>
+    );
+  }
+
+  return (
+    <div className="flex items-center gap-3 text-sm">
+      <span className="text-gray-700">
+        {user.name}
+        <span className={`ml-2 px-2 py-0.5 rounded-full text-xs font-semibold ${
+          role === AUTH_CONFIG.ADMIN_ROLE ? 'bg-red-100 text-red-700' : 'bg-gray-100 text-gray-600'
+        }`}>
+          {AUTH_CONFIG.ROLES.includes(role) ? t(`account.roles.${role}`) : role}
+        </span>
+      </span>
+      <button
+        onClick={() => signOut({ callbackUrl: '/' })}
+        className="px-3 py-1.5 text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-100"
+      >
+        {t('account.signOut')}
+      </button>
+    </div>
+  );
+};
+
+export default AccountMenu;
@@ -0,0 +1,211 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import useAiConversations from '../hooks/useAiConversations';
+import useTranslation from '../hooks/useTranslation';
+import { findOutletReferences } from '../lib/outletReferences';
+
+const AiChatPanel = ({ outlets = [], onHighlightOutlets, onSelectOutlet }) => {
+  const { t } = useTranslation();
+  const {
+    conversations,
+    activeConversation,
+    isStreaming,
+    ask,
+    cancel,
+    startNewConversation,
+    selectConversation,
+    deleteConversation,
+  } = useAiConversations();
+  const [query, setQuery] = useState('');
+  const [focusedMessageId, setFocusedMessageId] = useState(null);
+  const messagesEndRef = useRef(null);
+
+  const messages = useMemo(() => activeConversation?.messages ?? [], [activeConversation]);
+
+  // Resolved once per completed answer and cached by message id, so tokens
+  // streaming into a new answer do not re-match the finished ones
+  const referenceCache = useRef({ outlets: null, byMessage: new Map() });
+  const referencesByMessage = useMemo(() => {
+    const cache = referenceCache.current;
+    if (cache.outlets !== outlets) {
+      cache.outlets = outlets;
+      cache.byMessage = new Map();
+    }
+    const references = new Map();
+    messages.forEach((message) => {
+      if (message.role !== 'assistant' || message.pending) return;
+      if (!cache.byMessage.has(message.id)) {
+        cache.byMessage.set(message.id, findOutletReferences(message.content, outlets));
+      }
+      references.set(message.id, cache.byMessage.get(message.id));
+    });
+    return references;
+  }, [messages, outlets]);
+
+  // Highlight the outlets of the focused answer, or of the latest one
+  const highlightedMessageId = focusedMessageId && referencesByMessage.has(focusedMessageId)
+    ? focusedMessageId
+    : [...referencesByMessage.keys()].pop();
+  const highlightedOutlets = referencesByMessage.get(highlightedMessageId);
+
+  // Published only when the highlighted ids change, not on every render
+  const publishedHighlight = useRef(null);
+  useEffect(() => {
+    const ids = (highlightedOutlets ?? []).map((outlet) => outlet.id);
+    const key = ids.join(',');
+    if (key === publishedHighlight.current) return;
+    publishedHighlight.current = key;
+    onHighlightOutlets?.(new Set(ids));
+  }, [highlightedOutlets, onHighlightOutlets]);
+
+  useEffect(() => {
+    messagesEndRef.current?.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+  }, [messages]);
+
+  const handleAsk = () => {
+    if (!query.trim()) {
+      alert(t('ai.emptyQuestion'));
+      return;
+    }
+    setFocusedMessageId(null);
+    ask(query);
+    setQuery('');
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6 mb-8">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-xl font-semibold text-gray-900">
+          {t('ai.title')}
+        </h3>
+        <button
+          onClick={startNewConversation}
+          className="text-sm text-purple-600 hover:underline"
+        >
+          {t('ai.newConversation')}
+        </button>
+      </div>
+
+      <div className="flex flex-col md:flex-row gap-4">
+        {conversations.length > 0 && (
+          <ul className="md:w-56 shrink-0 space-y-1 max-h-72 overflow-y-auto text-sm">
+            {conversations.map((conversation) => (
+              <li key={conversation.id} className="group flex items-center">
+                <button
+                  onClick={() => selectConversation(conversation.id)}
+                  className={`flex-grow text-left truncate px-2 py-1 rounded ${
+                    conversation.id === activeConversation?.id
+                      ? 'bg-purple-100 text-purple-800'
+                      : 'text-gray-700 hover:bg-gray-100'
+                  }`}
+                  title={conversation.title}
+                >
+                  {conversation.title}
+                </button>
+                <button
+                  onClick={() => deleteConversation(conversation.id)}
+                  aria-label={t('ai.deleteConversation', { title: conversation.title })}
+                  className="px-1 text-gray-400 opacity-0 group-hover:opacity-100 hover:text-gray-600"
+                >
+                  ✕
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <div className="flex-grow min-w-0">
+          {messages.length > 0 && (
+            <div className="mb-4 max-h-96 overflow-y-auto space-y-3 pr-1">
+              {messages.map((message) => {
+                const references = referencesByMessage.get(message.id) ?? [];
+                const isHighlighted = message.id === highlightedMessageId && references.length > 0;
+                return (
+                  <div key={message.id} className={message.role === 'user' ? 'flex justify-end' : ''}>
+                    <div
+                      className={`p-3 rounded-lg max-w-[85%] ${
+                        message.role === 'user'
+                          ? 'bg-purple-600 text-white'
+                          : `bg-blue-50 border ${isHighlighted ? 'border-purple-400' : 'border-blue-200'}`
+                      }`}
+                    >
+                      {message.role === 'assistant' && message.pending && !message.content && (
+                        <p className="text-gray-700">{t('ai.thinking')}</p>
+                      )}
+                      {message.content && (
+                        <p className={`whitespace-pre-wrap ${message.role === 'user' ? '' : 'text-gray-800'}`}>
+                          {message.content}
+                          {message.pending && <span className="inline-block w-2 h-4 ml-1 bg-gray-500 animate-pulse align-middle"></span>}
+                        </p>
+                      )}
+                      {message.queued && (
+                        <p className="text-amber-700">{t('ai.queued')}</p>
+                      )}
+                      {message.cancelled && <p className="mt-1 text-xs text-gray-500 italic">{t('ai.stopped')}</p>}
+                      {message.interrupted && <p className="mt-1 text-xs text-amber-700">{t('ai.interrupted')}</p>}
+                      {message.error && (
+                        <p className="text-red-700"><span className="font-bold">{t('ai.error')}</span> {message.error}</p>
+                      )}
+                      {references.length > 0 && (
+                        <div className="mt-2 pt-2 border-t border-blue-200 text-xs">
+                          <button
+                            onClick={() => setFocusedMessageId(message.id)}
+                            className="font-semibold text-purple-700 hover:underline"
+                          >
+                            {isHighlighted ? t('ai.highlightedOnMap') : t('ai.showOnMap')}
+                          </button>
+                          <div className="mt-1 flex flex-wrap gap-1">
+                            {references.map((outlet) => (
+                              <button
+                                key={outlet.id}
+                                onClick={() => {
+                                  setFocusedMessageId(message.id);
+                                  onSelectOutlet?.(outlet.id);
+                                }}
+                                className="px-2 py-0.5 rounded-full bg-purple-100 text-purple-800 hover:bg-purple-200"
+                              >
+                                {outlet.name}
+                              </button>
+                            ))}
+                          </div>
+                        </div>
+                      )}
+                    </div>
+                  </div>
+                );
+              })}
+              <div ref={messagesEndRef} />
+            </div>
+          )}
+
+          <div className="flex items-center space-x-4">
+            <input
+              type="text"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && !isStreaming && handleAsk()}
+              placeholder={messages.length > 0 ? t('ai.followUpPlaceholder') : t('ai.placeholder')}
+              className="flex-grow p-3 border text-black border-gray-300 rounded-lg focus:ring-purple-500 focus:border-purple-500"
+            />
+            {isStreaming ? (
+              <button
+                onClick={cancel}
+                className="px-6 py-3 bg-gray-600 text-white font-semibold rounded-lg shadow-md hover:bg-gray-700 transition-colors"
+              >
+                {t('ai.stop')}
+              </button>
+            ) : (
+              <button
+                onClick={handleAsk}
+                className="px-6 py-3 bg-purple-600 text-white font-semibold rounded-lg shadow-md hover:bg-purple-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors"
+              >
+                {t('ai.ask')}
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AiChatPanel;
@@ -0,0 +1,73 @@
+import { useEffect, useRef } from 'react';
+import { useMap } from 'react-leaflet';
+import L from 'leaflet';
+
+// A canvas covering the visible map, redrawn after every pan, zoom and resize
+const CanvasLayer = L.Layer.extend({
+  initialize(draw) {
+    this._draw = draw;
+  },
+
+  onAdd(map) {
+    // Hidden while zoom animates, when the drawing would be out of place
+    this._canvas = L.DomUtil.create('canvas', 'leaflet-zoom-hide map-canvas-overlay');
+    map.getPanes().overlayPane.appendChild(this._canvas);
+    map.on('moveend resize', this._redraw, this);
+    this._redraw();
+  },
+
+  onRemove(map) {
+    map.off('moveend resize', this._redraw, this);
+    L.DomUtil.remove(this._canvas);
+  },
+
+  setDraw(draw) {
+    this._draw = draw;
+    if (this._map) this._redraw();
+  },
+
+  _redraw() {
+    const map = this._map;
+    const size = map.getSize();
+    const ratio = window.devicePixelRatio || 1;
+    const canvas = this._canvas;
+
+    L.DomUtil.setPosition(canvas, map.containerPointToLayerPoint([0, 0]));
+    canvas.width = size.x * ratio;
+    canvas.height = size.y * ratio;
+    canvas.style.width = `${size.x}px`;
+    canvas.style.height = `${size.y}px`;
+
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, size.x, size.y);
+    this._draw(ctx, map, { width: size.x, height: size.y });
+  },
+});
+
+/**
+ * Mounts a canvas over the map and calls `draw(ctx, map, size)` whenever the
+ * view changes or `draw` itself changes (so memoize it).
+ */
+const CanvasOverlayLayer = ({ draw }) => {
+  const map = useMap();
+  const layerRef = useRef(null);
+
+  useEffect(() => {
+    const layer = new CanvasLayer(() => {});
+    layerRef.current = layer;
+    layer.addTo(map);
+    return () => {
+      layer.remove();
+      layerRef.current = null;
+    };
+  }, [map]);
+
+  useEffect(() => {
+    layerRef.current?.setDraw(draw);
+  }, [draw]);
+
+  return null;
+};
+
+export default CanvasOverlayLayer;
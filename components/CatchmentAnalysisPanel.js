@@ -0,0 +1,159 @@
+import React, { useMemo } from 'react';
+import { findOverlapClusters, rankCannibalizedOutlets } from '../lib/catchmentAnalysis';
+import { toCsv } from '../lib/csv';
+import { downloadFile, fileDateStamp } from '../lib/download';
+import useTranslation from '../hooks/useTranslation';
+import { MAP_CONFIG, UI_CONFIG } from '../variables';
+
+const CatchmentAnalysisPanel = ({
+  outlets = [],
+  overlaps = new Map(),
+  pairs = [],
+  radiusKm,
+  onRadiusChange,
+  onSelectOutlet,
+  isComputing = false,
+}) => {
+  const { t, formatNumber } = useTranslation();
+  const clusters = useMemo(() => findOverlapClusters(pairs, outlets), [pairs, outlets]);
+  const ranking = useMemo(
+    () => rankCannibalizedOutlets(overlaps, outlets, radiusKm),
+    [overlaps, outlets, radiusKm]
+  );
+
+  const handleExport = () => {
+    const clusterByOutlet = new Map();
+    clusters.forEach((cluster) => {
+      cluster.outlets.forEach((outlet) => clusterByOutlet.set(outlet.id, cluster));
+    });
+
+    const csv = toCsv(ranking.map((entry, index) => ({ ...entry, rank: index + 1 })), [
+      ['Rank', (row) => row.rank],
+      ['Outlet ID', (row) => row.outlet.id],
+      ['Name', (row) => row.outlet.name],
+      ['Address', (row) => row.outlet.address],
+      ['Latitude', (row) => row.outlet.latitude],
+      ['Longitude', (row) => row.outlet.longitude],
+      ['Catchment Radius (km)', () => radiusKm],
+      ['Cluster', (row) => clusterByOutlet.get(row.outlet.id)?.id],
+      ['Cluster Size', (row) => clusterByOutlet.get(row.outlet.id)?.outlets.length],
+      ['Overlapping Outlets', (row) => row.overlapCount],
+      ['Shared Catchment (%)', (row) => (row.score * 100).toFixed(1)],
+      ['Nearest Overlapping Outlet', (row) => row.nearest?.name],
+      ['Nearest Distance (km)', (row) => row.nearest?.distance.toFixed(2)],
+    ]);
+    downloadFile(csv, `catchment-analysis-${radiusKm}km-${fileDateStamp()}.csv`, 'text/csv;charset=utf-8');
+  };
+
+  const topRanking = ranking.slice(0, UI_CONFIG.ANALYSIS_TOP_OUTLETS);
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6 mt-8">
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+        <h3 className="text-xl font-semibold text-gray-900">
+          {t('catchment.title')}
+          {isComputing && <span className="ml-2 text-sm font-normal text-gray-500">{t('catchment.updating')}</span>}
+        </h3>
+        <div className="flex items-center gap-4">
+          <div className="flex items-center gap-2" role="group" aria-label={t('catchment.radiusLabel')}>
+            <span className="text-sm text-gray-700">{t('catchment.radius')}</span>
+            {MAP_CONFIG.CATCHMENT_RADIUS_OPTIONS_KM.map((option) => (
+              <button
+                key={option}
+                onClick={() => onRadiusChange?.(option)}
+                aria-pressed={option === radiusKm}
+                className={`px-3 py-1 text-sm rounded-md border transition-colors ${
+                  option === radiusKm
+                    ? 'bg-blue-600 border-blue-600 text-white'
+                    : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-100'
+                }`}
+              >
+                {option} km
+              </button>
+            ))}
+          </div>
+          <button
+            onClick={handleExport}
+            disabled={ranking.length === 0}
+            className="px-4 py-2 text-sm bg-green-600 text-white font-semibold rounded-lg shadow-md hover:bg-green-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors"
+          >
+            {t('catchment.exportCsv')}
+          </button>
+        </div>
+      </div>
+
+      <p className="text-gray-700 mb-4">
+        {t('catchment.summary', {
+          overlapping: ranking.length,
+          total: outlets.length,
+          radius: radiusKm,
+          count: clusters.length,
+        })}
+      </p>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <div>
+          <h4 className="font-semibold text-gray-800 mb-2">{t('catchment.clustersTitle')}</h4>
+          {clusters.length > 0 ? (
+            <ul className="space-y-2 max-h-80 overflow-y-auto">
+              {clusters.map((cluster) => (
+                <li key={cluster.id} className="p-3 border rounded-lg">
+                  <div className="flex justify-between text-sm font-medium text-gray-800">
+                    <span>{t('catchment.cluster', { id: cluster.id })}</span>
+                    <span>{t('catchment.clusterSize', { outlets: cluster.outlets.length, count: cluster.pairCount })}</span>
+                  </div>
+                  <div className="mt-1 text-xs text-gray-600">
+                    {cluster.outlets.map((outlet, index) => (
+                      <React.Fragment key={outlet.id}>
+                        {index > 0 && ', '}
+                        <button className="hover:underline" onClick={() => onSelectOutlet?.(outlet.id)}>
+                          {outlet.name}
+                        </button>
+                      </React.Fragment>
+                    ))}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="text-sm text-gray-500">{t('catchment.noClusters')}</p>
+          )}
+        </div>
+
+        <div>
+          <h4 className="font-semibold text-gray-800 mb-2">{t('catchment.rankingTitle')}</h4>
+          {topRanking.length > 0 ? (
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-600 border-b">
+                  <th className="py-1 pr-2">#</th>
+                  <th className="py-1 pr-2">{t('catchment.columns.outlet')}</th>
+                  <th className="py-1 pr-2 text-right">{t('catchment.columns.overlaps')}</th>
+                  <th className="py-1 text-right" title={t('catchment.columns.sharedHint')}>{t('catchment.columns.shared')}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {topRanking.map((entry, index) => (
+                  <tr
+                    key={entry.outlet.id}
+                    className="border-b last:border-0 text-gray-700 hover:bg-gray-50 cursor-pointer"
+                    onClick={() => onSelectOutlet?.(entry.outlet.id)}
+                  >
+                    <td className="py-1 pr-2">{index + 1}</td>
+                    <td className="py-1 pr-2">{entry.outlet.name}</td>
+                    <td className="py-1 pr-2 text-right">{entry.overlapCount}</td>
+                    <td className="py-1 text-right">{formatNumber(entry.score, { style: 'percent' })}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : (
+            <p className="text-sm text-gray-500">{t('catchment.noRanking')}</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CatchmentAnalysisPanel;
@@ -0,0 +1,26 @@
+import React, { useCallback } from 'react';
+import CanvasOverlayLayer from './CanvasOverlayLayer';
+import { drawCoverageGaps } from '../lib/mapOverlays';
+
+const KM_PER_DEGREE_LATITUDE = 111.32;
+export const COVERAGE_GAP_COLOR = 'rgba(124, 58, 237, 0.3)';
+
+// Shades everything farther than `distanceKm` from every outlet
+const CoverageGapLayer = ({ outlets, distanceKm }) => {
+  const draw = useCallback((ctx, map, size) => {
+    const circles = [];
+    outlets.forEach((outlet) => {
+      const centre = map.latLngToContainerPoint([outlet.latitude, outlet.longitude]);
+      // Pixel radius from a point distanceKm due north; Mercator keeps circles round
+      const edge = map.latLngToContainerPoint([Number(outlet.latitude) + distanceKm / KM_PER_DEGREE_LATITUDE, outlet.longitude]);
+      const radius = Math.abs(centre.y - edge.y);
+      if (centre.x < -radius || centre.y < -radius || centre.x > size.width + radius || centre.y > size.height + radius) return;
+      circles.push({ x: centre.x, y: centre.y, radius });
+    });
+    drawCoverageGaps(ctx, circles, size, COVERAGE_GAP_COLOR);
+  }, [outlets, distanceKm]);
+
+  return <CanvasOverlayLayer draw={draw} />;
+};
+
+export default CoverageGapLayer;
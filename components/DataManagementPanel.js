@@ -0,0 +1,339 @@
+import React, { useState, useMemo, useRef } from 'react';
+import { getAllOutlets, deleteAllOutlets, deleteOutlet, saveOutlets } from '../lib/apiClient';
+import {
+  listRegions,
+  outletsInScope,
+  scopeConfirmationText,
+} from '../lib/outletScope';
+import { createSnapshot, parseSnapshot } from '../lib/outletSnapshot';
+import { downloadFile, fileDateStamp } from '../lib/download';
+import { fileErrorMessage } from '../lib/fileError';
+import useTranslation from '../hooks/useTranslation';
+
+const SCOPE_TYPES = ['all', 'region', 'search'];
+
+// Scoped delete with a snapshot first and an optional rescrape afterwards
+const DataManagementPanel = ({ onDataChanged, onRescrape }) => {
+  const { t, locale, formatNumber } = useTranslation();
+  const [isOpen, setIsOpen] = useState(false);
+  const [storedOutlets, setStoredOutlets] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [scopeType, setScopeType] = useState('region');
+  const [region, setRegion] = useState('');
+  const [scopeSearchTerm, setScopeSearchTerm] = useState('');
+  const [snapshotTakenAt, setSnapshotTakenAt] = useState(null);
+  const [confirmation, setConfirmation] = useState('');
+  const [shouldRescrape, setShouldRescrape] = useState(true);
+  const [rescrapeTerm, setRescrapeTerm] = useState(null); // null follows the scope
+  const [isWorking, setIsWorking] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const regions = useMemo(() => (storedOutlets ? listRegions(storedOutlets) : []), [storedOutlets]);
+  const scope = useMemo(() => ({
+    type: scopeType,
+    value: scopeType === 'region' ? region : scopeType === 'search' ? scopeSearchTerm.trim() : undefined,
+  }), [scopeType, region, scopeSearchTerm]);
+  const affected = useMemo(
+    () => (storedOutlets ? outletsInScope(storedOutlets, scope) : []),
+    [storedOutlets, scope]
+  );
+
+  const expectedConfirmation = scopeConfirmationText(scope);
+  // Split around the placeholders that are rendered as styled elements
+  const [before, after] = t('dataManagement.affected', { count: storedOutlets?.length ?? 0 }).split('{affected}');
+  const [confirmBefore, confirmAfter] = t('dataManagement.confirmStep').split('{text}');
+  const isScopeComplete = scope.type === 'all' || Boolean(scope.value);
+  const defaultRescrapeTerm = scope.type === 'all' ? '' : scope.value || '';
+  const effectiveRescrapeTerm = (rescrapeTerm ?? defaultRescrapeTerm).trim();
+  const canDelete = isScopeComplete
+    && affected.length > 0
+    && snapshotTakenAt !== null
+    && confirmation.trim() === expectedConfirmation
+    && (!shouldRescrape || Boolean(effectiveRescrapeTerm))
+    && !isWorking;
+
+  // The snapshot and the counts are both taken from the full stored set
+  const loadStoredOutlets = async () => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      const outlets = await getAllOutlets();
+      setStoredOutlets(outlets);
+      setSnapshotTakenAt(null);
+      const [largest] = listRegions(outlets);
+      setRegion((current) => current || largest?.name || '');
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleToggle = () => {
+    if (!isOpen && storedOutlets === null) loadStoredOutlets();
+    setIsOpen(!isOpen);
+  };
+
+  const handleScopeTypeChange = (type) => {
+    setScopeType(type);
+    setConfirmation('');
+    setRescrapeTerm(null);
+  };
+
+  const handleDownloadSnapshot = () => {
+    downloadFile(createSnapshot(storedOutlets, scope), `outlets-snapshot-${fileDateStamp()}.json`, 'application/json');
+    setSnapshotTakenAt(Date.now());
+  };
+
+  const handleDelete = async () => {
+    if (!canDelete) return;
+    setIsWorking(true);
+    setError(null);
+    setResult(null);
+
+    const deletedIds = new Set();
+    try {
+      if (scope.type === 'all') {
+        await deleteAllOutlets();
+        affected.forEach((outlet) => deletedIds.add(outlet.id));
+      } else {
+        // By id, one at a time: DELETE /outlets takes no scope and would empty
+        // the database, while a backend without per-outlet deletes refuses the
+        // first call and nothing is lost
+        for (const outlet of affected) {
+          await deleteOutlet(outlet.id);
+          deletedIds.add(outlet.id);
+        }
+      }
+    } catch (e) {
+      setError(deletedIds.size
+        ? t('dataManagement.partiallyDeleted', { deleted: deletedIds.size, count: affected.length, message: e.message })
+        : e.message);
+    }
+
+    if (deletedIds.size > 0) {
+      const summary = {
+        message: t(`dataManagement.deleted.${scope.type}`, { region: scope.value, term: scope.value, count: deletedIds.size }),
+        warning: null,
+        job: null,
+      };
+      // Not after a failed delete; the admin decides how to go on from there
+      if (shouldRescrape && deletedIds.size === affected.length) {
+        try {
+          summary.job = await onRescrape?.(effectiveRescrapeTerm);
+        } catch (e) {
+          summary.warning = t('dataManagement.rescrapeFailed', { message: e.message });
+        }
+      }
+
+      setResult(summary);
+      setStoredOutlets((current) => current.filter((outlet) => !deletedIds.has(outlet.id)));
+      setSnapshotTakenAt(null);
+      setConfirmation('');
+      onDataChanged?.();
+    }
+    setIsWorking(false);
+  };
+
+  const handleRestoreFile = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    setError(null);
+    setResult(null);
+    let snapshot;
+    try {
+      snapshot = parseSnapshot(await file.text());
+    } catch (e) {
+      setError(fileErrorMessage(e, t));
+      return;
+    }
+
+    const question = snapshot.exportedAt
+      ? t('snapshot.confirmRestoreTaken', {
+        count: snapshot.outlets.length,
+        date: new Date(snapshot.exportedAt).toLocaleString(locale),
+      })
+      : t('snapshot.confirmRestore', { count: snapshot.outlets.length });
+    if (!confirm(question)) {
+      return;
+    }
+
+    setIsWorking(true);
+    try {
+      const response = await saveOutlets(snapshot.outlets);
+      const restored = response?.message || t('dataManagement.restored', { count: snapshot.outlets.length });
+      const skipped = snapshot.skipped ? ` ${t('dataManagement.skipped', { count: snapshot.skipped })}` : '';
+      setResult({ message: `${restored}${skipped}`, warning: null, job: null });
+      setStoredOutlets(await getAllOutlets());
+      onDataChanged?.();
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  return (
+    <div className="mt-6 border-t pt-4">
+      <button
+        onClick={handleToggle}
+        aria-expanded={isOpen}
+        className="font-semibold text-gray-800 hover:text-red-700"
+      >
+        {isOpen ? '▾' : '▸'} {t('dataManagement.title')}
+      </button>
+
+      {isOpen && (
+        <div className="mt-4 space-y-4 text-sm text-gray-700">
+          {isLoading && <p className="text-gray-500">{t('dataManagement.loading')}</p>}
+
+          {storedOutlets && (
+            <>
+              <fieldset>
+                <legend className="font-medium text-gray-800 mb-2">{t('dataManagement.scopeStep')}</legend>
+                <div className="flex flex-wrap items-center gap-4">
+                  {SCOPE_TYPES.map((type) => (
+                    <label key={type} className="flex items-center gap-2">
+                      <input
+                        type="radio"
+                        name="delete-scope"
+                        checked={scopeType === type}
+                        onChange={() => handleScopeTypeChange(type)}
+                      />
+                      {t(`dataManagement.scopes.${type}`)}
+                    </label>
+                  ))}
+                  {scopeType === 'region' && (
+                    <select
+                      value={region}
+                      onChange={(e) => { setRegion(e.target.value); setConfirmation(''); }}
+                      className="p-2 border border-gray-300 rounded-lg text-black"
+                    >
+                      {regions.length === 0 && <option value="">{t('dataManagement.noRegions')}</option>}
+                      {regions.map(({ name, count }) => (
+                        <option key={name} value={name}>{name} ({count})</option>
+                      ))}
+                    </select>
+                  )}
+                  {scopeType === 'search' && (
+                    <input
+                      type="text"
+                      value={scopeSearchTerm}
+                      onChange={(e) => { setScopeSearchTerm(e.target.value); setConfirmation(''); }}
+                      placeholder={t('dataManagement.searchPlaceholder')}
+                      className="p-2 border border-gray-300 rounded-lg text-black"
+                    />
+                  )}
+                </div>
+                <p className="mt-2">
+                  {before}<span className="font-semibold text-red-700">{formatNumber(affected.length)}</span>{after}
+                </p>
+              </fieldset>
+
+              <div>
+                <p className="font-medium text-gray-800 mb-2">{t('dataManagement.snapshotStep')}</p>
+                <button
+                  onClick={handleDownloadSnapshot}
+                  disabled={storedOutlets.length === 0}
+                  className="px-4 py-2 bg-gray-700 text-white font-semibold rounded-lg hover:bg-gray-800 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors"
+                >
+                  {t('dataManagement.downloadSnapshot', { count: storedOutlets.length })}
+                </button>
+                {snapshotTakenAt && (
+                  <span className="ml-3 text-green-700">{t('dataManagement.snapshotDownloaded')}</span>
+                )}
+              </div>
+
+              <div>
+                <p className="font-medium text-gray-800 mb-2">{t('dataManagement.rescrapeStep')}</p>
+                <label className="flex items-center gap-2">
+                  <input
+                    type="checkbox"
+                    checked={shouldRescrape}
+                    onChange={(e) => setShouldRescrape(e.target.checked)}
+                  />
+                  {t('dataManagement.rescrapeFor')}
+                  <input
+                    type="text"
+                    value={rescrapeTerm ?? defaultRescrapeTerm}
+                    onChange={(e) => setRescrapeTerm(e.target.value)}
+                    disabled={!shouldRescrape}
+                    placeholder={t('dataManagement.rescrapePlaceholder')}
+                    className="p-2 border border-gray-300 rounded-lg text-black disabled:bg-gray-100"
+                  />
+                </label>
+              </div>
+
+              <div>
+                <label htmlFor="delete-confirmation" className="block font-medium text-gray-800 mb-2">
+                  {confirmBefore}<code className="px-1 bg-gray-100 rounded">{expectedConfirmation || '…'}</code>{confirmAfter}
+                </label>
+                <div className="flex flex-wrap items-center gap-4">
+                  <input
+                    id="delete-confirmation"
+                    type="text"
+                    value={confirmation}
+                    onChange={(e) => setConfirmation(e.target.value)}
+                    disabled={!isScopeComplete || snapshotTakenAt === null}
+                    autoComplete="off"
+                    className="p-2 border border-gray-300 rounded-lg text-black disabled:bg-gray-100"
+                  />
+                  <button
+                    onClick={handleDelete}
+                    disabled={!canDelete}
+                    className="px-4 py-2 bg-red-600 text-white font-semibold rounded-lg shadow-md hover:bg-red-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors"
+                  >
+                    {isWorking
+                      ? t('dataManagement.working')
+                      : t(shouldRescrape ? 'dataManagement.deleteAndRescrape' : 'dataManagement.delete', { count: affected.length })}
+                  </button>
+                </div>
+                {snapshotTakenAt === null && affected.length > 0 && (
+                  <p className="mt-1 text-xs text-gray-500">{t('dataManagement.snapshotFirst')}</p>
+                )}
+              </div>
+            </>
+          )}
+
+          <div className="pt-2 border-t">
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept="application/json,.json"
+              onChange={handleRestoreFile}
+              className="hidden"
+            />
+            <button
+              onClick={() => fileInputRef.current?.click()}
+              disabled={isWorking}
+              className="text-blue-600 hover:underline disabled:text-gray-400"
+            >
+              {t('dataManagement.restore')}
+            </button>
+          </div>
+
+          {result && (
+            <div className="p-3 bg-green-50 border border-green-200 rounded-lg">
+              <p className="text-green-800">{result.message}</p>
+              {result.job && (
+                <p className="text-green-800">{t('dataManagement.rescrapeStarted', { term: result.job.searchTerm })}</p>
+              )}
+              {result.warning && <p className="mt-1 text-red-700 font-medium">{result.warning}</p>}
+            </div>
+          )}
+          {error && (
+            <div className="p-3 bg-red-100 border border-red-400 text-red-700 rounded-lg">
+              <span className="font-bold">{t('dataManagement.error')}</span> {error}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DataManagementPanel;
@@ -0,0 +1,27 @@
+import React, { useCallback } from 'react';
+import CanvasOverlayLayer from './CanvasOverlayLayer';
+import { drawHeatmap } from '../lib/mapOverlays';
+import { LAYER_CONFIG } from '../variables';
+
+const MARGIN_PX = LAYER_CONFIG.HEATMAP_RADIUS_PX + LAYER_CONFIG.HEATMAP_BLUR_PX;
+
+// Outlet density, drawn at a fixed pixel radius so clusters stand out at any zoom
+const DensityHeatmapLayer = ({ outlets }) => {
+  const draw = useCallback((ctx, map, size) => {
+    const points = [];
+    outlets.forEach((outlet) => {
+      const { x, y } = map.latLngToContainerPoint([outlet.latitude, outlet.longitude]);
+      if (x < -MARGIN_PX || y < -MARGIN_PX || x > size.width + MARGIN_PX || y > size.height + MARGIN_PX) return;
+      points.push({ x, y });
+    });
+    drawHeatmap(ctx, points, {
+      radius: LAYER_CONFIG.HEATMAP_RADIUS_PX,
+      blur: LAYER_CONFIG.HEATMAP_BLUR_PX,
+      pointOpacity: LAYER_CONFIG.HEATMAP_POINT_OPACITY,
+    });
+  }, [outlets]);
+
+  return <CanvasOverlayLayer draw={draw} />;
+};
+
+export default DensityHeatmapLayer;
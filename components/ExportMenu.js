@@ -0,0 +1,77 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { EXPORT_FORMATS, outletsToCsv, outletsToGeoJson, outletsToKml } from '../lib/outletExport';
+import { downloadFile, fileDateStamp } from '../lib/download';
+import useTranslation from '../hooks/useTranslation';
+
+// Downloads the outlets currently shown (after filters) in the chosen format
+const ExportMenu = ({ outlets = [], catchmentRadiusKm, overlaps = null }) => {
+  const { t } = useTranslation();
+  const [isOpen, setIsOpen] = useState(false);
+  const [includeCatchments, setIncludeCatchments] = useState(false);
+  const menuRef = useRef(null);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    const handlePointerDown = (event) => {
+      if (!menuRef.current?.contains(event.target)) setIsOpen(false);
+    };
+    const handleKeyDown = (event) => event.key === 'Escape' && setIsOpen(false);
+    document.addEventListener('mousedown', handlePointerDown);
+    document.addEventListener('keydown', handleKeyDown);
+    return () => {
+      document.removeEventListener('mousedown', handlePointerDown);
+      document.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [isOpen]);
+
+  const handleExport = ({ key, extension, mimeType }) => {
+    let content;
+    if (key === 'csv') content = outletsToCsv(outlets);
+    if (key === 'kml') content = outletsToKml(outlets);
+    if (key === 'geojson') {
+      content = outletsToGeoJson(outlets, includeCatchments ? { catchmentRadiusKm, overlaps } : {});
+    }
+    const suffix = key === 'geojson' && includeCatchments ? `-catchments-${catchmentRadiusKm}km` : '';
+    downloadFile(content, `outlets${suffix}-${fileDateStamp()}.${extension}`, mimeType);
+    setIsOpen(false);
+  };
+
+  return (
+    <div ref={menuRef} className="relative">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        disabled={outlets.length === 0}
+        aria-haspopup="menu"
+        aria-expanded={isOpen}
+        className="px-3 py-2 text-sm rounded-lg border border-gray-300 text-gray-700 bg-white hover:bg-gray-100 disabled:text-gray-400 disabled:cursor-not-allowed"
+      >
+        {t('export.button', { count: outlets.length })}
+      </button>
+      {isOpen && (
+        <div role="menu" className="absolute right-0 mt-2 w-64 bg-white border rounded-lg shadow-lg z-20 p-2 text-sm">
+          {EXPORT_FORMATS.map((format) => (
+            <button
+              key={format.key}
+              role="menuitem"
+              onClick={() => handleExport(format)}
+              className="block w-full text-left px-3 py-2 rounded text-gray-800 hover:bg-gray-100"
+            >
+              {format.label}
+            </button>
+          ))}
+          <label className="flex items-start gap-2 px-3 py-2 mt-1 border-t text-gray-600">
+            <input
+              type="checkbox"
+              checked={includeCatchments}
+              onChange={(e) => setIncludeCatchments(e.target.checked)}
+              className="mt-0.5"
+            />
+            <span>{t('export.includeCatchments', { radius: catchmentRadiusKm })}</span>
+          </label>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExportMenu;
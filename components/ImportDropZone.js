@@ -0,0 +1,84 @@
+import React, { useEffect, useRef, useState } from 'react';
+import useTranslation from '../hooks/useTranslation';
+
+const ACCEPT = '.csv,.geojson,.json';
+
+const hasFiles = (event) => Array.from(event.dataTransfer?.types ?? []).includes('Files');
+
+// "Import" button plus a page-wide drop target for outlet CSV/GeoJSON files
+const ImportDropZone = ({ onFile, disabled = false }) => {
+  const { t } = useTranslation();
+  const [isDragging, setIsDragging] = useState(false);
+  const inputRef = useRef(null);
+  const dragDepth = useRef(0);
+
+  useEffect(() => {
+    if (disabled) return;
+
+    // dragenter/dragleave fire for every child element, so count the nesting
+    const handleDragEnter = (event) => {
+      if (!hasFiles(event)) return;
+      event.preventDefault();
+      dragDepth.current++;
+      setIsDragging(true);
+    };
+    const handleDragOver = (event) => {
+      if (hasFiles(event)) event.preventDefault(); // allow dropping
+    };
+    const handleDragLeave = (event) => {
+      if (!hasFiles(event)) return;
+      dragDepth.current = Math.max(0, dragDepth.current - 1);
+      if (dragDepth.current === 0) setIsDragging(false);
+    };
+    const handleDrop = (event) => {
+      if (!hasFiles(event)) return;
+      event.preventDefault();
+      dragDepth.current = 0;
+      setIsDragging(false);
+      const file = event.dataTransfer.files?.[0];
+      if (file) onFile(file);
+    };
+
+    window.addEventListener('dragenter', handleDragEnter);
+    window.addEventListener('dragover', handleDragOver);
+    window.addEventListener('dragleave', handleDragLeave);
+    window.addEventListener('drop', handleDrop);
+    return () => {
+      window.removeEventListener('dragenter', handleDragEnter);
+      window.removeEventListener('dragover', handleDragOver);
+      window.removeEventListener('dragleave', handleDragLeave);
+      window.removeEventListener('drop', handleDrop);
+    };
+  }, [onFile, disabled]);
+
+  const handleFileChange = (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (file) onFile(file);
+  };
+
+  return (
+    <>
+      <button
+        onClick={() => inputRef.current?.click()}
+        disabled={disabled}
+        title={t('import.buttonTitle')}
+        className="px-3 py-2 text-sm rounded-lg border border-gray-300 text-gray-700 bg-white hover:bg-gray-100 disabled:text-gray-400 disabled:cursor-not-allowed"
+      >
+        {t('import.button')}
+      </button>
+      <input ref={inputRef} type="file" accept={ACCEPT} onChange={handleFileChange} className="hidden" />
+
+      {isDragging && (
+        <div className="fixed inset-0 z-[1000] flex items-center justify-center bg-blue-900/40 pointer-events-none">
+          <div className="bg-white rounded-lg shadow-xl px-8 py-6 text-center border-2 border-dashed border-blue-500">
+            <p className="text-lg font-semibold text-gray-900">{t('import.dropTitle')}</p>
+            <p className="text-sm text-gray-600 mt-1">{t('import.dropHint')}</p>
+          </div>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default ImportDropZone;
@@ -0,0 +1,51 @@
+import React, { useEffect, useMemo, useRef } from 'react';
+import { CircleMarker, Tooltip, useMap } from 'react-leaflet';
+import L from 'leaflet';
+import { IMPORT_STATUSES } from '../lib/outletImport';
+import useTranslation from '../hooks/useTranslation';
+
+const STATUS_BY_KEY = Object.fromEntries(IMPORT_STATUSES.map((status) => [status.key, status]));
+
+// Rows from the import preview drawn over the map; nothing here is saved
+const ImportOverlayLayer = ({ entries = [], accepted }) => {
+  const { t } = useTranslation();
+  const map = useMap();
+  const plotted = useMemo(() => entries.filter((entry) => entry.row && entry.status !== 'invalid'), [entries]);
+
+  // Frame the imported rows once when the overlay is switched on, not again
+  // every time a row is accepted or the dataset reloads
+  const hasFramed = useRef(false);
+  useEffect(() => {
+    if (hasFramed.current || plotted.length === 0) return;
+    hasFramed.current = true;
+    const bounds = L.latLngBounds(plotted.map(({ outlet }) => [outlet.latitude, outlet.longitude]));
+    map.fitBounds(bounds, { padding: [40, 40], maxZoom: 15 });
+  }, [map, plotted]);
+
+  return plotted.map((entry) => {
+    const { color } = STATUS_BY_KEY[entry.status];
+    const isAccepted = accepted?.has(entry.row);
+    return (
+      <CircleMarker
+        key={entry.row}
+        center={[entry.outlet.latitude, entry.outlet.longitude]}
+        radius={8}
+        pathOptions={{
+          color,
+          weight: 2,
+          fillColor: color,
+          fillOpacity: isAccepted ? 0.7 : 0.15,
+          dashArray: isAccepted ? null : '3 3',
+        }}
+      >
+        <Tooltip direction="top" offset={[0, -6]}>
+          <strong>{entry.outlet.name}</strong>
+          <br />
+          {entry.row} · {t(`import.statuses.${entry.status}`)}{isAccepted ? ` · ${t('import.accepted')}` : ''}
+        </Tooltip>
+      </CircleMarker>
+    );
+  });
+};
+
+export default ImportOverlayLayer;
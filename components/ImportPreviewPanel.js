@@ -0,0 +1,199 @@
+import React, { useMemo, useState } from 'react';
+import { IMPORT_STATUSES, SUBMITTABLE_STATUSES } from '../lib/outletImport';
+import { IMPORT_CONFIG } from '../variables';
+import useTranslation from '../hooks/useTranslation';
+
+const EntryDetail = ({ entry, onSelectOutlet }) => {
+  const { t, formatDistance } = useTranslation();
+  const formatValue = (value) => (value === null || value === undefined || value === '' ? t('import.empty') : String(value));
+
+  if (entry.status === 'invalid') return <span className="text-red-700">{t(`import.problems.${entry.problem}`, entry.values)}</span>;
+  if (entry.status === 'missing') return <span>{t('import.details.missing')}</span>;
+  if (entry.status === 'unchanged') return <span>{t('import.details.unchanged', { id: entry.existing.id })}</span>;
+
+  if (entry.status === 'changed') {
+    return (
+      <ul className="space-y-0.5">
+        {entry.changes.map(({ field, from, to }) => (
+          <li key={field}>
+            <span className="font-medium">{t(`import.fields.${field}`)}:</span>{' '}
+            <span className="line-through text-gray-400">{formatValue(from)}</span> → {formatValue(to)}
+          </li>
+        ))}
+      </ul>
+    );
+  }
+
+  if (entry.status === 'duplicate') {
+    const distance = formatDistance(entry.distance);
+    if (entry.duplicateOf) return <span>{t('import.details.duplicateOfRow', { distance, row: entry.duplicateOf })}</span>;
+    // Split around the outlet name, which is rendered as a button
+    const [before, after] = t('import.details.duplicateOf', { distance }).split('{name}');
+    return (
+      <span>
+        {before}
+        <button onClick={() => onSelectOutlet?.(entry.existing.id)} className="text-blue-600 hover:underline">
+          {entry.existing.name}
+        </button>
+        {after}
+      </span>
+    );
+  }
+  return null;
+};
+
+// Diff of an imported file against the stored outlets, with per-row acceptance
+const ImportPreviewPanel = ({
+  file,
+  entries = [],
+  accepted,
+  acceptedCount = 0,
+  showOnMap = false,
+  onShowOnMapChange,
+  onAcceptedChange,
+  onSubmit,
+  onDiscard,
+  onSelectOutlet,
+  isSubmitting = false,
+  error,
+  result,
+}) => {
+  const { t } = useTranslation();
+  const [activeStatus, setActiveStatus] = useState('new');
+
+  const entriesByStatus = useMemo(() => {
+    const groups = Object.fromEntries(IMPORT_STATUSES.map(({ key }) => [key, []]));
+    entries.forEach((entry) => groups[entry.status].push(entry));
+    return groups;
+  }, [entries]);
+
+  if (!file && !error) return null;
+
+  const activeEntries = entriesByStatus[activeStatus] ?? [];
+  const shownEntries = activeEntries.slice(0, IMPORT_CONFIG.PREVIEW_ROWS);
+  const isSelectable = SUBMITTABLE_STATUSES.includes(activeStatus);
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6 mb-8">
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+        <h3 className="text-xl font-semibold text-gray-900">
+          {t('import.title')}
+          {file && (
+            <span className="ml-2 text-sm font-normal text-gray-500">
+              {t('import.fileSummary', {
+                name: file.name,
+                format: file.format === 'geojson' ? 'GeoJSON' : 'CSV',
+                count: file.rows.length + file.invalid.length,
+              })}
+            </span>
+          )}
+        </h3>
+        {file && (
+          <div className="flex flex-wrap items-center gap-3 text-sm">
+            <label className="flex items-center gap-2 text-gray-700">
+              <input
+                type="checkbox"
+                checked={showOnMap}
+                onChange={(e) => onShowOnMapChange?.(e.target.checked)}
+              />
+              {t('import.showOnMap')}
+            </label>
+            <button
+              onClick={onSubmit}
+              disabled={isSubmitting || acceptedCount === 0}
+              className="px-4 py-2 bg-blue-600 text-white font-semibold rounded-lg shadow-md hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors"
+            >
+              {isSubmitting ? t('import.saving') : t('import.saveAccepted', { count: acceptedCount })}
+            </button>
+            <button onClick={onDiscard} className="px-3 py-2 text-gray-600 hover:underline">
+              {t('import.discard')}
+            </button>
+          </div>
+        )}
+        {!file && (
+          <button onClick={onDiscard} className="text-sm text-gray-600 hover:underline">{t('import.dismiss')}</button>
+        )}
+      </div>
+
+      {error && <p className="mb-3 text-sm text-red-700" role="alert">{error}</p>}
+      {result && <p className="mb-3 text-sm text-green-700">{result}</p>}
+
+      {file && (
+        <>
+          <div className="flex flex-wrap gap-2 mb-3" role="tablist">
+            {IMPORT_STATUSES.map(({ key, color }) => (
+              <button
+                key={key}
+                role="tab"
+                aria-selected={key === activeStatus}
+                onClick={() => setActiveStatus(key)}
+                className={`flex items-center gap-2 px-3 py-1 text-sm rounded-md border transition-colors ${
+                  key === activeStatus
+                    ? 'bg-gray-900 border-gray-900 text-white'
+                    : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-100'
+                }`}
+              >
+                <span className="inline-block h-2.5 w-2.5 rounded-full" style={{ backgroundColor: color }}></span>
+                {t(`import.statuses.${key}`)} ({entriesByStatus[key].length})
+              </button>
+            ))}
+          </div>
+
+          {isSelectable && activeEntries.length > 0 && (
+            <div className="flex gap-4 mb-2 text-sm">
+              <button
+                onClick={() => onAcceptedChange?.(activeEntries.map((entry) => entry.row), true)}
+                className="text-blue-600 hover:underline"
+              >
+                {t('import.acceptAll')}
+              </button>
+              <button
+                onClick={() => onAcceptedChange?.(activeEntries.map((entry) => entry.row), false)}
+                className="text-blue-600 hover:underline"
+              >
+                {t('import.acceptNone')}
+              </button>
+            </div>
+          )}
+
+          {activeEntries.length === 0 ? (
+            <p className="text-sm text-gray-500">{t('import.nothingHere')}</p>
+          ) : (
+            <ul className="divide-y max-h-96 overflow-y-auto text-sm">
+              {shownEntries.map((entry) => (
+                <li key={entry.row ?? `existing-${entry.outlet.id}`} className="py-2 flex items-start gap-3">
+                  {isSelectable && (
+                    <input
+                      type="checkbox"
+                      checked={accepted.has(entry.row)}
+                      onChange={(e) => onAcceptedChange?.([entry.row], e.target.checked)}
+                      aria-label={t('import.acceptRow', { name: entry.outlet.name })}
+                      className="mt-1"
+                    />
+                  )}
+                  <div className="min-w-0">
+                    <p className="text-gray-900">
+                      {entry.row && <span className="text-gray-500 mr-2">{entry.row}</span>}
+                      {entry.outlet?.name || t('import.noName')}
+                    </p>
+                    {entry.outlet?.address && <p className="text-gray-500 truncate">{entry.outlet.address}</p>}
+                    <div className="text-gray-700 mt-0.5">
+                      <EntryDetail entry={entry} onSelectOutlet={onSelectOutlet} />
+                    </div>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+          {activeEntries.length > shownEntries.length && (
+            <p className="mt-2 text-xs text-gray-500">
+              {t('import.showingFirst', { shown: shownEntries.length, count: activeEntries.length })}
+            </p>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ImportPreviewPanel;
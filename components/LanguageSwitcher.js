@@ -0,0 +1,38 @@
+import React from 'react';
+import { useRouter } from 'next/router';
+import useTranslation from '../hooks/useTranslation';
+import { saveLocale, translate } from '../lib/i18n';
+
+// EN / BM toggle for the page header. Stays on the same page and query; the
+// choice is remembered so the next visit to / opens in that language.
+const LanguageSwitcher = () => {
+  const router = useRouter();
+  const { locale, t } = useTranslation();
+
+  const handleChange = (nextLocale) => {
+    if (nextLocale === locale) return;
+    saveLocale(nextLocale);
+    router.push({ pathname: router.pathname, query: router.query }, router.asPath, { locale: nextLocale, scroll: false });
+  };
+
+  return (
+    <div className="flex items-center rounded-lg border border-gray-300 text-sm overflow-hidden" role="group" aria-label={t('language.label')}>
+      {(router.locales ?? [locale]).map((option) => (
+        <button
+          key={option}
+          lang={option}
+          onClick={() => handleChange(option)}
+          aria-pressed={option === locale}
+          title={translate(option, 'language.name')}
+          className={`px-2 py-1 font-medium transition-colors ${
+            option === locale ? 'bg-gray-800 text-white' : 'text-gray-700 hover:bg-gray-100'
+          }`}
+        >
+          {translate(option, 'language.short')}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default LanguageSwitcher;
@@ -1,16 +1,48 @@
 import { useEffect } from 'react';
+import markerIcon from 'leaflet/dist/images/marker-icon.png';
+import markerIcon2x from 'leaflet/dist/images/marker-icon-2x.png';
+import markerShadow from 'leaflet/dist/images/marker-shadow.png';
+import { outletPinHtml, outletPinSize } from '../lib/outletPins';
 
+// Leaflet touches `window` on import, so it is only required in the browser
+const loadLeaflet = () => require('leaflet');
+
+const outletIconCache = new Map();
+
+/**
+ * Leaflet icon for an outlet marker in the given state (see outletPinHtml).
+ * Icons are cached per state so markers only re-render when it changes.
+ * @param {import('../lib/outletPins').OutletPinState} state
+ */
+export const getOutletIcon = ({ overlapCount = 0, isClosed = false, isSelected = false } = {}) => {
+  const badge = Math.min(overlapCount, 10); // the badge stops at "9+"
+  const cacheKey = `${badge}:${isClosed}:${isSelected}`;
+  if (!outletIconCache.has(cacheKey)) {
+    const L = loadLeaflet();
+    const [width, height] = outletPinSize({ isSelected });
+    outletIconCache.set(cacheKey, L.divIcon({
+      html: outletPinHtml({ overlapCount: badge, isClosed, isSelected }),
+      className: 'outlet-pin',
+      iconSize: L.point(width, height),
+      iconAnchor: L.point(width / 2, height - 1), // the pin's tip
+      popupAnchor: L.point(0, -height + 4),
+      tooltipAnchor: L.point(0, -height + 4),
+    }));
+  }
+  return outletIconCache.get(cacheKey);
+};
+
+// Points Leaflet's default marker at the bundled images instead of a CDN
 const MapIcon = () => {
   useEffect(() => {
-    // Fix for default markers not showing in Next.js
     if (typeof window !== 'undefined') {
-      const L = require('leaflet');
-      
+      const L = loadLeaflet();
+
       delete L.Icon.Default.prototype._getIconUrl;
       L.Icon.Default.mergeOptions({
-        iconRetinaUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.9.4/images/marker-icon-2x.png',
-        iconUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.9.4/images/marker-icon.png',
-        shadowUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.9.4/images/marker-shadow.png',
+        iconRetinaUrl: markerIcon2x.src,
+        iconUrl: markerIcon.src,
+        shadowUrl: markerShadow.src,
       });
     }
   }, []);
@@ -18,4 +50,4 @@ const MapIcon = () => {
   return null;
 };
 
-export default MapIcon; 
\ No newline at end of file
+export default MapIcon;
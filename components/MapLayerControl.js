@@ -0,0 +1,77 @@
+import React, { useState } from 'react';
+import useTranslation from '../hooks/useTranslation';
+import { LAYER_CONFIG } from '../variables';
+
+const OVERLAYS = ['catchments', 'heatmap', 'coverageGaps'];
+
+// Base map and overlay picker shown over the map
+const MapLayerControl = ({
+  baseLayerKey,
+  onBaseLayerChange,
+  overlays,
+  onOverlayChange,
+  coverageGapKm,
+  onCoverageGapKmChange,
+}) => {
+  const { t } = useTranslation();
+  const [isOpen, setIsOpen] = useState(false);
+
+  return (
+    <div className="absolute top-16 right-4 z-10 text-sm">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        aria-expanded={isOpen}
+        className="ml-auto block bg-white px-3 py-2 rounded-lg shadow-md font-medium text-gray-700 hover:bg-gray-100"
+      >
+        {t('layers.button')} {isOpen ? '▴' : '▾'}
+      </button>
+      {isOpen && (
+        <div className="mt-2 w-60 bg-white rounded-lg shadow-lg p-3 space-y-3">
+          <fieldset>
+            <legend className="font-semibold text-gray-800 mb-1">{t('layers.baseMap')}</legend>
+            {LAYER_CONFIG.BASE_LAYERS.map((layer) => (
+              <label key={layer.key} className="flex items-center gap-2 text-gray-700">
+                <input
+                  type="radio"
+                  name="base-layer"
+                  checked={layer.key === baseLayerKey}
+                  onChange={() => onBaseLayerChange?.(layer.key)}
+                />
+                {t(`layers.baseLayers.${layer.key}`, { name: layer.name })}
+              </label>
+            ))}
+          </fieldset>
+          <fieldset>
+            <legend className="font-semibold text-gray-800 mb-1">{t('layers.overlays')}</legend>
+            {OVERLAYS.map((key) => (
+              <label key={key} className="flex items-center gap-2 text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={Boolean(overlays[key])}
+                  onChange={(e) => onOverlayChange?.(key, e.target.checked)}
+                />
+                {t(`layers.overlayNames.${key}`)}
+              </label>
+            ))}
+            {overlays.coverageGaps && (
+              <label className="flex items-center gap-2 mt-1 pl-6 text-gray-600">
+                {t('layers.fartherThan')}
+                <select
+                  value={coverageGapKm}
+                  onChange={(e) => onCoverageGapKmChange?.(Number(e.target.value))}
+                  className="p-1 border border-gray-300 rounded text-black"
+                >
+                  {LAYER_CONFIG.COVERAGE_GAP_OPTIONS_KM.map((km) => (
+                    <option key={km} value={km}>{km} km</option>
+                  ))}
+                </select>
+              </label>
+            )}
+          </fieldset>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MapLayerControl;
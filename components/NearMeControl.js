@@ -0,0 +1,99 @@
+import React, { useMemo } from 'react';
+import useTranslation from '../hooks/useTranslation';
+import { LOCATION_CONFIG } from '../variables';
+
+const NearMeControl = ({
+  location,
+  isLocating = false,
+  error,
+  radiusKm,
+  onRadiusChange,
+  onLocate,
+  onDropPin,
+  onClear,
+  outlets = [],
+  distances = null,
+  onSelectOutlet,
+}) => {
+  const { t, formatDistance } = useTranslation();
+  const { nearest, withinRadius } = useMemo(() => {
+    if (!distances) return { nearest: null, withinRadius: 0 };
+    let closest = null;
+    let count = 0;
+    outlets.forEach((outlet) => {
+      const distance = distances.get(outlet.id);
+      if (distance === undefined) return;
+      if (distance <= radiusKm) count++;
+      if (!closest || distance < closest.distance) closest = { outlet, distance };
+    });
+    return { nearest: closest, withinRadius: count };
+  }, [outlets, distances, radiusKm]);
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-4 mb-8">
+      <div className="flex flex-wrap items-center gap-3 text-sm">
+        <span className="font-semibold text-gray-900">{t('nearMe.title')}</span>
+        <button
+          onClick={onLocate}
+          disabled={isLocating}
+          className="px-3 py-2 bg-green-600 text-white font-semibold rounded-lg hover:bg-green-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors"
+        >
+          {isLocating ? t('nearMe.locating') : t('nearMe.locate')}
+        </button>
+        {!location && (
+          <button onClick={onDropPin} className="px-3 py-2 text-green-700 hover:underline">
+            {t('nearMe.dropPin')}
+          </button>
+        )}
+
+        {location && (
+          <>
+            <span className="text-gray-600">
+              {location.source === 'gps'
+                ? (location.accuracy
+                  ? t('nearMe.yourLocationAccuracy', { accuracy: formatDistance(location.accuracy / 1000) })
+                  : t('nearMe.yourLocation'))
+                : t('nearMe.pinnedLocation')}
+            </span>
+            <label className="flex items-center gap-2 text-gray-700">
+              {t('nearMe.radius')}
+              <select
+                value={radiusKm}
+                onChange={(e) => onRadiusChange?.(Number(e.target.value))}
+                className="p-1 border border-gray-300 rounded-lg text-black"
+              >
+                {LOCATION_CONFIG.RADIUS_OPTIONS_KM.map((option) => (
+                  <option key={option} value={option}>{option} km</option>
+                ))}
+              </select>
+            </label>
+            <button onClick={onClear} className="px-3 py-2 text-gray-600 hover:underline">
+              {t('nearMe.clear')}
+            </button>
+          </>
+        )}
+      </div>
+
+      {location && (
+        <p className="mt-2 text-sm text-gray-700">
+          {t('nearMe.withinRadius', { count: withinRadius, radius: radiusKm })}
+          {nearest && (
+            <>
+              {` · ${t('nearMe.nearest')} `}
+              <button
+                onClick={() => onSelectOutlet?.(nearest.outlet.id)}
+                className="text-blue-600 hover:underline"
+              >
+                {nearest.outlet.name}
+              </button>
+              {` (${formatDistance(nearest.distance)})`}
+            </>
+          )}
+        </p>
+      )}
+      {error && <p className="mt-2 text-sm text-amber-700">{error}</p>}
+    </div>
+  );
+};
+
+export default NearMeControl;
@@ -0,0 +1,40 @@
+import React from 'react';
+import useTranslation from '../hooks/useTranslation';
+
+const formatSavedAt = (timestamp, locale) => new Date(timestamp).toLocaleString(locale, {
+  day: 'numeric',
+  month: 'short',
+  hour: '2-digit',
+  minute: '2-digit',
+});
+
+// Explains why the data may be stale and what happens to new requests.
+// `savedAt` is when this device last saved the outlets, whether or not the
+// saved copy is what is shown right now.
+const OfflineBanner = ({ isOnline = true, isShowingSaved = false, savedAt = null, onRetry }) => {
+  const { t, locale } = useTranslation();
+  if (isOnline && !isShowingSaved) return null;
+
+  return (
+    <div className="bg-amber-50 border border-amber-300 text-amber-900 px-4 py-3 rounded-lg mb-6 text-sm" role="status">
+      <div className="flex flex-wrap items-center gap-x-4 gap-y-1">
+        <strong className="font-semibold">{isOnline ? t('offline.unreachable') : t('offline.offline')}</strong>
+        {savedAt
+          ? <span>{t('offline.savedAt', { date: formatSavedAt(savedAt, locale) })}</span>
+          : <span>{t('offline.noSavedData')}</span>}
+        {isOnline && onRetry && (
+          <button onClick={onRetry} className="ml-auto text-amber-800 font-medium hover:underline">
+            {t('offline.retry')}
+          </button>
+        )}
+      </div>
+      {!isOnline && (
+        <p className="mt-1 text-amber-800">
+          {t('offline.queued')}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default OfflineBanner;
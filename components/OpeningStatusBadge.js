@@ -0,0 +1,41 @@
+import React from 'react';
+import useTranslation from '../hooks/useTranslation';
+import { getOpenStatus, formatDuration, CLOSING_SOON_MINUTES } from '../lib/operatingHours';
+
+const BADGE_STYLES = {
+  open: 'bg-green-100 text-green-700',
+  closing: 'bg-amber-100 text-amber-700',
+  closed: 'bg-red-100 text-red-700',
+  unknown: 'bg-gray-100 text-gray-600',
+};
+
+const describeStatus = (status, t, locale) => {
+  if (status.state === 'unknown') return { style: 'unknown', label: t('hours.unknown') };
+  if (status.state === 'closed') {
+    return {
+      style: 'closed',
+      label: t('hours.closed'),
+      title: status.opensInMinutes !== null ? t('hours.opensIn', { duration: formatDuration(status.opensInMinutes, locale) }) : undefined,
+    };
+  }
+  if (status.closesInMinutes !== null && status.closesInMinutes <= CLOSING_SOON_MINUTES) {
+    return { style: 'closing', label: t('hours.closesIn', { duration: formatDuration(status.closesInMinutes, locale) }) };
+  }
+  return { style: 'open', label: t('hours.openNow') };
+};
+
+// Open/closed badge for an outlet's scraped hours, evaluated in Malaysia time
+const OpeningStatusBadge = ({ hours, now, className = '' }) => {
+  const { t, locale } = useTranslation();
+  const { style, label, title } = describeStatus(getOpenStatus(hours, now), t, locale);
+  return (
+    <span
+      title={title}
+      className={`inline-block px-2 py-0.5 rounded-full text-xs font-medium whitespace-nowrap ${BADGE_STYLES[style]} ${className}`}
+    >
+      {label}
+    </span>
+  );
+};
+
+export default OpeningStatusBadge;
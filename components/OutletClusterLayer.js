@@ -0,0 +1,174 @@
+import React, { useState, useMemo, useCallback, useEffect } from 'react';
+import { Marker, Circle, CircleMarker, useMap, useMapEvents } from 'react-leaflet';
+import L from 'leaflet';
+import Supercluster from 'supercluster';
+import OutletMarker from './OutletMarker';
+import { isOpenNow } from '../lib/operatingHours';
+import { MAP_CONFIG } from '../variables';
+
+const clusterIconCache = new Map();
+
+const getClusterIcon = (count) => {
+  const size = count < 10 ? 'small' : count < 100 ? 'medium' : 'large';
+  const cacheKey = `${size}-${count}`;
+  if (!clusterIconCache.has(cacheKey)) {
+    const pixels = { small: 34, medium: 42, large: 52 }[size];
+    clusterIconCache.set(cacheKey, L.divIcon({
+      html: `<div><span>${count}</span></div>`,
+      className: `outlet-cluster outlet-cluster-${size}`,
+      iconSize: L.point(pixels, pixels),
+    }));
+  }
+  return clusterIconCache.get(cacheKey);
+};
+
+const getViewport = (map) => {
+  // Pad the bounds so catchment circles centred just off-screen still render
+  const bounds = map.getBounds().pad(MAP_CONFIG.VIEWPORT_PADDING);
+  return {
+    bbox: [bounds.getWest(), bounds.getSouth(), bounds.getEast(), bounds.getNorth()],
+    zoom: map.getZoom(),
+  };
+};
+
+// Clusters outlets per zoom level and only mounts what is inside the viewport
+const OutletClusterLayer = ({
+  outlets,
+  intersectingOutlets,
+  selectedOutletId,
+  highlightedOutletIds,
+  routeStopNumbers = null,
+  onSelectOutlet,
+  onDeselectOutlet,
+  onToggleRouteStop,
+  catchmentRadiusKm,
+  showCatchments: catchmentsEnabled = true,
+  onZoomChange,
+  now,
+}) => {
+  const map = useMap();
+  const [viewport, setViewport] = useState(() => getViewport(map));
+
+  const updateViewport = useCallback(() => {
+    const next = getViewport(map);
+    setViewport(next);
+    onZoomChange?.(next.zoom);
+  }, [map, onZoomChange]);
+
+  useMapEvents({ moveend: updateViewport });
+
+  useEffect(() => {
+    updateViewport();
+  }, [updateViewport]);
+
+  // Outlets that always get their own marker: the selected outlet, so the map
+  // can fly to it and open its popup, outlets mentioned by the AI so they stand
+  // out, and route stops, which carry their number above the pin. They are kept
+  // out of the cluster index so a cluster never counts them a second time.
+  const pinnedIds = useMemo(() => {
+    const ids = new Set(routeStopNumbers?.keys());
+    highlightedOutletIds?.forEach((id) => ids.add(String(id)));
+    if (selectedOutletId !== null) ids.add(String(selectedOutletId));
+    return ids;
+  }, [selectedOutletId, highlightedOutletIds, routeStopNumbers]);
+
+  const index = useMemo(() => {
+    const supercluster = new Supercluster({
+      radius: MAP_CONFIG.CLUSTER_RADIUS,
+      maxZoom: MAP_CONFIG.CLUSTER_MAX_ZOOM,
+    });
+    supercluster.load(outlets.filter((outlet) => !pinnedIds.has(String(outlet.id))).map((outlet) => ({
+      type: 'Feature',
+      properties: { outlet },
+      geometry: { type: 'Point', coordinates: [outlet.longitude, outlet.latitude] },
+    })));
+    return supercluster;
+  }, [outlets, pinnedIds]);
+
+  const features = useMemo(
+    () => index.getClusters(viewport.bbox, Math.round(viewport.zoom)),
+    [index, viewport]
+  );
+
+  const visibleOutlets = features
+    .filter((feature) => !feature.properties.cluster)
+    .map((feature) => feature.properties.outlet)
+    .concat(outlets.filter((outlet) => pinnedIds.has(String(outlet.id))));
+
+  const selectedOutlet = selectedOutletId === null
+    ? null
+    : outlets.find((outlet) => String(outlet.id) === String(selectedOutletId));
+
+  const highlightedOutlets = highlightedOutletIds?.size
+    ? outlets.filter((outlet) => highlightedOutletIds.has(outlet.id))
+    : [];
+
+  const showCatchments = catchmentsEnabled && viewport.zoom >= MAP_CONFIG.CATCHMENT_MIN_ZOOM;
+
+  const expandCluster = (feature) => {
+    const [lng, lat] = feature.geometry.coordinates;
+    const zoom = Math.min(
+      index.getClusterExpansionZoom(feature.properties.cluster_id),
+      MAP_CONFIG.CLUSTER_MAX_ZOOM + 1
+    );
+    map.flyTo([lat, lng], zoom, { duration: MAP_CONFIG.FLY_TO_DURATION });
+  };
+
+  return (
+    <>
+      {/* Catchment circles */}
+      {showCatchments && visibleOutlets.map((outlet) => {
+        const isIntersecting = intersectingOutlets.has(outlet.id);
+        return (
+          <Circle
+            key={`circle-${outlet.id}`}
+            center={[outlet.latitude, outlet.longitude]}
+            radius={catchmentRadiusKm * 1000} // km to meters
+            pathOptions={{
+              color: isIntersecting ? '#ef4444' : '#3b82f6',
+              fillColor: isIntersecting ? '#ef4444' : '#3b82f6',
+              fillOpacity: 0.1,
+              weight: isIntersecting ? 3 : 2,
+              opacity: 0.6
+            }}
+          />
+        );
+      })}
+
+      {highlightedOutlets.map((outlet) => (
+        <CircleMarker
+          key={`highlight-${outlet.id}`}
+          center={[outlet.latitude, outlet.longitude]}
+          radius={22}
+          interactive={false}
+          pathOptions={{ color: '#9333ea', weight: 3, fillColor: '#9333ea', fillOpacity: 0.15 }}
+        />
+      ))}
+
+      {features.filter((feature) => feature.properties.cluster).map((feature) => (
+        <Marker
+          key={`cluster-${feature.properties.cluster_id}`}
+          position={[feature.geometry.coordinates[1], feature.geometry.coordinates[0]]}
+          icon={getClusterIcon(feature.properties.point_count)}
+          eventHandlers={{ click: () => expandCluster(feature) }}
+        />
+      ))}
+
+      {visibleOutlets.map((outlet) => (
+        <OutletMarker
+          key={outlet.id}
+          outlet={outlet}
+          overlaps={intersectingOutlets.get(outlet.id)}
+          isClosed={isOpenNow(outlet.operating_hours, now) === false}
+          isSelected={outlet === selectedOutlet}
+          routeStopNumber={routeStopNumbers?.get(String(outlet.id)) ?? null}
+          onSelect={onSelectOutlet}
+          onDeselect={onDeselectOutlet}
+          onToggleRouteStop={onToggleRouteStop}
+        />
+      ))}
+    </>
+  );
+};
+
+export default OutletClusterLayer;
@@ -0,0 +1,59 @@
+import React from 'react';
+import { useRouter } from 'next/router';
+import { MapContainer, TileLayer, Marker, Circle, Tooltip } from 'react-leaflet';
+import { getOutletIcon } from './MapIcon';
+import useMapLayers from '../hooks/useMapLayers';
+import { DETAIL_CONFIG } from '../variables';
+
+// Small map on an outlet's page: the outlet with its catchment, plus the
+// nearby outlets, each linking to its own page
+const OutletDetailMap = ({ outlet, nearby = [], catchmentRadiusKm, hasOverlaps = false }) => {
+  const router = useRouter();
+  const { baseLayer } = useMapLayers();
+  const catchmentColor = hasOverlaps ? '#ef4444' : '#3b82f6';
+
+  return (
+    <div className="w-full h-72 rounded-lg overflow-hidden shadow">
+      <MapContainer
+        center={[outlet.latitude, outlet.longitude]}
+        zoom={DETAIL_CONFIG.MAP_ZOOM}
+        scrollWheelZoom={false}
+        style={{ height: '100%', width: '100%' }}
+        className="z-0"
+      >
+        <TileLayer
+          key={baseLayer.key}
+          url={baseLayer.url}
+          attribution={baseLayer.attribution}
+          maxZoom={baseLayer.maxZoom}
+          subdomains={baseLayer.subdomains ?? 'abc'}
+          crossOrigin={baseLayer.crossOrigin}
+        />
+        <Circle
+          center={[outlet.latitude, outlet.longitude]}
+          radius={catchmentRadiusKm * 1000} // km to meters
+          pathOptions={{ color: catchmentColor, fillColor: catchmentColor, fillOpacity: 0.1, weight: 2 }}
+        />
+        {nearby.map((other) => (
+          <Marker
+            key={other.id}
+            position={[other.latitude, other.longitude]}
+            icon={getOutletIcon()}
+            alt={other.name}
+            eventHandlers={{ click: () => router.push(`/outlets/${other.id}`) }}
+          >
+            <Tooltip>{other.name}</Tooltip>
+          </Marker>
+        ))}
+        <Marker
+          position={[outlet.latitude, outlet.longitude]}
+          icon={getOutletIcon({ isSelected: true })}
+          alt={outlet.name}
+          zIndexOffset={1000}
+        />
+      </MapContainer>
+    </div>
+  );
+};
+
+export default OutletDetailMap;
@@ -0,0 +1,55 @@
+import React from 'react';
+import useTranslation from '../hooks/useTranslation';
+import { FILTER_FACETS, countActiveFilters } from '../lib/outletFilters';
+
+const OutletFilterBar = ({ filters, onFilterChange, onReset, facetCounts = {}, matchCount, totalCount, children }) => {
+  const { t } = useTranslation();
+  const activeCount = countActiveFilters(filters);
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-4 mb-8">
+      <div className="flex flex-wrap items-center gap-3">
+        <input
+          type="search"
+          value={filters.text}
+          onChange={(e) => onFilterChange('text', e.target.value)}
+          placeholder={t('filters.placeholder')}
+          aria-label={t('filters.label')}
+          className="flex-grow min-w-[200px] p-2 border text-black border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
+        />
+        {FILTER_FACETS.map(({ key }) => (
+          <button
+            key={key}
+            onClick={() => onFilterChange(key, !filters[key])}
+            aria-pressed={filters[key]}
+            className={`px-3 py-2 text-sm rounded-full border transition-colors ${
+              filters[key]
+                ? 'bg-blue-600 border-blue-600 text-white'
+                : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-100'
+            }`}
+          >
+            {t(`filters.facets.${key}`)}
+            {facetCounts[key] !== undefined && (
+              <span className={`ml-1 ${filters[key] ? 'text-blue-100' : 'text-gray-400'}`}>
+                ({facetCounts[key]})
+              </span>
+            )}
+          </button>
+        ))}
+        {activeCount > 0 && (
+          <button onClick={onReset} className="px-3 py-2 text-sm text-blue-600 hover:underline">
+            {t('filters.clear')}
+          </button>
+        )}
+        {children && <div className="ml-auto flex items-center gap-2">{children}</div>}
+      </div>
+      {activeCount > 0 && (
+        <p className="mt-2 text-sm text-gray-600">
+          {t('filters.matchCount', { matches: matchCount, count: totalCount })}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default OutletFilterBar;
@@ -0,0 +1,37 @@
+import React from 'react';
+import OpeningStatusBadge from './OpeningStatusBadge';
+import useTranslation from '../hooks/useTranslation';
+import { parseOperatingHours, formatWeeklySchedule } from '../lib/operatingHours';
+
+// Weekly schedule with the current open/closed badge; the badge is left out
+// while `now` is null (e.g. during server rendering)
+const OutletHours = ({ hours, now }) => {
+  const { t, locale } = useTranslation();
+  const schedule = formatWeeklySchedule(parseOperatingHours(hours), locale);
+
+  return (
+    <div>
+      <div className="flex items-center gap-2">
+        <span className="font-semibold text-gray-700">{t('hours.title')}</span>
+        {now && <OpeningStatusBadge hours={hours} now={now} />}
+      </div>
+      {schedule.length > 0 ? (
+        <table className="text-gray-600">
+          <tbody>
+            {schedule.map((row) => (
+              <tr key={row.label}>
+                <td className="pr-3 align-top">{row.label}</td>
+                <td>{row.hours}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ) : (
+        // Keep the scraped text when it could not be parsed
+        hours && <p className="text-gray-600">{hours}</p>
+      )}
+    </div>
+  );
+};
+
+export default OutletHours;
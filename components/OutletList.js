@@ -0,0 +1,145 @@
+import React from 'react';
+import VirtualList from './VirtualList';
+import OpeningStatusBadge from './OpeningStatusBadge';
+import useTranslation from '../hooks/useTranslation';
+import { hasValidCoordinates } from '../lib/geo';
+import { OUTLET_SORTS } from '../lib/outletFilters';
+import { UI_CONFIG } from '../variables';
+
+const OutletList = ({
+  outlets = [],
+  total = null,
+  hasMore = false,
+  isLoading = false,
+  onLoadMore,
+  selectedOutletId = null,
+  onSelectOutlet,
+  highlightedOutletIds = null,
+  routeStopNumbers = null,
+  onToggleRouteStop,
+  now = new Date(),
+  distances = null,
+  sortBy = 'name',
+  onSortChange,
+  emptyMessage,
+}) => {
+  const { t, formatNumber, formatDistance } = useTranslation();
+  const selectedIndex = selectedOutletId === null
+    ? -1
+    : outlets.findIndex((outlet) => String(outlet.id) === selectedOutletId);
+  const totalCount = total ?? outlets.length;
+  const formatCoordinate = (value) => formatNumber(value, { minimumFractionDigits: 4, maximumFractionDigits: 4 });
+
+  const renderOutlet = (outlet) => {
+    const isSelected = String(outlet.id) === selectedOutletId;
+    const isHighlighted = highlightedOutletIds?.has(outlet.id);
+    const routeStopNumber = routeStopNumbers?.get(String(outlet.id));
+    return (
+      <div className="pb-4 h-full">
+        <div
+          role="button"
+          tabIndex={0}
+          aria-current={isSelected ? 'true' : undefined}
+          className={`h-full p-4 border rounded-lg cursor-pointer transition-colors overflow-hidden ${
+            isSelected ? 'bg-blue-50 border-blue-500 ring-2 ring-blue-200' : 'hover:bg-gray-100'
+          } ${isHighlighted && !isSelected ? 'border-purple-400' : ''}`}
+          onClick={() => onSelectOutlet?.(outlet.id)}
+          onKeyDown={(e) => e.key === 'Enter' && onSelectOutlet?.(outlet.id)}
+        >
+          <div className="flex items-center gap-2">
+            <p className="font-bold text-lg text-gray-800 truncate">{outlet.name}</p>
+            {isHighlighted && (
+              <span className="shrink-0 px-1.5 py-0.5 text-xs font-semibold rounded bg-purple-100 text-purple-700">AI</span>
+            )}
+            {onToggleRouteStop && hasValidCoordinates(outlet) && (
+              <button
+                // Inside the row's own button, so keep the row from selecting too
+                onClick={(e) => { e.stopPropagation(); onToggleRouteStop(outlet.id); }}
+                onKeyDown={(e) => e.stopPropagation()}
+                aria-pressed={Boolean(routeStopNumber)}
+                title={routeStopNumber ? t('route.remove') : t('route.add')}
+                className={`ml-auto shrink-0 px-2 py-0.5 text-xs font-semibold rounded-full border ${
+                  routeStopNumber ? 'bg-blue-600 border-blue-600 text-white' : 'border-gray-300 text-gray-600 hover:bg-gray-200'
+                }`}
+              >
+                {routeStopNumber ? t('list.stop', { number: routeStopNumber }) : t('list.addToRoute')}
+              </button>
+            )}
+          </div>
+          <p className="text-sm text-gray-600 line-clamp-2">{outlet.address}</p>
+          <div className="mt-2 flex items-center gap-2 text-xs text-gray-500">
+            <OpeningStatusBadge hours={outlet.operating_hours} now={now} />
+            {distances?.has(outlet.id) && (
+              <span className="font-semibold text-green-700 whitespace-nowrap">{formatDistance(distances.get(outlet.id))}</span>
+            )}
+            {hasValidCoordinates(outlet) ? (
+              <>
+                <span>{t('list.latitude', { value: formatCoordinate(outlet.latitude) })}</span> |{' '}
+                <span>{t('list.longitude', { value: formatCoordinate(outlet.longitude) })}</span>
+              </>
+            ) : (
+              <span className="font-semibold text-red-600">{t('list.invalidCoordinates')}</span>
+            )}
+          </div>
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-4 h-[70vh] flex flex-col">
+      <h3 className="text-xl font-semibold text-gray-900 mb-4 pb-3 border-b">
+        {t('list.title', { count: totalCount })}
+        {outlets.length < totalCount && (
+          <span className="block text-xs font-normal text-gray-500 mt-1">
+            {t('list.showing', { shown: outlets.length, count: totalCount })}
+          </span>
+        )}
+      </h3>
+      {onSortChange && (
+        <div className="flex items-center gap-2 mb-3 text-sm text-gray-700" role="group" aria-label={t('list.sortLabel')}>
+          <span>{t('list.sortBy')}</span>
+          {OUTLET_SORTS.map(({ key }) => {
+            const isDisabled = key === 'distance' && !distances;
+            return (
+              <button
+                key={key}
+                onClick={() => onSortChange(key)}
+                disabled={isDisabled}
+                aria-pressed={sortBy === key}
+                title={isDisabled ? t('list.sortByDistanceHint') : undefined}
+                className={`px-2 py-1 rounded-full border transition-colors ${
+                  sortBy === key
+                    ? 'bg-blue-600 border-blue-600 text-white'
+                    : 'bg-white border-gray-300 hover:bg-gray-100 disabled:text-gray-400 disabled:hover:bg-white disabled:cursor-not-allowed'
+                }`}
+              >
+                {t(`list.sorts.${key}`)}
+              </button>
+            );
+          })}
+        </div>
+      )}
+      {outlets.length > 0 ? (
+        <VirtualList
+          items={outlets}
+          rowHeight={UI_CONFIG.OUTLET_ROW_HEIGHT}
+          getKey={(outlet) => outlet.id}
+          renderItem={renderOutlet}
+          onEndReached={hasMore ? onLoadMore : undefined}
+          scrollToIndex={selectedIndex}
+          className="flex-1"
+          footer={isLoading && (
+            <p className="text-center text-sm text-gray-500 py-2">{t('list.loadingMore')}</p>
+          )}
+        />
+      ) : (
+        <p className="text-gray-600 mt-4 text-center">
+          {isLoading ? t('list.loading') : emptyMessage ?? t('list.empty')}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default OutletList;
@@ -1,84 +1,92 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import dynamic from 'next/dynamic';
 import MapIcon from './MapIcon';
+import MapLayerControl from './MapLayerControl';
+import useMapLayers from '../hooks/useMapLayers';
+import { outletPinHtml } from '../lib/outletPins';
+import useCatchmentOverlaps from '../hooks/useCatchmentOverlaps';
+import useTranslation from '../hooks/useTranslation';
+import { hasValidCoordinates } from '../lib/geo';
 import { MAP_CONFIG } from '../variables';
 
 // Dynamic import to avoid SSR issues with Leaflet
 const MapContainer = dynamic(() => import('react-leaflet').then(mod => mod.MapContainer), { ssr: false });
 const TileLayer = dynamic(() => import('react-leaflet').then(mod => mod.TileLayer), { ssr: false });
-const Marker = dynamic(() => import('react-leaflet').then(mod => mod.Marker), { ssr: false });
-const Popup = dynamic(() => import('react-leaflet').then(mod => mod.Popup), { ssr: false });
-const Circle = dynamic(() => import('react-leaflet').then(mod => mod.Circle), { ssr: false });
+const OutletClusterLayer = dynamic(() => import('./OutletClusterLayer'), { ssr: false });
+const UserLocationLayer = dynamic(() => import('./UserLocationLayer'), { ssr: false });
+const ImportOverlayLayer = dynamic(() => import('./ImportOverlayLayer'), { ssr: false });
+const DensityHeatmapLayer = dynamic(() => import('./DensityHeatmapLayer'), { ssr: false });
+const CoverageGapLayer = dynamic(() => import('./CoverageGapLayer'), { ssr: false });
+const RouteLayer = dynamic(() => import('./RouteLayer'), { ssr: false });
 
-const OutletMap = ({ outlets: initialOutlets = [] }) => {
+// Marker states explained in the legend, drawn with the same pins as the map
+const LEGEND_PINS = [
+  { key: 'open', state: {} },
+  { key: 'closedNow', state: { isClosed: true } },
+  { key: 'overlaps', state: { overlapCount: 2 } },
+];
+
+const OutletMap = ({
+  outlets: initialOutlets = [],
+  visibleOutletIds = null,
+  selectedOutletId = null,
+  onSelectOutlet,
+  onDeselectOutlet,
+  catchmentRadiusKm = MAP_CONFIG.DEFAULT_CATCHMENT_RADIUS_KM,
+  onOverlapsChange,
+  highlightedOutletIds = null,
+  userLocation = null,
+  searchRadiusKm,
+  onUserLocationMove,
+  importOverlay = null, // {entries, accepted} from the import preview
+  route = null, // planned route and its origin, see useRoutePlanner
+  routeOrigin = null,
+  routeStopNumbers = null,
+  onToggleRouteStop,
+  now,
+}) => {
+  const { t, formatDistance } = useTranslation();
   const [outlets, setOutlets] = useState(initialOutlets);
   const [mapCenter, setMapCenter] = useState(MAP_CONFIG.DEFAULT_CENTER);
-  const [intersectingOutlets, setIntersectingOutlets] = useState(new Set());
-
-  // Calculate distance between two points using Haversine formula
-  const calculateDistance = (lat1, lon1, lat2, lon2) => {
-    const R = 6371; // Earth's radius in kilometers
-    const dLat = (lat2 - lat1) * Math.PI / 180;
-    const dLon = (lon2 - lon1) * Math.PI / 180;
-    const a = 
-      Math.sin(dLat/2) * Math.sin(dLat/2) +
-      Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) * 
-      Math.sin(dLon/2) * Math.sin(dLon/2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-    return R * c; // Distance in kilometers
-  };
-
-  // Find outlets with intersecting 5km catchments
-  const findIntersectingOutlets = useCallback((outletList) => {
-    const intersecting = new Set();
-    const catchmentRadius = 5; // 5km radius
-    
-    for (let i = 0; i < outletList.length; i++) {
-      for (let j = i + 1; j < outletList.length; j++) {
-        const distance = calculateDistance(
-          outletList[i].latitude, outletList[i].longitude,
-          outletList[j].latitude, outletList[j].longitude
-        );
-        
-        // If distance between centers is less than 2 * radius, circles intersect
-        if (distance < catchmentRadius * 2) {
-          intersecting.add(outletList[i].id);
-          intersecting.add(outletList[j].id);
-        }
-      }
-    }
-    
-    return intersecting;
-  }, []);
+  const [zoom, setZoom] = useState(MAP_CONFIG.DEFAULT_ZOOM);
+  const {
+    baseLayer,
+    overlays,
+    coverageGapKm,
+    setBaseLayer,
+    setOverlay,
+    setCoverageGapKm,
+  } = useMapLayers();
+
+  // Outlet id -> outlets whose catchments intersect it, with distances
+  const { overlaps: intersectingOutlets, pairs, isComputing } = useCatchmentOverlaps(outlets, catchmentRadiusKm);
+
+  // Overlaps are always computed on the full set; filters only hide markers
+  const displayedOutlets = useMemo(
+    () => (visibleOutletIds ? outlets.filter((outlet) => visibleOutletIds.has(outlet.id)) : outlets),
+    [outlets, visibleOutletIds]
+  );
+
+  useEffect(() => {
+    onOverlapsChange?.({ outlets, overlaps: intersectingOutlets, pairs, isComputing });
+  }, [outlets, intersectingOutlets, pairs, isComputing, onOverlapsChange]);
 
   useEffect(() => {
     if (initialOutlets.length > 0) {
-      const validOutlets = initialOutlets.filter(outlet => 
-        outlet.latitude && outlet.longitude && 
-        !isNaN(outlet.latitude) && !isNaN(outlet.longitude)
-      );
+      const validOutlets = initialOutlets.filter(hasValidCoordinates);
       
       setOutlets(validOutlets);
       
-      // Find intersecting outlets
-      const intersecting = findIntersectingOutlets(validOutlets);
-      setIntersectingOutlets(intersecting);
-      
       // Set map center to the first outlet if available
       if (validOutlets.length > 0) {
         setMapCenter([validOutlets[0].latitude, validOutlets[0].longitude]);
       }
     } else {
       setOutlets([]);
-      setIntersectingOutlets(new Set());
     }
-  }, [initialOutlets, findIntersectingOutlets]);
-
-  const formatOperatingHours = (hours) => {
-    return hours || '8am - 12pm';
-  };
+  }, [initialOutlets]);
 
-  if (outlets.length === 0) {
+  if (outlets.length === 0 && !importOverlay) {
     return (
       <div className="flex items-center justify-center h-96 bg-yellow-50 rounded-lg border border-yellow-200">
         <div className="text-center">
@@ -87,8 +95,8 @@ const OutletMap = ({ outlets: initialOutlets = [] }) => {
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
             </svg>
           </div>
-          <p className="text-yellow-700 font-medium">No outlets found in the database</p>
-          <p className="text-yellow-600 text-sm mt-2">Use the scraping feature to add outlet data first.</p>
+          <p className="text-yellow-700 font-medium">{t('map.emptyTitle')}</p>
+          <p className="text-yellow-600 text-sm mt-2">{t('map.emptyHint')}</p>
         </div>
       </div>
     );
@@ -103,101 +111,133 @@ const OutletMap = ({ outlets: initialOutlets = [] }) => {
         style={{ height: '100%', width: '100%' }}
         className="z-0"
       >
+        {/* Remounted per layer: TileLayer only updates its url in place */}
         <TileLayer
-          url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
-          attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+          key={baseLayer.key}
+          url={baseLayer.url}
+          attribution={baseLayer.attribution}
+          maxZoom={baseLayer.maxZoom}
+          subdomains={baseLayer.subdomains ?? 'abc'}
+          crossOrigin={baseLayer.crossOrigin} // CORS tiles can be cached by the service worker without opaque-response padding
         />
-        
-        {/* 5km catchment circles */}
-        {outlets.map((outlet) => (
-          <Circle
-            key={`circle-${outlet.id}`}
-            center={[outlet.latitude, outlet.longitude]}
-            radius={5000} // 5km in meters
-            pathOptions={{
-              color: intersectingOutlets.has(outlet.id) ? '#ef4444' : '#3b82f6',
-              fillColor: intersectingOutlets.has(outlet.id) ? '#ef4444' : '#3b82f6',
-              fillOpacity: 0.1,
-              weight: intersectingOutlets.has(outlet.id) ? 3 : 2,
-              opacity: 0.6
-            }}
-          />
-        ))}
-        
-        {outlets.map((outlet) => {
-          const isIntersecting = intersectingOutlets.has(outlet.id);
-          return (
-            <Marker
-              key={outlet.id}
-              position={[outlet.latitude, outlet.longitude]}
-            >
-              <Popup maxWidth={300} className="custom-popup">
-                <div className="p-2">
-                  <h3 className={`font-bold text-lg mb-2 ${isIntersecting ? 'text-red-600' : 'text-gray-900'}`}>
-                    {outlet.name}
-                    {isIntersecting && (
-                      <span className="ml-2 text-xs bg-red-100 text-red-600 px-2 py-1 rounded-full">
-                        Overlapping Catchment
-                      </span>
-                    )}
-                  </h3>
-                  <div className="space-y-2 text-sm">
-                    <div>
-                      <span className="font-semibold text-gray-700">Address:</span>
-                      <p className="text-gray-600">{outlet.address}</p>
-                    </div>
-                    <div>
-                      <span className="font-semibold text-gray-700">Hours:</span>
-                      <p className="text-gray-600">{formatOperatingHours(outlet.operating_hours)}</p>
-                    </div>
-                    {outlet.telephone && (
-                      <div>
-                        <span className="font-semibold text-gray-700">Phone:</span>
-                        <p className="text-gray-600">{outlet.telephone}</p>
-                      </div>
-                    )}
-                    {outlet.waze_link && (
-                      <div className="pt-2">
-                        <a 
-                          href={outlet.waze_link} 
-                          target="_blank" 
-                          rel="noopener noreferrer"
-                          className="inline-flex items-center px-3 py-1 bg-blue-600 text-white text-xs rounded-md hover:bg-blue-700 transition-colors"
-                        >
-                          Open in Waze
-                        </a>
-                      </div>
-                    )}
-                  </div>
-                </div>
-              </Popup>
-            </Marker>
-          );
-        })}
+
+        {overlays.coverageGaps && <CoverageGapLayer outlets={displayedOutlets} distanceKm={coverageGapKm} />}
+        {overlays.heatmap && <DensityHeatmapLayer outlets={displayedOutlets} />}
+
+        <OutletClusterLayer
+          outlets={displayedOutlets}
+          intersectingOutlets={intersectingOutlets}
+          selectedOutletId={selectedOutletId}
+          highlightedOutletIds={highlightedOutletIds}
+          routeStopNumbers={routeStopNumbers}
+          onSelectOutlet={onSelectOutlet}
+          onDeselectOutlet={onDeselectOutlet}
+          onToggleRouteStop={onToggleRouteStop}
+          catchmentRadiusKm={catchmentRadiusKm}
+          showCatchments={overlays.catchments}
+          onZoomChange={setZoom}
+          now={now}
+        />
+
+        <UserLocationLayer
+          location={userLocation}
+          radiusKm={searchRadiusKm}
+          onMove={onUserLocationMove}
+        />
+
+        {route && <RouteLayer route={route} origin={routeOrigin} />}
+
+        {importOverlay && (
+          <ImportOverlayLayer entries={importOverlay.entries} accepted={importOverlay.accepted} />
+        )}
       </MapContainer>
       
       {/* Outlet count badge */}
       <div className="absolute top-4 right-4 bg-white px-3 py-2 rounded-lg shadow-md z-10">
         <span className="text-sm font-medium text-gray-700">
-          {outlets.length} outlet{outlets.length !== 1 ? 's' : ''} found
+          {t('map.outletCount', { count: displayedOutlets.length })}
         </span>
       </div>
 
+      <MapLayerControl
+        baseLayerKey={baseLayer.key}
+        onBaseLayerChange={setBaseLayer}
+        overlays={overlays}
+        onOverlayChange={setOverlay}
+        coverageGapKm={coverageGapKm}
+        onCoverageGapKmChange={setCoverageGapKm}
+      />
+
       {/* Legend */}
       <div className="absolute bottom-4 left-4 bg-white p-3 rounded-lg shadow-md z-10">
-        <h4 className="text-sm font-semibold text-gray-800 mb-2">5km Catchment Areas</h4>
+        <h4 className="text-sm font-semibold text-gray-800 mb-2">
+          {overlays.catchments ? t('map.legend.catchmentTitle', { radius: catchmentRadiusKm }) : t('map.legend.title')}
+        </h4>
         <div className="space-y-1 text-xs">
-          <div className="flex items-center gap-2">
-            <div className="w-3 h-3 rounded-full bg-blue-500 opacity-60"></div>
-            <span className="text-gray-600">Normal catchment</span>
-          </div>
-          <div className="flex items-center gap-2">
-            <div className="w-3 h-3 rounded-full bg-red-500 opacity-60"></div>
-            <span className="text-gray-600">Overlapping catchment</span>
+          <div className="flex items-center gap-3 pb-1">
+            {LEGEND_PINS.map(({ key, state }) => (
+              <div key={key} className="flex items-center gap-1">
+                <span className="outlet-pin-swatch" dangerouslySetInnerHTML={{ __html: outletPinHtml(state) }} />
+                <span className="text-gray-600">{t(`map.legend.${key}`)}</span>
+              </div>
+            ))}
           </div>
+          {overlays.catchments && (
+            <>
+              <div className="flex items-center gap-2">
+                <div className="w-3 h-3 rounded-full bg-blue-500 opacity-60"></div>
+                <span className="text-gray-600">{t('map.legend.normalCatchment')}</span>
+              </div>
+              <div className="flex items-center gap-2">
+                <div className="w-3 h-3 rounded-full bg-red-500 opacity-60"></div>
+                <span className="text-gray-600">{t('map.legend.overlappingCatchment')}</span>
+              </div>
+            </>
+          )}
+          {overlays.heatmap && (
+            <div className="flex items-center gap-2">
+              <div className="w-12 h-3 rounded-sm bg-gradient-to-r from-blue-500 via-lime-500 to-red-600"></div>
+              <span className="text-gray-600">{t('map.legend.density')}</span>
+            </div>
+          )}
+          {overlays.coverageGaps && (
+            <div className="flex items-center gap-2">
+              <div className="w-3 h-3 rounded-sm bg-violet-600/30 border border-violet-600"></div>
+              <span className="text-gray-600">{t('map.legend.coverageGap', { distance: coverageGapKm })}</span>
+            </div>
+          )}
+          {userLocation && (
+            <div className="flex items-center gap-2">
+              <div className="w-3 h-3 rounded-full border-2 border-dashed border-green-600"></div>
+              <span className="text-gray-600">{t('map.legend.searchRadius', { radius: searchRadiusKm })}</span>
+            </div>
+          )}
+          {importOverlay && (
+            <div className="flex items-center gap-2">
+              <div className="w-3 h-3 rounded-full border-2 border-green-600 bg-green-600/50"></div>
+              <span className="text-gray-600">{t('map.legend.imported')}</span>
+            </div>
+          )}
+          {route?.stops.length > 0 && (
+            <div className="flex items-center gap-2">
+              <div className="w-4 border-t-2 border-dashed border-blue-600"></div>
+              <span className="text-gray-600">
+                {t('map.legend.route', { count: route.stops.length, distance: formatDistance(route.totalKm) })}
+              </span>
+            </div>
+          )}
+          {highlightedOutletIds?.size > 0 && (
+            <div className="flex items-center gap-2">
+              <div className="w-3 h-3 rounded-full border-2 border-purple-600"></div>
+              <span className="text-gray-600">{t('map.legend.aiMentioned', { count: highlightedOutletIds.size })}</span>
+            </div>
+          )}
           <div className="text-gray-500 mt-1">
-            {intersectingOutlets.size} outlet{intersectingOutlets.size !== 1 ? 's' : ''} with overlaps
+            {t('map.legend.overlapCount', { count: intersectingOutlets.size })}
           </div>
+          {overlays.catchments && zoom < MAP_CONFIG.CATCHMENT_MIN_ZOOM && (
+            <div className="text-gray-500 italic">{t('map.legend.zoomIn')}</div>
+          )}
         </div>
       </div>
     </div>
@@ -0,0 +1,144 @@
+import React, { useEffect, useRef } from 'react';
+import { Marker, Popup, useMap } from 'react-leaflet';
+import Link from 'next/link';
+import OutletHours from './OutletHours';
+import { getOutletIcon } from './MapIcon';
+import useNow from '../hooks/useNow';
+import useTranslation from '../hooks/useTranslation';
+import { outletPinLabel } from '../lib/outletPins';
+import { MAP_CONFIG } from '../variables';
+
+// Popup content only mounts while open, so the clock only ticks for open popups
+const PopupHours = ({ hours }) => {
+  const now = useNow();
+  return <OutletHours hours={hours} now={now} />;
+};
+
+const OutletMarker = ({
+  outlet,
+  overlaps = [],
+  isClosed = false,
+  isSelected,
+  routeStopNumber = null,
+  onSelect,
+  onDeselect,
+  onToggleRouteStop,
+}) => {
+  const { t, formatNumber } = useTranslation();
+  const isIntersecting = overlaps.length > 0;
+  const pinState = { overlapCount: overlaps.length, isClosed, isSelected };
+  const stateLabel = outletPinLabel(pinState, t);
+  const title = stateLabel ? `${outlet.name} (${stateLabel})` : outlet.name;
+  const map = useMap();
+  const markerRef = useRef(null);
+
+  // Fly to the outlet and open its popup whenever it becomes the selection
+  useEffect(() => {
+    const marker = markerRef.current;
+    if (!isSelected || !marker) return;
+
+    const target = marker.getLatLng();
+    const zoom = Math.max(map.getZoom(), MAP_CONFIG.SELECTED_ZOOM);
+    const openPopup = () => marker.openPopup();
+
+    if (map.getCenter().equals(target) && map.getZoom() === zoom) {
+      openPopup();
+      return;
+    }
+
+    map.once('moveend', openPopup);
+    map.flyTo(target, zoom, { duration: MAP_CONFIG.FLY_TO_DURATION });
+    return () => map.off('moveend', openPopup);
+  }, [isSelected, map]);
+
+  // react-leaflet only applies `title` when the marker is created
+  useEffect(() => {
+    const marker = markerRef.current;
+    if (!marker) return;
+    marker.options.title = title;
+    marker.getElement()?.setAttribute('title', title);
+  }, [title]);
+
+  return (
+    <Marker
+      ref={markerRef}
+      position={[outlet.latitude, outlet.longitude]}
+      icon={getOutletIcon(pinState)}
+      title={title}
+      alt={outlet.name}
+      zIndexOffset={isSelected ? 1000 : 0}
+      eventHandlers={{
+        click: () => onSelect?.(outlet.id),
+        popupclose: () => onDeselect?.(outlet.id),
+      }}
+    >
+      <Popup maxWidth={300} className="custom-popup">
+        <div className="p-2">
+          <h3 className={`font-bold text-lg mb-2 ${isIntersecting ? 'text-red-600' : 'text-gray-900'}`}>
+            {outlet.name}
+            {isIntersecting && (
+              <span className="ml-2 text-xs bg-red-100 text-red-600 px-2 py-1 rounded-full">
+                {t('marker.overlappingCatchment')}
+              </span>
+            )}
+          </h3>
+          <div className="space-y-2 text-sm">
+            <div>
+              <span className="font-semibold text-gray-700">{t('marker.address')}</span>
+              <p className="text-gray-600">{outlet.address}</p>
+            </div>
+            <PopupHours hours={outlet.operating_hours} />
+            {outlet.telephone && (
+              <div>
+                <span className="font-semibold text-gray-700">{t('marker.phone')}</span>
+                <p className="text-gray-600">{outlet.telephone}</p>
+              </div>
+            )}
+            {isIntersecting && (
+              <div>
+                <span className="font-semibold text-gray-700">{t('marker.overlapsWith')}</span>
+                <ul className="text-gray-600 max-h-24 overflow-y-auto">
+                  {overlaps.map((overlap) => (
+                    <li key={overlap.id}>
+                      {overlap.name} <span className="text-gray-400">
+                        ({formatNumber(overlap.distance, { minimumFractionDigits: 1, maximumFractionDigits: 1 })} km)
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+            <div className="pt-2 flex flex-wrap items-center gap-2">
+              <Link
+                href={`/outlets/${outlet.id}`}
+                className="inline-flex items-center px-3 py-1 bg-gray-100 text-gray-800 text-xs rounded-md hover:bg-gray-200 transition-colors"
+              >
+                {t('marker.viewDetails')}
+              </Link>
+              {onToggleRouteStop && (
+                <button
+                  onClick={() => onToggleRouteStop(outlet.id)}
+                  className="inline-flex items-center px-3 py-1 bg-gray-100 text-gray-800 text-xs rounded-md hover:bg-gray-200 transition-colors"
+                >
+                  {routeStopNumber ? t('marker.removeFromRoute', { number: routeStopNumber }) : t('route.add')}
+                </button>
+              )}
+              {outlet.waze_link && (
+                <a
+                  href={outlet.waze_link}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="inline-flex items-center px-3 py-1 bg-blue-600 text-white text-xs rounded-md hover:bg-blue-700 transition-colors"
+                >
+                  {t('marker.openInWaze')}
+                </a>
+              )}
+            </div>
+          </div>
+        </div>
+      </Popup>
+    </Marker>
+  );
+};
+
+export default OutletMarker;
@@ -0,0 +1,55 @@
+import React from 'react';
+import { Marker, Polyline, Tooltip } from 'react-leaflet';
+import L from 'leaflet';
+import useTranslation from '../hooks/useTranslation';
+import { ROUTE_CONFIG } from '../variables';
+
+const stopIconCache = new Map();
+
+// Numbered badge drawn above the outlet's pin
+const getStopIcon = (number) => {
+  if (!stopIconCache.has(number)) {
+    stopIconCache.set(number, L.divIcon({
+      html: `<span class="route-stop-number">${number}</span>`,
+      className: 'route-stop-pin',
+      iconSize: L.point(22, 22),
+      iconAnchor: L.point(11, 56), // clear of the 40px outlet pin
+    }));
+  }
+  return stopIconCache.get(number);
+};
+
+// The planned route as a line from stop to stop, with the stop numbers
+const RouteLayer = ({ route, origin = null }) => {
+  const { t, formatDistance } = useTranslation();
+  if (route.stops.length === 0) return null;
+  const points = (origin ? [origin, ...route.stops] : route.stops)
+    .map(({ latitude, longitude }) => [latitude, longitude]);
+
+  return (
+    <>
+      {points.length > 1 && (
+        <Polyline
+          positions={points}
+          pathOptions={{ color: ROUTE_CONFIG.LINE_COLOR, weight: 4, opacity: 0.8, dashArray: '10 8' }}
+        >
+          <Tooltip sticky>
+            {t('route.summary', { count: route.stops.length, distance: formatDistance(route.totalKm) })}
+          </Tooltip>
+        </Polyline>
+      )}
+      {route.stops.map((outlet, index) => (
+        <Marker
+          key={`route-stop-${outlet.id}`}
+          position={[outlet.latitude, outlet.longitude]}
+          icon={getStopIcon(index + 1)}
+          interactive={false}
+          keyboard={false}
+          zIndexOffset={2000}
+        />
+      ))}
+    </>
+  );
+};
+
+export default RouteLayer;
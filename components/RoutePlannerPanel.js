@@ -0,0 +1,119 @@
+import React from 'react';
+import useTranslation from '../hooks/useTranslation';
+import { googleMapsRouteUrls, wazeUrl } from '../lib/mapLinks';
+import { routeToGpx } from '../lib/outletExport';
+import { downloadFile, fileDateStamp } from '../lib/download';
+import { ROUTE_CONFIG } from '../variables';
+
+// Visiting order for the outlets picked in the list or on the map, with links
+// to navigate it. Hidden until the first outlet is added.
+const RoutePlannerPanel = ({
+  route,
+  origin = null,
+  canStartFromOrigin = false,
+  startFromOrigin = true,
+  onStartFromOriginChange,
+  pendingCount = 0,
+  isFull = false,
+  onRemoveStop,
+  onSelectOutlet,
+  onClear,
+}) => {
+  const { t, formatDistance } = useTranslation();
+  const { stops, legs, totalKm } = route;
+  if (stops.length === 0 && pendingCount === 0) return null;
+
+  const googleUrls = stops.length > 0 ? googleMapsRouteUrls(origin ? [origin, ...stops] : stops) : [];
+  // The leg arriving at each stop; the first stop has none without an origin
+  const arrivals = origin ? legs : [null, ...legs];
+
+  const handleDownloadGpx = () => {
+    downloadFile(routeToGpx(route, { origin }), `outlet-route-${fileDateStamp()}.gpx`, 'application/gpx+xml');
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-4 mb-8 text-sm">
+      <div className="flex flex-wrap items-center gap-3">
+        <h3 className="font-semibold text-gray-900">
+          {t('route.summary', { count: stops.length, distance: formatDistance(totalKm) })}
+        </h3>
+        {canStartFromOrigin && (
+          <label className="flex items-center gap-2 text-gray-700">
+            <input
+              type="checkbox"
+              checked={startFromOrigin}
+              onChange={(e) => onStartFromOriginChange?.(e.target.checked)}
+            />
+            {t('route.startFromLocation')}
+          </label>
+        )}
+        <div className="ml-auto flex flex-wrap items-center gap-2">
+          {googleUrls.map((url, index) => (
+            <a
+              key={url}
+              href={url}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="px-3 py-1.5 bg-green-600 text-white text-xs font-semibold rounded-md hover:bg-green-700 transition-colors"
+            >
+              {googleUrls.length > 1
+                ? t('route.googleMapsPart', { part: index + 1, parts: googleUrls.length })
+                : t('route.openInGoogleMaps')}
+            </a>
+          ))}
+          <button
+            onClick={handleDownloadGpx}
+            disabled={stops.length === 0}
+            className="px-3 py-1.5 bg-gray-700 text-white text-xs font-semibold rounded-md hover:bg-gray-800 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors"
+          >
+            {t('route.downloadGpx')}
+          </button>
+          <button onClick={onClear} className="px-3 py-1.5 text-gray-600 hover:underline">
+            {t('route.clear')}
+          </button>
+        </div>
+      </div>
+
+      <ol className="mt-3 divide-y">
+        {stops.map((outlet, index) => (
+          <li key={outlet.id} className="py-2 flex items-center gap-3">
+            <span className="route-stop-number shrink-0">{index + 1}</span>
+            <button
+              onClick={() => onSelectOutlet?.(outlet.id)}
+              className="min-w-0 flex-grow text-left font-medium text-gray-800 hover:text-blue-700 truncate"
+            >
+              {outlet.name}
+            </button>
+            {arrivals[index] && (
+              <span className="shrink-0 text-gray-500">+{formatDistance(arrivals[index].distance)}</span>
+            )}
+            <a
+              href={wazeUrl(outlet)}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="shrink-0 text-blue-700 hover:underline"
+            >
+              Waze
+            </a>
+            <button
+              onClick={() => onRemoveStop?.(outlet.id)}
+              aria-label={t('route.removeStop', { name: outlet.name })}
+              className="shrink-0 text-gray-400 hover:text-gray-600"
+            >
+              ✕
+            </button>
+          </li>
+        ))}
+      </ol>
+
+      <p className="mt-2 text-xs text-gray-500">
+        {t('route.notes.order')}
+        {googleUrls.length > 1 && ` ${t('route.notes.split', { count: ROUTE_CONFIG.GOOGLE_MAPS_MAX_WAYPOINTS + 2 })}`}
+        {pendingCount > 0 && ` ${t('route.notes.pending', { count: pendingCount })}`}
+        {isFull && ` ${t('route.notes.full', { count: ROUTE_CONFIG.MAX_STOPS })}`}
+      </p>
+    </div>
+  );
+};
+
+export default RoutePlannerPanel;
@@ -0,0 +1,73 @@
+import React from 'react';
+import { FINISHED_STATUSES } from '../hooks/useScrapeJobs';
+import useTranslation from '../hooks/useTranslation';
+
+const STATUS_STYLES = {
+  queued: 'bg-gray-100 text-gray-700',
+  running: 'bg-blue-100 text-blue-700',
+  completed: 'bg-green-100 text-green-700',
+  failed: 'bg-red-100 text-red-700',
+};
+
+const formatTime = (locale, timestamp) => new Date(timestamp).toLocaleTimeString(locale, { hour: '2-digit', minute: '2-digit' });
+
+// The message under a job: why it is waiting, why it failed or why polling is struggling
+const jobNote = (t, job) => {
+  if (job.awaitingConnection) return t('jobs.queued');
+  if (job.status === 'failed') return job.timedOut ? t('jobs.timedOut') : job.message || t('jobs.failed');
+  if (job.lastError) return t('jobs.lastCheckFailed', { message: job.lastError });
+  return null;
+};
+
+const ScrapeJobsPanel = ({ jobs = [], onDismiss, onClearFinished }) => {
+  const { t, locale } = useTranslation();
+  if (jobs.length === 0) return null;
+  const hasFinished = jobs.some((job) => FINISHED_STATUSES.includes(job.status));
+
+  return (
+    <div className="mt-6 border-t pt-4">
+      <div className="flex items-center justify-between mb-2">
+        <h4 className="font-semibold text-gray-800">{t('jobs.title')}</h4>
+        {hasFinished && (
+          <button onClick={onClearFinished} className="text-sm text-blue-600 hover:underline">
+            {t('jobs.clearFinished')}
+          </button>
+        )}
+      </div>
+      <ul className="divide-y">
+        {jobs.map((job) => {
+          const isActive = !FINISHED_STATUSES.includes(job.status);
+          const isWaiting = Boolean(job.awaitingConnection);
+          const note = jobNote(t, job);
+          return (
+            <li key={job.id} className="py-2 flex flex-wrap items-center gap-x-4 gap-y-1 text-sm">
+              <span className={`px-2 py-1 rounded-full text-xs font-medium ${STATUS_STYLES[job.status]}`}>
+                {isActive && !isWaiting && <span className="inline-block h-2 w-2 mr-1 rounded-full bg-current animate-pulse"></span>}
+                {t(`jobs.statuses.${isWaiting ? 'offline' : job.status}`)}
+              </span>
+              <span className="font-medium text-gray-800 flex-grow">&quot;{job.searchTerm}&quot;</span>
+              <span className="text-gray-600">{t(isWaiting ? 'jobs.requested' : 'jobs.started', { time: formatTime(locale, job.startedAt) })}</span>
+              <span className="text-gray-600 w-32 text-right">
+                {job.newOutlets === null ? '—' : t('jobs.newOutlets', { count: job.newOutlets })}
+              </span>
+              {(!isActive || isWaiting) && (
+                <button
+                  onClick={() => onDismiss?.(job.id)}
+                  aria-label={t(isWaiting ? 'jobs.cancel' : 'jobs.dismiss', { term: job.searchTerm })}
+                  className="text-gray-400 hover:text-gray-600"
+                >
+                  ✕
+                </button>
+              )}
+              {note && (
+                <span className={`basis-full text-xs ${isWaiting ? 'text-amber-700' : 'text-red-600'}`}>{note}</span>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+export default ScrapeJobsPanel;
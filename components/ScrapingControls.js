@@ -0,0 +1,66 @@
+import React, { useState } from 'react';
+import ScrapeJobsPanel from './ScrapeJobsPanel';
+import DataManagementPanel from './DataManagementPanel';
+import useScrapeJobs from '../hooks/useScrapeJobs';
+import useTranslation from '../hooks/useTranslation';
+
+// Scrape, job progress and stored-data management; only rendered for admins,
+// so viewers never poll or queue scrape jobs
+const ScrapingControls = ({ onDataChanged, onError }) => {
+  const { t } = useTranslation();
+  const [searchTerm, setSearchTerm] = useState('');
+  const [isSearching, setIsSearching] = useState(false);
+
+  // Each scrape is tracked until the backend finishes; the list refreshes on completion
+  const { jobs: scrapeJobs, startJob, dismissJob, clearFinishedJobs } = useScrapeJobs({
+    onJobCompleted: onDataChanged,
+  });
+
+  const handleSearch = async () => {
+    if (!searchTerm.trim()) {
+      alert(t('scrape.emptySearchTerm'));
+      return;
+    }
+
+    setIsSearching(true);
+    onError?.(null);
+
+    try {
+        await startJob(searchTerm.trim());
+    } catch (e) {
+        onError?.(e.message);
+        alert(t('scrape.failed', { message: e.message }));
+    } finally {
+        setIsSearching(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6 mb-8">
+      <h3 className="text-xl font-semibold text-gray-900 mb-4">
+        {t('scrape.title')}
+      </h3>
+      <div className="flex items-center space-x-4">
+        <input
+          type="text"
+          value={searchTerm}
+          onChange={(e) => setSearchTerm(e.target.value)}
+          onKeyPress={(e) => e.key === 'Enter' && handleSearch()}
+          placeholder={t('scrape.placeholder')}
+          className="flex-grow p-3 border text-black border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
+        />
+        <button
+          onClick={handleSearch}
+          disabled={isSearching}
+          className="px-6 py-3 bg-blue-600 text-white font-semibold rounded-lg shadow-md hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors"
+        >
+          {isSearching ? t('scrape.scraping') : t('scrape.button')}
+        </button>
+      </div>
+      <ScrapeJobsPanel jobs={scrapeJobs} onDismiss={dismissJob} onClearFinished={clearFinishedJobs} />
+      <DataManagementPanel onDataChanged={onDataChanged} onRescrape={startJob} />
+    </div>
+  );
+};
+
+export default ScrapingControls;
@@ -0,0 +1,62 @@
+import React, { useEffect, useRef } from 'react';
+import { Marker, Circle, Tooltip, useMap } from 'react-leaflet';
+import L from 'leaflet';
+import { LOCATION_CONFIG, MAP_CONFIG } from '../variables';
+import useTranslation from '../hooks/useTranslation';
+
+const userIcon = L.divIcon({
+  html: '<div></div>',
+  className: 'user-location-pin',
+  iconSize: L.point(22, 22),
+});
+
+// The user's position as a draggable pin with the search radius around it
+const UserLocationLayer = ({ location, radiusKm, onMove }) => {
+  const { t } = useTranslation();
+  const map = useMap();
+  const draggedRef = useRef(false);
+
+  // Bring new fixes and freshly dropped pins into view, but not the user's own drags
+  useEffect(() => {
+    if (!location) return;
+    if (draggedRef.current) {
+      draggedRef.current = false;
+      return;
+    }
+    const zoom = Math.max(map.getZoom(), LOCATION_CONFIG.LOCATED_ZOOM);
+    map.flyTo([location.latitude, location.longitude], zoom, { duration: MAP_CONFIG.FLY_TO_DURATION });
+  }, [location, map]);
+
+  if (!location) return null;
+  const position = [location.latitude, location.longitude];
+
+  return (
+    <>
+      <Circle
+        center={position}
+        radius={radiusKm * 1000} // km to meters
+        interactive={false}
+        pathOptions={{ color: '#16a34a', fillColor: '#16a34a', fillOpacity: 0.06, weight: 2, dashArray: '6 6' }}
+      />
+      <Marker
+        position={position}
+        icon={userIcon}
+        draggable
+        zIndexOffset={1000}
+        eventHandlers={{
+          dragend: (event) => {
+            const { lat, lng } = event.target.getLatLng();
+            draggedRef.current = true;
+            onMove?.(lat, lng);
+          },
+        }}
+      >
+        <Tooltip direction="top" offset={[0, -12]}>
+          {t(location.source === 'gps' ? 'nearMe.markerGps' : 'nearMe.markerPin')}
+        </Tooltip>
+      </Marker>
+    </>
+  );
+};
+
+export default UserLocationLayer;
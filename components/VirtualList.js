@@ -0,0 +1,76 @@
+import React, { useState, useEffect, useRef } from 'react';
+
+// Fixed-row-height virtualized list: only rows near the viewport are mounted
+const VirtualList = ({
+  items,
+  rowHeight,
+  renderItem,
+  getKey = (item, index) => index,
+  overscan = 5,
+  onEndReached,
+  endReachedThreshold = rowHeight * 3,
+  scrollToIndex = -1,
+  className = '',
+  footer = null,
+}) => {
+  const containerRef = useRef(null);
+  const [scrollTop, setScrollTop] = useState(0);
+  const [viewportHeight, setViewportHeight] = useState(0);
+
+  useEffect(() => {
+    const node = containerRef.current;
+    if (!node) return;
+    setViewportHeight(node.clientHeight);
+    const observer = new ResizeObserver(([entry]) => setViewportHeight(entry.contentRect.height));
+    observer.observe(node);
+    return () => observer.disconnect();
+  }, []);
+
+  const totalHeight = items.length * rowHeight;
+
+  // Near the end after scrolling, or while the rows do not fill the viewport yet
+  useEffect(() => {
+    if (viewportHeight && totalHeight - scrollTop - viewportHeight < endReachedThreshold) {
+      onEndReached?.();
+    }
+  }, [totalHeight, scrollTop, viewportHeight, endReachedThreshold, onEndReached]);
+
+  // Only when the index changes, so rows added later do not pull the list back
+  useEffect(() => {
+    const node = containerRef.current;
+    if (!node || scrollToIndex < 0) return;
+    const rowTop = scrollToIndex * rowHeight;
+    const isVisible = rowTop >= node.scrollTop && rowTop + rowHeight <= node.scrollTop + node.clientHeight;
+    if (!isVisible) {
+      node.scrollTo({ top: rowTop - (node.clientHeight - rowHeight) / 2, behavior: 'smooth' });
+    }
+  }, [scrollToIndex, rowHeight]);
+
+  const handleScroll = (e) => setScrollTop(e.currentTarget.scrollTop);
+
+  const start = Math.max(0, Math.floor(scrollTop / rowHeight) - overscan);
+  const end = Math.min(items.length, Math.ceil((scrollTop + viewportHeight) / rowHeight) + overscan);
+
+  const rows = [];
+  for (let index = start; index < end; index++) {
+    rows.push(
+      <div
+        key={getKey(items[index], index)}
+        style={{ position: 'absolute', top: index * rowHeight, height: rowHeight, left: 0, right: 0 }}
+      >
+        {renderItem(items[index], index)}
+      </div>
+    );
+  }
+
+  return (
+    <div ref={containerRef} onScroll={handleScroll} className={`overflow-y-auto ${className}`}>
+      <div style={{ position: 'relative', height: totalHeight }}>
+        {rows}
+      </div>
+      {footer}
+    </div>
+  );
+};
+
+export default VirtualList;
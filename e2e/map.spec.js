@@ -0,0 +1,50 @@
+// @ts-check
+import { test, expect } from '@playwright/test';
+import fixtures from '../mock/fixtures/outlets.json';
+
+// Matches MOCK_API_PORT in playwright.config.mjs
+const MOCK_API_URL = 'http://localhost:8010';
+
+test.beforeAll(async ({ request }) => {
+  await request.delete(`${MOCK_API_URL}/outlets`);
+  const response = await request.post(`${MOCK_API_URL}/save-outlets`, { data: { outlets: fixtures } });
+  expect(response.ok()).toBeTruthy();
+});
+
+test('map page shows the stored outlets and opens a popup for the selected one', async ({ page }) => {
+  await page.goto('/');
+
+  await expect(page.getByRole('heading', { name: `Available Outlets (${fixtures.length})` })).toBeVisible();
+  await expect(page.locator('.leaflet-container')).toBeVisible();
+  await expect(page.locator('.leaflet-tile-pane')).toBeAttached();
+
+  await page.getByRole('button', { name: /McDonald's KLCC/ }).click();
+
+  const popup = page.locator('.leaflet-popup');
+  await expect(popup).toBeVisible();
+  await expect(popup).toContainText("McDonald's KLCC");
+  await expect(popup.getByRole('link', { name: 'View details' })).toBeVisible();
+  await expect(page).toHaveURL(/[?&]outlet=\d+/);
+});
+
+test('search filter narrows the outlet list', async ({ page }) => {
+  await page.goto('/');
+  await expect(page.getByRole('heading', { name: `Available Outlets (${fixtures.length})` })).toBeVisible();
+
+  await page.getByLabel('Filter outlets by name or address').fill('Subang');
+
+  await expect(page.getByRole('heading', { name: 'Available Outlets (1)' })).toBeVisible();
+  await expect(page).toHaveURL(/[?&]q=Subang/);
+});
+
+test('language switch moves to /ms and is remembered on the next visit', async ({ page }) => {
+  await page.goto('/');
+  await page.getByRole('button', { name: 'BM' }).click();
+
+  await expect(page).toHaveURL(/\/ms$/);
+  await expect(page.getByRole('heading', { name: `Outlet Tersedia (${fixtures.length})` })).toBeVisible();
+  await expect(page.locator('html')).toHaveAttribute('lang', 'ms');
+
+  await page.goto('/');
+  await expect(page).toHaveURL(/\/ms$/);
+});
@@ -0,0 +1,194 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { streamAiSearch } from '../lib/apiClient';
+import useOnlineStatus from './useOnlineStatus';
+import { AI_CONFIG } from '../variables';
+
+const createId = () => `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+// An answer still pending when the page was closed never finishes; it is
+// shown as interrupted so the question can be asked again
+const markInterrupted = (conversation) => ({
+  ...conversation,
+  messages: conversation.messages.map((message) => (
+    message.pending ? { ...message, pending: false, interrupted: true } : message
+  )),
+});
+
+const loadStoredConversations = () => {
+  try {
+    return (JSON.parse(window.localStorage.getItem(AI_CONFIG.STORAGE_KEY)) || []).map(markInterrupted);
+  } catch {
+    return [];
+  }
+};
+
+// Earlier turns sent along with a question so follow-ups keep their context;
+// failed answers and the partial text of stopped or interrupted ones are left out
+const toHistory = (messages) => messages
+  .filter((message) => !message.error && !message.cancelled && !message.interrupted && message.content)
+  .slice(-AI_CONFIG.MAX_HISTORY_MESSAGES)
+  .map(({ role, content }) => ({ role, content }));
+
+const isOffline = () => typeof navigator !== 'undefined' && navigator.onLine === false;
+
+// The oldest question still waiting for a connection, with what is needed to send it
+const findQueuedQuestion = (conversations) => {
+  for (const conversation of [...conversations].reverse()) {
+    const index = conversation.messages.findIndex((message) => message.queued);
+    if (index > 0) {
+      return {
+        conversationId: conversation.id,
+        answerId: conversation.messages[index].id,
+        question: conversation.messages[index - 1].content,
+        history: toHistory(conversation.messages.slice(0, index - 1)),
+      };
+    }
+  }
+  return null;
+};
+
+/**
+ * Chat-style AI search: keeps conversations (persisted in localStorage),
+ * sends prior turns as history and streams answers into the last message.
+ * Questions asked offline are kept as queued answers and sent in order
+ * once the browser is back online.
+ */
+const useAiConversations = () => {
+  const [conversations, setConversations] = useState([]);
+  const [activeId, setActiveId] = useState(null);
+  const [isStreaming, setIsStreaming] = useState(false);
+  const [isLoaded, setIsLoaded] = useState(false);
+  const controllerRef = useRef(null);
+  const isOnline = useOnlineStatus();
+
+  useEffect(() => {
+    const stored = loadStoredConversations();
+    setConversations(stored);
+    setActiveId(stored[0]?.id ?? null);
+    setIsLoaded(true);
+    return () => controllerRef.current?.abort();
+  }, []);
+
+  // Saved once an answer has finished rather than on every streamed token
+  useEffect(() => {
+    if (!isLoaded || isStreaming) return;
+    try {
+      window.localStorage.setItem(
+        AI_CONFIG.STORAGE_KEY,
+        JSON.stringify(conversations.slice(0, AI_CONFIG.MAX_STORED_CONVERSATIONS))
+      );
+    } catch {
+      // Storage full or disabled; history still works for this visit
+    }
+  }, [conversations, isStreaming, isLoaded]);
+
+  const updateMessage = useCallback((conversationId, messageId, update) => {
+    setConversations((current) => current.map((conversation) => (
+      conversation.id !== conversationId ? conversation : {
+        ...conversation,
+        updatedAt: Date.now(),
+        messages: conversation.messages.map((message) => (
+          message.id === messageId ? { ...message, ...update(message) } : message
+        )),
+      }
+    )));
+  }, []);
+
+  const streamAnswer = useCallback(async ({ conversationId, answerId, question, history }) => {
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setIsStreaming(true);
+
+    try {
+      await streamAiSearch({ query: question, history }, {
+        signal: controller.signal,
+        onToken: (token) => updateMessage(conversationId, answerId, (message) => ({
+          content: message.content + token,
+        })),
+      });
+      updateMessage(conversationId, answerId, () => ({ pending: false }));
+    } catch (e) {
+      updateMessage(conversationId, answerId, (message) => {
+        if (e.isAborted) return { pending: false, cancelled: true };
+        // Lost the connection before anything arrived: try again once back online
+        if (e.isNetworkError && isOffline() && !message.content) return { pending: false, queued: true };
+        return { pending: false, error: e.message };
+      });
+    } finally {
+      controllerRef.current = null;
+      setIsStreaming(false);
+    }
+  }, [updateMessage]);
+
+  const ask = useCallback(async (query) => {
+    const question = query.trim();
+    if (!question || controllerRef.current) return;
+
+    const existing = conversations.find((conversation) => conversation.id === activeId);
+    const conversationId = existing?.id ?? createId();
+    const history = toHistory(existing?.messages ?? []);
+    const userMessage = { id: createId(), role: 'user', content: question };
+    const queued = isOffline();
+    const answer = { id: createId(), role: 'assistant', content: '', pending: !queued, queued };
+
+    setConversations((current) => {
+      if (!existing) {
+        const title = question.length > 60 ? `${question.slice(0, 57)}...` : question;
+        return [
+          { id: conversationId, title, createdAt: Date.now(), updatedAt: Date.now(), messages: [userMessage, answer] },
+          ...current,
+        ];
+      }
+      return current.map((conversation) => (
+        conversation.id === conversationId
+          ? { ...conversation, updatedAt: Date.now(), messages: [...conversation.messages, userMessage, answer] }
+          : conversation
+      ));
+    });
+    setActiveId(conversationId);
+
+    if (!queued) await streamAnswer({ conversationId, answerId: answer.id, question, history });
+  }, [conversations, activeId, streamAnswer]);
+
+  // Send queued questions one at a time once the connection is back
+  useEffect(() => {
+    if (!isLoaded || !isOnline || isStreaming || controllerRef.current) return;
+    const next = findQueuedQuestion(conversations);
+    if (!next) return;
+    updateMessage(next.conversationId, next.answerId, () => ({ queued: false, pending: true }));
+    streamAnswer(next);
+  }, [conversations, isLoaded, isOnline, isStreaming, updateMessage, streamAnswer]);
+
+  const cancel = useCallback(() => controllerRef.current?.abort(), []);
+
+  const startNewConversation = useCallback(() => {
+    controllerRef.current?.abort();
+    setActiveId(null);
+  }, []);
+
+  const selectConversation = useCallback((id) => {
+    controllerRef.current?.abort();
+    setActiveId(id);
+  }, []);
+
+  const deleteConversation = useCallback((id) => {
+    if (id === activeId) controllerRef.current?.abort();
+    setConversations((current) => current.filter((conversation) => conversation.id !== id));
+    setActiveId((current) => (current === id ? null : current));
+  }, [activeId]);
+
+  const activeConversation = conversations.find((conversation) => conversation.id === activeId) ?? null;
+
+  return {
+    conversations,
+    activeConversation,
+    isStreaming,
+    ask,
+    cancel,
+    startNewConversation,
+    selectConversation,
+    deleteConversation,
+  };
+};
+
+export default useAiConversations;
@@ -0,0 +1,82 @@
+import { useState, useRef, useCallback, useEffect } from 'react';
+import { ApiError, getAllOutlets } from '../lib/apiClient';
+import { loadOutletDataset, saveOutletDataset } from '../lib/outletCache';
+
+/**
+ * Every stored outlet, for the map and the analyses that need the whole
+ * dataset (overlaps, filters, export, near me). Loaded separately from the
+ * paged list; `isLoaded` stays false until the first full load finishes.
+ *
+ * Each full load is saved to IndexedDB. When the backend cannot be reached,
+ * the saved dataset is shown instead (`isFromCache`) until the next
+ * successful load. `savedAt` is when the saved copy was written, or null when this
+ * device has none.
+ */
+const useAllOutlets = () => {
+  const [outlets, setOutlets] = useState([]);
+  const [isLoaded, setIsLoaded] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [isFromCache, setIsFromCache] = useState(false);
+  const [savedAt, setSavedAt] = useState(null);
+  const controllerRef = useRef(null);
+
+  const load = useCallback(async ({ fresh = false } = {}) => {
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+
+    setIsLoading(true);
+    setError(null);
+    try {
+      if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+        throw new ApiError('You are offline', { code: 'network_error' });
+      }
+      const loaded = await getAllOutlets({ signal: controller.signal, noCache: fresh });
+      setOutlets(loaded);
+      setIsLoaded(true);
+      setIsFromCache(false);
+      const stored = await saveOutletDataset({ outlets: loaded, total: loaded.length });
+      if (stored) setSavedAt(stored);
+    } catch (e) {
+      if (e.isAborted) return;
+      const saved = e.isNetworkError ? await loadOutletDataset() : null;
+      if (saved && controllerRef.current === controller) {
+        setOutlets(saved.outlets);
+        setIsLoaded(true);
+        setIsFromCache(true);
+        setSavedAt(saved.savedAt);
+      } else {
+        setError(e.message);
+      }
+    } finally {
+      if (controllerRef.current === controller) {
+        controllerRef.current = null;
+        setIsLoading(false);
+      }
+    }
+  }, []);
+
+  // Reload after the data changed; skips the proxy cache like the paged list
+  const refresh = useCallback(() => load({ fresh: true }), [load]);
+
+  useEffect(() => {
+    load();
+    return () => controllerRef.current?.abort();
+  }, [load]);
+
+  // Whether this device has a saved copy, for the offline banner
+  useEffect(() => {
+    let isCurrent = true;
+    loadOutletDataset().then((saved) => {
+      if (isCurrent && saved) setSavedAt((current) => current ?? saved.savedAt);
+    });
+    return () => {
+      isCurrent = false;
+    };
+  }, []);
+
+  return { outlets, isLoaded, isLoading, error, isFromCache, savedAt, refresh };
+};
+
+export default useAllOutlets;
@@ -0,0 +1,68 @@
+import { useState, useEffect, useRef } from 'react';
+import { findIntersectingOutlets, groupOverlapsByOutlet } from '../lib/geo';
+import { MAP_CONFIG } from '../variables';
+
+const createOverlapWorker = () => {
+  if (typeof Worker === 'undefined') return null;
+  try {
+    return new Worker(new URL('../workers/overlap.worker.js', import.meta.url));
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Overlapping catchments for the given outlets. Small sets are computed
+ * inline; larger ones are handed to a Web Worker so panning stays smooth.
+ * @returns {{overlaps: Map<*, {id: *, name: string, distance: number}[]>, pairs: Array, isComputing: boolean}}
+ */
+const useCatchmentOverlaps = (outlets, catchmentRadiusKm) => {
+  const [result, setResult] = useState({ overlaps: new Map(), pairs: [] });
+  const [isComputing, setIsComputing] = useState(false);
+  const workerRef = useRef(null);
+  const requestIdRef = useRef(0);
+
+  useEffect(() => () => workerRef.current?.terminate(), []);
+
+  useEffect(() => {
+    const requestId = ++requestIdRef.current;
+    const publish = (pairs) => {
+      setResult({ overlaps: groupOverlapsByOutlet(pairs, outlets), pairs });
+      setIsComputing(false);
+    };
+
+    if (outlets.length < MAP_CONFIG.OVERLAP_WORKER_THRESHOLD) {
+      publish(findIntersectingOutlets(outlets, catchmentRadiusKm));
+      return;
+    }
+
+    if (!workerRef.current) workerRef.current = createOverlapWorker();
+    const worker = workerRef.current;
+    if (!worker) {
+      publish(findIntersectingOutlets(outlets, catchmentRadiusKm));
+      return;
+    }
+
+    setIsComputing(true);
+    const handleMessage = ({ data }) => {
+      // Ignore answers for outlet sets that have since been replaced
+      if (data.requestId !== requestIdRef.current) return;
+      if (data.error) {
+        publish(findIntersectingOutlets(outlets, catchmentRadiusKm));
+      } else {
+        publish(data.pairs);
+      }
+    };
+    worker.addEventListener('message', handleMessage);
+    worker.postMessage({
+      requestId,
+      outlets: outlets.map(({ id, latitude, longitude }) => ({ id, latitude, longitude })),
+      catchmentRadiusKm,
+    });
+    return () => worker.removeEventListener('message', handleMessage);
+  }, [outlets, catchmentRadiusKm]);
+
+  return { ...result, isComputing };
+};
+
+export default useCatchmentOverlaps;
@@ -0,0 +1,68 @@
+import { useState, useEffect, useCallback } from 'react';
+import { LAYER_CONFIG } from '../variables';
+
+const DEFAULT_STATE = {
+  baseLayer: LAYER_CONFIG.DEFAULT_BASE_LAYER,
+  overlays: { catchments: true, heatmap: false, coverageGaps: false },
+  coverageGapKm: LAYER_CONFIG.DEFAULT_COVERAGE_GAP_KM,
+};
+
+const loadStoredLayers = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(LAYER_CONFIG.STORAGE_KEY)) || {};
+    return {
+      ...DEFAULT_STATE,
+      ...stored,
+      overlays: { ...DEFAULT_STATE.overlays, ...stored.overlays },
+    };
+  } catch {
+    return DEFAULT_STATE;
+  }
+};
+
+/**
+ * The map's base layer and overlay toggles, remembered between visits.
+ * A stored base layer that is no longer configured falls back to the default.
+ */
+const useMapLayers = () => {
+  const [state, setState] = useState(DEFAULT_STATE);
+  const [isLoaded, setIsLoaded] = useState(false);
+
+  useEffect(() => {
+    setState(loadStoredLayers());
+    setIsLoaded(true);
+  }, []);
+
+  useEffect(() => {
+    if (!isLoaded) return;
+    try {
+      window.localStorage.setItem(LAYER_CONFIG.STORAGE_KEY, JSON.stringify(state));
+    } catch {
+      // Storage full or disabled; the choice still applies for this visit
+    }
+  }, [state, isLoaded]);
+
+  const baseLayer = LAYER_CONFIG.BASE_LAYERS.find((layer) => layer.key === state.baseLayer)
+    ?? LAYER_CONFIG.BASE_LAYERS.find((layer) => layer.key === LAYER_CONFIG.DEFAULT_BASE_LAYER)
+    ?? LAYER_CONFIG.BASE_LAYERS[0];
+
+  const setBaseLayer = useCallback((key) => setState((current) => ({ ...current, baseLayer: key })), []);
+
+  const setOverlay = useCallback((name, isOn) => setState((current) => ({
+    ...current,
+    overlays: { ...current.overlays, [name]: isOn },
+  })), []);
+
+  const setCoverageGapKm = useCallback((km) => setState((current) => ({ ...current, coverageGapKm: km })), []);
+
+  return {
+    baseLayer,
+    overlays: state.overlays,
+    coverageGapKm: state.coverageGapKm,
+    setBaseLayer,
+    setOverlay,
+    setCoverageGapKm,
+  };
+};
+
+export default useMapLayers;
@@ -0,0 +1,15 @@
+import { useState, useEffect } from 'react';
+
+// Current time, refreshed every `intervalMs` so time-based labels stay fresh
+const useNow = (intervalMs = 60 * 1000) => {
+  const [now, setNow] = useState(() => new Date());
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(new Date()), intervalMs);
+    return () => clearInterval(timer);
+  }, [intervalMs]);
+
+  return now;
+};
+
+export default useNow;
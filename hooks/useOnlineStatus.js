@@ -0,0 +1,21 @@
+import { useState, useEffect } from 'react';
+
+// navigator.onLine, kept up to date; assumed online during server rendering
+const useOnlineStatus = () => {
+  const [isOnline, setIsOnline] = useState(true);
+
+  useEffect(() => {
+    const update = () => setIsOnline(navigator.onLine);
+    update();
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    return () => {
+      window.removeEventListener('online', update);
+      window.removeEventListener('offline', update);
+    };
+  }, []);
+
+  return isOnline;
+};
+
+export default useOnlineStatus;
@@ -0,0 +1,54 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { useRouter } from 'next/router';
+import {
+  DEFAULT_FILTERS,
+  FILTER_QUERY_PARAMS,
+  filtersFromQuery,
+  filtersToQuery,
+} from '../lib/outletFilters';
+import { UI_CONFIG } from '../variables';
+
+// Outlet filter state, restored from and mirrored to the query string
+const useOutletFilters = () => {
+  const router = useRouter();
+  const [filters, setFilters] = useState(DEFAULT_FILTERS);
+  const isRestored = useRef(false);
+
+  useEffect(() => {
+    if (!router.isReady || isRestored.current) return;
+    isRestored.current = true;
+    setFilters(filtersFromQuery(router.query));
+  }, [router.isReady, router.query]);
+
+  // The debounced write reads the router as it is when the timer fires, so
+  // other parameters set meanwhile (e.g. ?outlet=) are kept
+  const routerRef = useRef(router);
+  useEffect(() => {
+    routerRef.current = router;
+  }, [router]);
+
+  // Debounced so typing in the search box does not rewrite the URL per keystroke
+  useEffect(() => {
+    if (!isRestored.current) return;
+    const timer = setTimeout(() => {
+      const current = routerRef.current;
+      const query = { ...current.query };
+      FILTER_QUERY_PARAMS.forEach((param) => delete query[param]);
+      Object.assign(query, filtersToQuery(filters));
+      const isUnchanged = FILTER_QUERY_PARAMS.every((param) => query[param] === current.query[param]);
+      if (isUnchanged) return;
+      current.replace({ pathname: current.pathname, query }, undefined, { shallow: true, scroll: false });
+    }, UI_CONFIG.FILTER_URL_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [filters]);
+
+  const setFilter = useCallback((key, value) => {
+    setFilters((current) => ({ ...current, [key]: value }));
+  }, []);
+
+  const resetFilters = useCallback(() => setFilters(DEFAULT_FILTERS), []);
+
+  return { filters, setFilter, resetFilters };
+};
+
+export default useOutletFilters;
@@ -0,0 +1,116 @@
+import { useState, useMemo, useCallback, useRef } from 'react';
+import { saveOutlets } from '../lib/apiClient';
+import {
+  parseOutletFile,
+  diffImportedOutlets,
+  outletToSubmit,
+  SUBMITTABLE_STATUSES,
+} from '../lib/outletImport';
+import { fileErrorMessage } from '../lib/fileError';
+import { IMPORT_CONFIG } from '../variables';
+import useTranslation from './useTranslation';
+
+const DUPLICATE_RADIUS_KM = IMPORT_CONFIG.DUPLICATE_RADIUS_M / 1000;
+
+/**
+ * An imported CSV/GeoJSON file diffed against every stored outlet, not just
+ * the pages loaded into the list. New and changed rows start accepted; the
+ * user can toggle any submittable row, then either save the accepted rows or
+ * only view them on the map.
+ */
+const useOutletImport = (existingOutlets, { onSubmitted } = {}) => {
+  const { t } = useTranslation();
+  const [file, setFile] = useState(null); // {name, format, rows, invalid}
+  const [accepted, setAccepted] = useState(() => new Set());
+  const [showOnMap, setShowOnMap] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const [result, setResult] = useState(null);
+
+  // loadFile picks default selections from the outlets known at that moment
+  const existingRef = useRef(existingOutlets);
+  existingRef.current = existingOutlets;
+
+  const entries = useMemo(() => {
+    if (!file) return [];
+    return [...diffImportedOutlets(file.rows, existingOutlets, { duplicateRadiusKm: DUPLICATE_RADIUS_KM }), ...file.invalid];
+  }, [file, existingOutlets]);
+
+  const loadFile = useCallback(async (selectedFile) => {
+    setError(null);
+    setResult(null);
+    if (selectedFile.size > IMPORT_CONFIG.MAX_FILE_SIZE_MB * 1024 * 1024) {
+      setError(t('import.tooLarge', { name: selectedFile.name, size: IMPORT_CONFIG.MAX_FILE_SIZE_MB }));
+      return;
+    }
+
+    try {
+      const parsed = parseOutletFile(await selectedFile.text(), selectedFile.name);
+      const diff = diffImportedOutlets(parsed.rows, existingRef.current, { duplicateRadiusKm: DUPLICATE_RADIUS_KM });
+      setFile({ name: selectedFile.name, ...parsed });
+      setAccepted(new Set(
+        diff.filter((entry) => entry.status === 'new' || entry.status === 'changed').map((entry) => entry.row)
+      ));
+      setShowOnMap(false);
+    } catch (e) {
+      setError(`${selectedFile.name}: ${fileErrorMessage(e, t)}`);
+    }
+  }, [t]);
+
+  const setRowsAccepted = useCallback((rows, isAccepted) => {
+    setAccepted((current) => {
+      const next = new Set(current);
+      rows.forEach((row) => (isAccepted ? next.add(row) : next.delete(row)));
+      return next;
+    });
+  }, []);
+
+  const acceptedEntries = useMemo(
+    () => entries.filter((entry) => SUBMITTABLE_STATUSES.includes(entry.status) && accepted.has(entry.row)),
+    [entries, accepted]
+  );
+
+  const submit = useCallback(async () => {
+    if (acceptedEntries.length === 0) return;
+    setIsSubmitting(true);
+    setError(null);
+    setResult(null);
+    try {
+      const overwriteExisting = acceptedEntries.some((entry) => entry.status === 'changed');
+      const response = await saveOutlets(acceptedEntries.map(outletToSubmit), { overwriteExisting });
+      setResult(response?.message || t('import.saved', { count: acceptedEntries.length }));
+      setAccepted(new Set());
+      onSubmitted?.();
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  }, [acceptedEntries, onSubmitted, t]);
+
+  const discard = useCallback(() => {
+    setFile(null);
+    setAccepted(new Set());
+    setShowOnMap(false);
+    setError(null);
+    setResult(null);
+  }, []);
+
+  return {
+    file,
+    entries,
+    accepted,
+    acceptedCount: acceptedEntries.length,
+    showOnMap,
+    setShowOnMap,
+    isSubmitting,
+    error,
+    result,
+    loadFile,
+    setRowsAccepted,
+    submit,
+    discard,
+  };
+};
+
+export default useOutletImport;
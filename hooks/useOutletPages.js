@@ -0,0 +1,90 @@
+import { useState, useRef, useCallback, useEffect } from 'react';
+import { getOutlets } from '../lib/apiClient';
+import { MAP_CONFIG, UI_CONFIG } from '../variables';
+
+/**
+ * Pages through GET /outlets, accumulating results for infinite scrolling.
+ * The offline copy is kept by useAllOutlets, which saves the full dataset
+ * rather than the pages scrolled so far.
+ */
+const useOutletPages = ({ perPage: requestedPerPage = UI_CONFIG.DEFAULT_PAGINATION.PER_PAGE } = {}) => {
+  const perPage = Math.min(requestedPerPage, MAP_CONFIG.MAX_OUTLETS_PER_REQUEST);
+  const [outlets, setOutlets] = useState([]);
+  const [total, setTotal] = useState(null);
+  const [hasMore, setHasMore] = useState(true);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Refs mirror the paging cursor so loadMore can be called from scroll handlers
+  const pageRef = useRef(UI_CONFIG.DEFAULT_PAGINATION.PAGE - 1);
+  const hasMoreRef = useRef(true);
+  const controllerRef = useRef(null);
+
+  const loadPage = useCallback(async (page, { replace = false, fresh = false } = {}) => {
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+
+    setIsLoading(true);
+    setError(null);
+    try {
+      const data = await getOutlets({ page, perPage }, { signal: controller.signal, noCache: fresh });
+      const pageOutlets = data.outlets || [];
+
+      setOutlets((current) => {
+        const base = replace ? [] : current;
+        const seen = new Set(base.map((outlet) => outlet.id));
+        return base.concat(pageOutlets.filter((outlet) => !seen.has(outlet.id)));
+      });
+
+      // Prefer the backend total; fall back to "a short page is the last page"
+      const more = typeof data.total === 'number'
+        ? page * perPage < data.total
+        : pageOutlets.length === perPage;
+      setTotal(typeof data.total === 'number' ? data.total : null);
+      setHasMore(more);
+      hasMoreRef.current = more;
+      pageRef.current = page;
+    } catch (e) {
+      if (e.isAborted) return;
+      setError(e.message);
+    } finally {
+      if (controllerRef.current === controller) {
+        controllerRef.current = null;
+        setIsLoading(false);
+      }
+    }
+  }, [perPage]);
+
+  const loadMore = useCallback(() => {
+    if (controllerRef.current || !hasMoreRef.current) return;
+    loadPage(pageRef.current + 1);
+  }, [loadPage]);
+
+  // Reload from the first page, e.g. after a scrape finished. Skips the
+  // proxy cache, which may still hold the pages from before the change.
+  const refresh = useCallback(() => {
+    hasMoreRef.current = true;
+    return loadPage(UI_CONFIG.DEFAULT_PAGINATION.PAGE, { replace: true, fresh: true });
+  }, [loadPage]);
+
+  // Drop everything locally, e.g. after the backend was emptied
+  const clear = useCallback(() => {
+    controllerRef.current?.abort();
+    pageRef.current = UI_CONFIG.DEFAULT_PAGINATION.PAGE - 1;
+    hasMoreRef.current = false;
+    setOutlets([]);
+    setTotal(0);
+    setHasMore(false);
+  }, []);
+
+  useEffect(() => {
+    hasMoreRef.current = true;
+    loadPage(UI_CONFIG.DEFAULT_PAGINATION.PAGE, { replace: true });
+    return () => controllerRef.current?.abort();
+  }, [loadPage]);
+
+  return { outlets, total, hasMore, isLoading, error, loadMore, refresh, clear };
+};
+
+export default useOutletPages;
@@ -0,0 +1,20 @@
+import { useSession } from 'next-auth/react';
+import { AUTH_CONFIG } from '../variables';
+
+/**
+ * The current user's role. Signed-out visitors get the anonymous role, and
+ * nobody counts as an admin while the session is still loading.
+ */
+const useRole = () => {
+  const { data: session, status } = useSession();
+  const role = session?.user?.role ?? AUTH_CONFIG.ANONYMOUS_ROLE;
+
+  return {
+    role,
+    isAdmin: role === AUTH_CONFIG.ADMIN_ROLE,
+    user: session?.user ?? null,
+    isLoading: status === 'loading',
+  };
+};
+
+export default useRole;
@@ -0,0 +1,79 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { hasValidCoordinates } from '../lib/geo';
+import { planRoute } from '../lib/routePlanning';
+import { ROUTE_CONFIG } from '../variables';
+
+const loadStoredStops = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(ROUTE_CONFIG.STORAGE_KEY));
+    return Array.isArray(stored) ? stored.map(String).slice(0, ROUTE_CONFIG.MAX_STOPS) : [];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Outlets picked for a visit and the order to visit them in. Picks are kept
+ * as ids (remembered between visits), so outlets that are not loaded yet
+ * join the route once their page arrives. With `origin` and
+ * `startFromOrigin`, the route starts at that position.
+ * @param {Object[]} outlets - the loaded outlets
+ * @param {{origin?: {latitude: number, longitude: number}}} [options]
+ */
+const useRoutePlanner = (outlets, { origin = null } = {}) => {
+  const [stopIds, setStopIds] = useState([]);
+  const [isLoaded, setIsLoaded] = useState(false);
+  const [startFromOrigin, setStartFromOrigin] = useState(true);
+
+  useEffect(() => {
+    setStopIds(loadStoredStops());
+    setIsLoaded(true);
+  }, []);
+
+  useEffect(() => {
+    if (!isLoaded) return;
+    try {
+      window.localStorage.setItem(ROUTE_CONFIG.STORAGE_KEY, JSON.stringify(stopIds));
+    } catch {
+      // Storage full or disabled; the route still works for this visit
+    }
+  }, [stopIds, isLoaded]);
+
+  const stops = useMemo(() => {
+    const byId = new Map(outlets.filter(hasValidCoordinates).map((outlet) => [String(outlet.id), outlet]));
+    return stopIds.map((id) => byId.get(id)).filter(Boolean);
+  }, [outlets, stopIds]);
+
+  const routeOrigin = startFromOrigin ? origin : null;
+  const route = useMemo(() => planRoute(stops, { origin: routeOrigin }), [stops, routeOrigin]);
+
+  // Stop id -> 1-based position in the planned order, for list and map labels
+  const stopNumbers = useMemo(
+    () => new Map(route.stops.map((outlet, index) => [String(outlet.id), index + 1])),
+    [route]
+  );
+
+  const toggleStop = useCallback((outletId) => {
+    const id = String(outletId);
+    setStopIds((current) => {
+      if (current.includes(id)) return current.filter((item) => item !== id);
+      return current.length < ROUTE_CONFIG.MAX_STOPS ? [...current, id] : current;
+    });
+  }, []);
+
+  const clearStops = useCallback(() => setStopIds([]), []);
+
+  return {
+    route,
+    origin: routeOrigin,
+    stopNumbers,
+    pendingCount: stopIds.length - stops.length, // picked but not loaded (or without coordinates)
+    isFull: stopIds.length >= ROUTE_CONFIG.MAX_STOPS,
+    startFromOrigin,
+    setStartFromOrigin,
+    toggleStop,
+    clearStops,
+  };
+};
+
+export default useRoutePlanner;
@@ -0,0 +1,257 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { getOutlets, getScrapeJob, scrapeAndSave } from '../lib/apiClient';
+import useOnlineStatus from './useOnlineStatus';
+import { JOBS_CONFIG } from '../variables';
+
+export const FINISHED_STATUSES = ['completed', 'failed'];
+
+// Backend job statuses mapped onto the ones the panel knows about
+const STATUS_ALIASES = {
+  pending: 'queued',
+  queued: 'queued',
+  started: 'running',
+  running: 'running',
+  in_progress: 'running',
+  completed: 'completed',
+  done: 'completed',
+  success: 'completed',
+  failed: 'failed',
+  error: 'failed',
+};
+
+// Bypasses the proxy cache, which would hide the count growing
+const readTotal = async () => {
+  const data = await getOutlets({ page: 1, perPage: 1 }, { noCache: true });
+  return typeof data.total === 'number' ? data.total : null;
+};
+
+const pollBackendJob = async (job) => {
+  const data = await getScrapeJob(job.jobId);
+  const status = STATUS_ALIASES[String(data.status).toLowerCase()] || 'running';
+  return {
+    status,
+    newOutlets: data.new_outlets ?? data.saved_count ?? job.newOutlets,
+    // Without a reason from the backend the panel says the scrape failed
+    message: status === 'failed' ? data.error || data.message || null : job.message,
+  };
+};
+
+// Without a job id the only signal is the outlet count settling down
+const pollOutletCount = async (job) => {
+  const total = await readTotal();
+  if (total === null || job.baselineTotal === null) {
+    const stablePolls = job.stablePolls + 1;
+    return stablePolls >= JOBS_CONFIG.STABLE_POLLS
+      ? { status: 'completed', stablePolls, message: 'Finished (progress not reported by the backend)' }
+      : { status: 'running', stablePolls };
+  }
+
+  const newOutlets = Math.max(0, total - job.baselineTotal);
+  const grew = newOutlets !== job.newOutlets;
+  const stablePolls = grew ? 0 : job.stablePolls + 1;
+  const lastGrowthAt = grew ? Date.now() : job.lastGrowthAt;
+  const isSettled = newOutlets > 0 && stablePolls >= JOBS_CONFIG.STABLE_POLLS;
+  const isIdle = Date.now() - lastGrowthAt > JOBS_CONFIG.IDLE_TIMEOUT_MS;
+
+  return {
+    status: isSettled || isIdle ? 'completed' : 'running',
+    newOutlets,
+    stablePolls,
+    lastGrowthAt,
+  };
+};
+
+const loadStoredJobs = () => {
+  try {
+    return JSON.parse(window.localStorage.getItem(JOBS_CONFIG.STORAGE_KEY)) || [];
+  } catch {
+    return [];
+  }
+};
+
+const createJob = (searchTerm) => ({
+  id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+  jobId: null,
+  searchTerm,
+  startedAt: Date.now(),
+  finishedAt: null,
+  status: 'queued',
+  newOutlets: 0,
+  baselineTotal: null,
+  stablePolls: 0,
+  lastGrowthAt: Date.now(),
+  message: null,
+  lastError: null,
+  timedOut: false,
+  awaitingConnection: false,
+});
+
+// Sends the scrape request; resolves to the job fields it determines
+const requestScrape = async (searchTerm) => {
+  let baselineTotal = null;
+  try {
+    baselineTotal = await readTotal();
+  } catch {
+    // Progress falls back to "finished" detection without a baseline
+  }
+
+  const result = await scrapeAndSave({ searchTerm, overwriteExisting: false });
+  return {
+    jobId: result?.job_id ?? null,
+    startedAt: Date.now(),
+    newOutlets: result?.job_id ? null : 0,
+    baselineTotal,
+    lastGrowthAt: Date.now(),
+    message: result?.message || null,
+    awaitingConnection: false,
+  };
+};
+
+const isOffline = () => typeof navigator !== 'undefined' && navigator.onLine === false;
+
+/**
+ * Tracks scrape requests from start to finish by polling the backend.
+ * Jobs are persisted in localStorage so a reload resumes tracking. Scrapes
+ * started offline (or whose request cannot reach the backend) are queued
+ * and sent once the browser is back online.
+ */
+const useScrapeJobs = ({ onJobCompleted } = {}) => {
+  const [jobs, setJobs] = useState([]);
+  const jobsRef = useRef(jobs);
+  const timersRef = useRef(new Map());
+  const pollRef = useRef(null);
+  const onJobCompletedRef = useRef(onJobCompleted);
+  const sendingRef = useRef(new Set());
+  const isOnline = useOnlineStatus();
+
+  useEffect(() => {
+    onJobCompletedRef.current = onJobCompleted;
+  }, [onJobCompleted]);
+
+  const updateJob = useCallback((id, changes) => {
+    jobsRef.current = jobsRef.current.map((job) => (job.id === id ? { ...job, ...changes } : job));
+    setJobs(jobsRef.current);
+  }, []);
+
+  const schedulePoll = useCallback((id) => {
+    clearTimeout(timersRef.current.get(id));
+    timersRef.current.set(id, setTimeout(() => pollRef.current(id), JOBS_CONFIG.POLL_INTERVAL_MS));
+  }, []);
+
+  const poll = useCallback(async (id) => {
+    timersRef.current.delete(id);
+    const job = jobsRef.current.find((item) => item.id === id);
+    if (!job || job.awaitingConnection || FINISHED_STATUSES.includes(job.status)) return;
+
+    if (Date.now() - job.startedAt > JOBS_CONFIG.TIMEOUT_MS) {
+      updateJob(id, { status: 'failed', timedOut: true, message: null });
+      return;
+    }
+
+    let changes;
+    try {
+      changes = job.jobId ? await pollBackendJob(job) : await pollOutletCount(job);
+      changes.lastError = null;
+    } catch (e) {
+      // A failed poll is not a failed scrape; keep trying until the timeout
+      changes = { lastError: e.message };
+    }
+
+    if (!jobsRef.current.some((item) => item.id === id)) return; // dismissed meanwhile
+    if (changes.status && FINISHED_STATUSES.includes(changes.status)) changes.finishedAt = Date.now();
+    updateJob(id, changes);
+
+    if (changes.status === 'completed') {
+      onJobCompletedRef.current?.(jobsRef.current.find((item) => item.id === id));
+    } else if (!FINISHED_STATUSES.includes(changes.status)) {
+      schedulePoll(id);
+    }
+  }, [updateJob, schedulePoll]);
+
+  useEffect(() => {
+    pollRef.current = poll;
+  }, [poll]);
+
+  // Restore jobs from a previous visit and resume the unfinished ones
+  useEffect(() => {
+    const timers = timersRef.current;
+    jobsRef.current = loadStoredJobs();
+    setJobs(jobsRef.current);
+    jobsRef.current
+      .filter((job) => !job.awaitingConnection && !FINISHED_STATUSES.includes(job.status))
+      .forEach((job) => schedulePoll(job.id));
+    return () => timers.forEach((timer) => clearTimeout(timer));
+  }, [schedulePoll]);
+
+  useEffect(() => {
+    if (jobs !== jobsRef.current) return; // stale render from before the restore
+    try {
+      window.localStorage.setItem(JOBS_CONFIG.STORAGE_KEY, JSON.stringify(jobs));
+    } catch {
+      // Storage full or disabled; tracking still works for this visit
+    }
+  }, [jobs]);
+
+  const startJob = useCallback(async (searchTerm) => {
+    let job = createJob(searchTerm);
+    if (isOffline()) {
+      job = { ...job, awaitingConnection: true };
+    } else {
+      try {
+        job = { ...job, ...await requestScrape(searchTerm) };
+      } catch (e) {
+        if (!e.isNetworkError) throw e;
+        job = { ...job, awaitingConnection: true };
+      }
+    }
+
+    const finished = jobsRef.current.filter((item) => FINISHED_STATUSES.includes(item.status));
+    const active = jobsRef.current.filter((item) => !FINISHED_STATUSES.includes(item.status));
+    jobsRef.current = [job, ...active, ...finished.slice(0, JOBS_CONFIG.MAX_JOBS)];
+    setJobs(jobsRef.current);
+    if (!job.awaitingConnection) schedulePoll(job.id);
+    return job;
+  }, [schedulePoll]);
+
+  // Send queued scrapes in the order they were requested once back online
+  useEffect(() => {
+    if (!isOnline) return;
+    const queued = jobsRef.current
+      .filter((job) => job.awaitingConnection && !sendingRef.current.has(job.id))
+      .reverse();
+    if (queued.length === 0) return;
+
+    (async () => {
+      for (const job of queued) {
+        sendingRef.current.add(job.id);
+        try {
+          const changes = await requestScrape(job.searchTerm);
+          if (!jobsRef.current.some((item) => item.id === job.id)) continue; // dismissed meanwhile
+          updateJob(job.id, changes);
+          schedulePoll(job.id);
+        } catch (e) {
+          if (e.isNetworkError) break; // still unreachable; wait for the next "online"
+          updateJob(job.id, { status: 'failed', finishedAt: Date.now(), awaitingConnection: false, message: e.message });
+        } finally {
+          sendingRef.current.delete(job.id);
+        }
+      }
+    })();
+  }, [isOnline, jobs, updateJob, schedulePoll]);
+
+  const dismissJob = useCallback((id) => {
+    clearTimeout(timersRef.current.get(id));
+    timersRef.current.delete(id);
+    jobsRef.current = jobsRef.current.filter((job) => job.id !== id);
+    setJobs(jobsRef.current);
+  }, []);
+
+  const clearFinishedJobs = useCallback(() => {
+    jobsRef.current = jobsRef.current.filter((job) => !FINISHED_STATUSES.includes(job.status));
+    setJobs(jobsRef.current);
+  }, []);
+
+  return { jobs, startJob, dismissJob, clearFinishedJobs };
+};
+
+export default useScrapeJobs;
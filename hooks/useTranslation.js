@@ -0,0 +1,25 @@
+import { createContext, useContext, useMemo } from 'react';
+import { DEFAULT_LOCALE, formatNumber, translate } from '../lib/i18n';
+import { formatDistance } from '../lib/geo';
+
+const LocaleContext = createContext(DEFAULT_LOCALE);
+
+// Set in _app from the router's locale; without it components render in English
+export const LocaleProvider = LocaleContext.Provider;
+
+/**
+ * Messages and number formatting for the current locale:
+ * `t(key, values)`, `formatNumber(value, options)` and `formatDistance(km)`.
+ */
+const useTranslation = () => {
+  const locale = useContext(LocaleContext);
+
+  return useMemo(() => ({
+    locale,
+    t: (key, values) => translate(locale, key, values),
+    formatNumber: (value, options) => formatNumber(locale, value, options),
+    formatDistance: (km) => formatDistance(km, locale),
+  }), [locale]);
+};
+
+export default useTranslation;
@@ -0,0 +1,77 @@
+import { useState, useCallback } from 'react';
+import useTranslation from './useTranslation';
+import { LOCATION_CONFIG, MAP_CONFIG } from '../variables';
+
+// GeolocationPositionError codes -> message keys
+const GEOLOCATION_ERRORS = {
+  1: 'nearMe.errors.denied',
+  2: 'nearMe.errors.unavailable',
+  3: 'nearMe.errors.timeout',
+};
+
+/**
+ * The user's position for "near me" features: a browser geolocation fix, or
+ * a pin the user places and drags when geolocation is refused or unavailable.
+ * `location` is `{latitude, longitude, accuracy, source: 'gps'|'pin'}`.
+ */
+const useUserLocation = () => {
+  const { t } = useTranslation();
+  const [location, setLocation] = useState(null);
+  const [isLocating, setIsLocating] = useState(false);
+  const [error, setError] = useState(null);
+
+  const placePin = useCallback((latitude, longitude) => {
+    setLocation({ latitude, longitude, accuracy: null, source: 'pin' });
+  }, []);
+
+  // Without a position yet, the pin starts at the default map centre
+  const dropPinIfMissing = useCallback(() => {
+    setLocation((current) => current ?? {
+      latitude: MAP_CONFIG.DEFAULT_CENTER[0],
+      longitude: MAP_CONFIG.DEFAULT_CENTER[1],
+      accuracy: null,
+      source: 'pin',
+    });
+  }, []);
+
+  const locate = useCallback(() => {
+    if (typeof navigator === 'undefined' || !navigator.geolocation) {
+      setError(t('nearMe.errors.unsupported'));
+      dropPinIfMissing();
+      return;
+    }
+
+    setIsLocating(true);
+    setError(null);
+    navigator.geolocation.getCurrentPosition(
+      (position) => {
+        setLocation({
+          latitude: position.coords.latitude,
+          longitude: position.coords.longitude,
+          accuracy: position.coords.accuracy,
+          source: 'gps',
+        });
+        setIsLocating(false);
+      },
+      (positionError) => {
+        setError(GEOLOCATION_ERRORS[positionError.code] ? t(GEOLOCATION_ERRORS[positionError.code]) : positionError.message);
+        setIsLocating(false);
+        dropPinIfMissing();
+      },
+      {
+        enableHighAccuracy: true,
+        timeout: LOCATION_CONFIG.GEOLOCATION_TIMEOUT_MS,
+        maximumAge: LOCATION_CONFIG.GEOLOCATION_MAX_AGE_MS,
+      }
+    );
+  }, [dropPinIfMissing, t]);
+
+  const clear = useCallback(() => {
+    setLocation(null);
+    setError(null);
+  }, []);
+
+  return { location, isLocating, error, locate, placePin, dropPin: dropPinIfMissing, clear };
+};
+
+export default useUserLocation;
@@ -0,0 +1,419 @@
+import { API_BASE_URL, API_ENDPOINTS, API_CONFIG, MAP_CONFIG, PROXY_CONFIG } from '../variables';
+
+/**
+ * @typedef {Object} Outlet
+ * @property {number} id
+ * @property {string} name
+ * @property {string} address
+ * @property {number} latitude
+ * @property {number} longitude
+ * @property {string} [operating_hours]
+ * @property {string} [telephone]
+ * @property {string} [waze_link]
+ */
+
+/**
+ * @typedef {Object} OutletPage
+ * @property {Outlet[]} outlets
+ * @property {number} [total]
+ * @property {number} [page]
+ * @property {number} [per_page]
+ */
+
+/**
+ * @typedef {Object} RequestOptions
+ * @property {AbortSignal} [signal] - Caller-owned signal to cancel the request
+ * @property {number} [timeout] - Milliseconds before the request is aborted
+ * @property {number} [retries] - Extra attempts for idempotent methods
+ * @property {boolean} [noCache] - Skip the proxy's short-lived cache of outlet pages
+ */
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE', 'OPTIONS'];
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+// Normalized error thrown by every client call
+export class ApiError extends Error {
+  constructor(message, { status = 0, details = [], code = 'http_error', body = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.details = details;
+    this.code = code;
+    this.body = body;
+  }
+
+  get isAborted() {
+    return this.code === 'aborted';
+  }
+
+  get isTimeout() {
+    return this.code === 'timeout';
+  }
+
+  // The backend could not be reached at all (offline, DNS, CORS, timeout)
+  get isNetworkError() {
+    return this.code === 'network_error' || this.code === 'timeout';
+  }
+}
+
+// FastAPI returns `detail` either as a string or as a list of validation errors
+export const formatErrorDetail = (detail) => {
+  if (!detail) return [];
+  if (typeof detail === 'string') return [detail];
+  if (Array.isArray(detail)) {
+    return detail.map((item) => {
+      if (typeof item === 'string') return item;
+      const location = Array.isArray(item.loc)
+        ? item.loc.filter((part) => part !== 'body').join('.')
+        : '';
+      return location ? `${location}: ${item.msg}` : item.msg;
+    });
+  }
+  if (typeof detail === 'object' && detail.msg) return [detail.msg];
+  return [JSON.stringify(detail)];
+};
+
+const readBody = async (response) => {
+  const text = await response.text();
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+};
+
+const toApiError = (response, body) => {
+  const details = body && typeof body === 'object' ? formatErrorDetail(body.detail) : [];
+  let message = details.join('; ');
+  // Short plain-text bodies make good messages; HTML error pages (e.g. from a gateway) do not
+  const isHtml = (response.headers.get('content-type') || '').includes('html') || /^\s*</.test(String(body));
+  if (!message && typeof body === 'string' && body.trim() && body.length < 300 && !isHtml) {
+    message = body.trim();
+  }
+  return new ApiError(message || `HTTP error! status: ${response.status}`, {
+    status: response.status,
+    details,
+    body,
+  });
+};
+
+// The browser goes through the same-origin proxy; server-side code (e.g.
+// getServerSideProps) calls the backend directly
+const baseUrl = () => (typeof window === 'undefined' ? API_BASE_URL : PROXY_CONFIG.BASE_PATH);
+
+const buildUrl = (path, query) => {
+  const url = `${baseUrl()}${path}`;
+  if (!query) return url;
+  const params = new URLSearchParams();
+  Object.entries(query).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') params.append(key, value);
+  });
+  const search = params.toString();
+  return search ? `${url}?${search}` : url;
+};
+
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(new ApiError('Request was cancelled', { code: 'aborted' }));
+  }, { once: true });
+});
+
+const toTransportError = (e) => {
+  if (e instanceof ApiError) return e;
+  if (e.name === 'AbortError') {
+    return new ApiError('Request was cancelled', { code: 'aborted' });
+  }
+  return new ApiError(`Network error: ${e.message}`, { code: 'network_error' });
+};
+
+// Sends a request and resolves once headers arrive. The timeout keeps running
+// while the body is read unless stopTimer() is called (used for streams); the
+// caller's signal stays linked until release().
+const open = async (url, init, { signal, timeout }) => {
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeout);
+  const onAbort = () => controller.abort();
+  const stopTimer = () => clearTimeout(timer);
+  const release = () => {
+    stopTimer();
+    signal?.removeEventListener('abort', onAbort);
+  };
+  const toError = (e) => (
+    timedOut && !(e instanceof ApiError)
+      ? new ApiError(`Request timed out after ${timeout / 1000}s`, { code: 'timeout' })
+      : toTransportError(e)
+  );
+
+  if (signal?.aborted) controller.abort();
+  signal?.addEventListener('abort', onAbort, { once: true });
+
+  try {
+    const response = await fetch(url, { ...init, signal: controller.signal });
+    return { response, release, stopTimer, toError };
+  } catch (e) {
+    release();
+    throw toError(e);
+  }
+};
+
+const attempt = async (url, init, options) => {
+  const { response, release, toError } = await open(url, init, options);
+  try {
+    const body = await readBody(response);
+    if (!response.ok) throw toApiError(response, body);
+    return body;
+  } catch (e) {
+    throw toError(e);
+  } finally {
+    release();
+  }
+};
+
+const shouldRetry = (error) => (
+  error.code === 'network_error' ||
+  error.code === 'timeout' ||
+  RETRYABLE_STATUSES.includes(error.status)
+);
+
+/**
+ * Low-level request helper. Idempotent methods are retried with exponential
+ * backoff on network errors, timeouts and transient HTTP statuses.
+ * @param {string} path
+ * @param {{method?: string, query?: Object, body?: Object} & RequestOptions} [options]
+ */
+export const request = async (path, {
+  method = 'GET',
+  query,
+  body,
+  signal,
+  timeout = API_CONFIG.TIMEOUT,
+  retries = API_CONFIG.MAX_RETRIES,
+  noCache = false,
+} = {}) => {
+  const upperMethod = method.toUpperCase();
+  const init = {
+    method: upperMethod,
+    headers: { 'Accept': 'application/json' },
+  };
+  if (noCache) init.headers['Cache-Control'] = 'no-cache';
+  if (body !== undefined) {
+    init.headers['Content-Type'] = 'application/json';
+    init.body = JSON.stringify(body);
+  }
+
+  const maxAttempts = IDEMPOTENT_METHODS.includes(upperMethod) ? retries + 1 : 1;
+  const url = buildUrl(path, query);
+
+  for (let attemptNumber = 1; ; attemptNumber++) {
+    try {
+      return await attempt(url, init, { signal, timeout });
+    } catch (e) {
+      if (attemptNumber >= maxAttempts || !shouldRetry(e)) throw e;
+      await wait(API_CONFIG.RETRY_DELAY * 2 ** (attemptNumber - 1), signal);
+    }
+  }
+};
+
+/**
+ * Fetch a page of stored outlets.
+ * @param {{page?: number, perPage?: number}} [params]
+ * @param {RequestOptions} [options]
+ * @returns {Promise<OutletPage>}
+ */
+export const getOutlets = ({ page, perPage } = {}, options) => (
+  request(API_ENDPOINTS.outlets, {
+    ...options,
+    query: { page, per_page: perPage },
+  })
+);
+
+/**
+ * Fetch every stored outlet by walking all pages, e.g. for a snapshot.
+ * @param {RequestOptions} [options]
+ * @returns {Promise<Outlet[]>}
+ */
+export const getAllOutlets = async (options) => {
+  const perPage = MAP_CONFIG.MAX_OUTLETS_PER_REQUEST;
+  const outlets = [];
+  for (let page = 1; ; page++) {
+    const data = await getOutlets({ page, perPage }, options);
+    const pageOutlets = data.outlets || [];
+    outlets.push(...pageOutlets);
+    const isLastPage = typeof data.total === 'number'
+      ? page * perPage >= data.total
+      : pageOutlets.length < perPage;
+    if (isLastPage || pageOutlets.length === 0) return outlets;
+  }
+};
+
+/**
+ * Ask the backend to scrape a location and save the results.
+ * @param {{searchTerm: string, overwriteExisting?: boolean}} params
+ * @param {RequestOptions} [options]
+ * @returns {Promise<{message?: string, job_id?: string}>}
+ */
+export const scrapeAndSave = ({ searchTerm, overwriteExisting = false }, options) => (
+  request(API_ENDPOINTS.scrapeAndSave, {
+    ...options,
+    method: 'POST',
+    body: { search_term: searchTerm, overwrite_existing: overwriteExisting },
+  })
+);
+
+/**
+ * Status of a scrape started with scrapeAndSave, when the backend returned a job id.
+ * @param {string} jobId
+ * @param {RequestOptions} [options]
+ * @returns {Promise<{job_id: string, status: string, new_outlets?: number, error?: string}>}
+ */
+export const getScrapeJob = (jobId, options) => (
+  request(`${API_ENDPOINTS.scrapeJob}/${encodeURIComponent(jobId)}`, options)
+);
+
+/**
+ * Delete every stored outlet.
+ * @param {RequestOptions} [options]
+ * @returns {Promise<{message: string}>}
+ */
+export const deleteAllOutlets = (options) => (
+  request(API_ENDPOINTS.deleteAllOutlets, { ...options, method: 'DELETE' })
+);
+
+/**
+ * Delete one stored outlet by id. Never retried: a repeat after a lost
+ * response would fail on the outlet that is already gone.
+ * @param {number|string} outletId
+ * @param {RequestOptions} [options]
+ * @returns {Promise<{message?: string}>}
+ */
+export const deleteOutlet = (outletId, options) => (
+  request(`${API_ENDPOINTS.deleteOutlet}/${encodeURIComponent(outletId)}`, { ...options, method: 'DELETE', retries: 0 })
+);
+
+/**
+ * Save outlet records directly through /save-outlets, e.g. from a snapshot
+ * or an imported file. Existing outlets (same id or name) are only updated
+ * with `overwriteExisting`.
+ * @param {Outlet[]} outlets
+ * @param {{overwriteExisting?: boolean}} [params]
+ * @param {RequestOptions} [options]
+ * @returns {Promise<{message?: string, saved_count?: number, updated_count?: number}>}
+ */
+export const saveOutlets = (outlets, { overwriteExisting = false } = {}, options) => (
+  request(API_ENDPOINTS.scrapeAndSave, {
+    ...options,
+    method: 'POST',
+    body: { outlets, overwrite_existing: overwriteExisting },
+  })
+);
+
+/**
+ * Natural language search over the stored outlets.
+ * @param {{query: string, history?: {role: 'user'|'assistant', content: string}[]}} params
+ * @param {RequestOptions} [options]
+ * @returns {Promise<{response: string}>}
+ */
+export const aiSearch = ({ query, history }, options) => (
+  request(API_ENDPOINTS.aiSearch, {
+    ...options,
+    method: 'POST',
+    body: history?.length ? { query, history } : { query },
+  })
+);
+
+// Yields the text payload of each Server-Sent Event in a stream
+async function* readEventStream(reader) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const events = buffer.split(/\r?\n\r?\n/);
+    buffer = events.pop();
+    for (const event of events) {
+      const data = event
+        .split(/\r?\n/)
+        .filter((line) => line.startsWith('data:'))
+        .map((line) => line.slice(5).replace(/^ /, ''))
+        .join('\n');
+      if (data) yield data;
+    }
+  }
+}
+
+// Text chunk carried by one streamed event: JSON {token|delta|response} or raw text
+const eventText = (data) => {
+  try {
+    const parsed = JSON.parse(data);
+    if (typeof parsed === 'string') return parsed;
+    return parsed.token ?? parsed.delta ?? parsed.response ?? '';
+  } catch {
+    return data;
+  }
+};
+
+/**
+ * Conversational search with streamed output. Earlier turns are sent as
+ * `history`. Handles Server-Sent Events, chunked plain text and plain JSON
+ * replies, calling `onToken` with each piece of text as it arrives.
+ * @param {{query: string, history?: {role: 'user'|'assistant', content: string}[]}} params
+ * @param {RequestOptions & {onToken?: (text: string) => void}} [options]
+ * @returns {Promise<{response: string}>} The full answer once the stream ends
+ */
+export const streamAiSearch = async ({ query, history = [] }, { onToken, signal, timeout = API_CONFIG.TIMEOUT } = {}) => {
+  const { response, release, stopTimer, toError } = await open(buildUrl(API_ENDPOINTS.aiSearch), {
+    method: 'POST',
+    headers: {
+      'Accept': 'text/event-stream, application/json',
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ query, history, stream: true }),
+  }, { signal, timeout });
+
+  try {
+    if (!response.ok) throw toApiError(response, await readBody(response));
+
+    const contentType = response.headers.get('content-type') || '';
+    if (contentType.includes('application/json') || !response.body) {
+      const body = await readBody(response);
+      const text = typeof body === 'string' ? body : body?.response ?? '';
+      onToken?.(text);
+      return { response: text };
+    }
+
+    // A stream may legitimately run longer than the request timeout
+    stopTimer();
+    let text = '';
+    const reader = response.body.getReader();
+    if (contentType.includes('text/event-stream')) {
+      for await (const data of readEventStream(reader)) {
+        if (data === '[DONE]') break;
+        const chunk = eventText(data);
+        text += chunk;
+        onToken?.(chunk);
+      }
+    } else {
+      const decoder = new TextDecoder();
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        const chunk = decoder.decode(value, { stream: true });
+        text += chunk;
+        onToken?.(chunk);
+      }
+    }
+    return { response: text };
+  } catch (e) {
+    throw toError(e);
+  } finally {
+    release();
+  }
+};
@@ -0,0 +1,205 @@
+// Server-only: forwards same-origin /api/backend/* requests to the backend
+// (pages/api/backend/[...path].js), so the browser never sees its URL or key.
+import { Readable } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+import { createTtlCache } from './ttlCache';
+import { createRateLimiter, clientKey } from './rateLimit';
+import { getRequestAccess } from './auth';
+import { API_BASE_URL, API_ENDPOINTS, AUTH_CONFIG, PROXY_CONFIG } from '../variables';
+
+/**
+ * @typedef {Object} ProxyRoute
+ * @property {string} method
+ * @property {string} path - Backend path, one of API_ENDPOINTS
+ * @property {boolean} [hasId] - The path is followed by a single id segment
+ * @property {boolean} [isProtected] - Admins only, same-origin only, and sent with the server-only backend key
+ * @property {boolean} [isCached] - Responses are shared for PROXY_CONFIG.OUTLETS_CACHE_TTL_MS
+ * @property {boolean} [isRateLimited] - Limited per client by the AI search rate limit
+ * @property {boolean} [changesOutlets] - Drops the cached outlet pages
+ */
+
+/** Every backend call the app makes; anything else is answered with 404 or 405. */
+export const PROXY_ROUTES = [
+  { method: 'GET', path: API_ENDPOINTS.outlets, isCached: true },
+  { method: 'DELETE', path: API_ENDPOINTS.deleteAllOutlets, isProtected: true, changesOutlets: true },
+  { method: 'DELETE', path: API_ENDPOINTS.deleteOutlet, hasId: true, isProtected: true, changesOutlets: true },
+  { method: 'POST', path: API_ENDPOINTS.scrapeAndSave, isProtected: true, changesOutlets: true },
+  // Polled while a scrape is saving outlets
+  { method: 'GET', path: API_ENDPOINTS.scrapeJob, hasId: true, isProtected: true, changesOutlets: true },
+  { method: 'POST', path: API_ENDPOINTS.aiSearch, isRateLimited: true },
+];
+
+const FORWARDED_RESPONSE_HEADERS = ['content-type', 'retry-after'];
+// The only query parameters of cached routes; anything else would let a
+// client fill the cache with copies of the same page
+const CACHED_QUERY_PARAMS = ['page', 'per_page'];
+
+const outletsCache = createTtlCache({
+  ttlMs: PROXY_CONFIG.OUTLETS_CACHE_TTL_MS,
+  maxEntries: PROXY_CONFIG.OUTLETS_CACHE_MAX_ENTRIES,
+});
+const aiSearchLimiter = createRateLimiter({
+  limit: PROXY_CONFIG.AI_SEARCH_RATE_LIMIT,
+  windowMs: PROXY_CONFIG.AI_SEARCH_RATE_WINDOW_MS,
+});
+
+const matchesPath = (route, path) => {
+  if (!route.hasId) return path === route.path;
+  const id = path.startsWith(`${route.path}/`) ? path.slice(route.path.length + 1) : '';
+  return id !== '' && !id.includes('/');
+};
+
+/**
+ * Route for a request, or the methods the path does accept when it exists
+ * under another method.
+ * @returns {{route: ProxyRoute|null, allowedMethods: string[]}}
+ */
+export const matchProxyRoute = (method, path) => {
+  const routes = PROXY_ROUTES.filter((route) => matchesPath(route, path));
+  return {
+    route: routes.find((route) => route.method === method) ?? null,
+    allowedMethods: routes.map((route) => route.method),
+  };
+};
+
+const requestHost = (req) => (
+  (PROXY_CONFIG.TRUSTED_PROXY_HOPS > 0 && req.headers['x-forwarded-host']) || req.headers.host
+);
+
+// Browsers label cross-site requests, so another site cannot make a visitor's
+// browser delete or scrape on its behalf
+const isCrossSite = (req) => {
+  const site = req.headers['sec-fetch-site'];
+  if (site) return site !== 'same-origin' && site !== 'none';
+  const { origin } = req.headers;
+  if (!origin) return false;
+  try {
+    return new URL(origin).host !== requestHost(req);
+  } catch {
+    return true;
+  }
+};
+
+const cachedQuery = (search) => {
+  const params = new URLSearchParams(search);
+  const kept = new URLSearchParams();
+  CACHED_QUERY_PARAMS.forEach((name) => {
+    if (params.has(name)) kept.set(name, params.get(name));
+  });
+  const query = kept.toString();
+  return query ? `?${query}` : '';
+};
+
+const readRawBody = async (req) => {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  return chunks.length ? Buffer.concat(chunks) : undefined;
+};
+
+const backendHeaders = (req, route) => {
+  const headers = { Accept: req.headers.accept || 'application/json' };
+  if (req.headers['content-type']) headers['Content-Type'] = req.headers['content-type'];
+  if (route.isProtected && process.env.BACKEND_API_KEY) {
+    headers.Authorization = `Bearer ${process.env.BACKEND_API_KEY}`;
+  }
+  return headers;
+};
+
+const sendBuffered = (res, { status, contentType, body }, cacheStatus) => {
+  res.setHeader('X-Cache', cacheStatus);
+  if (contentType) res.setHeader('Content-Type', contentType);
+  res.status(status).send(body);
+};
+
+/**
+ * API route handler. Errors use FastAPI's `{detail}` shape so the client
+ * reports them like backend errors.
+ */
+export const handleProxyRequest = async (req, res) => {
+  const segments = [].concat(req.query.path || []);
+  const path = `/${segments.map(encodeURIComponent).join('/')}`;
+  const { route, allowedMethods } = matchProxyRoute(req.method, path);
+
+  if (!route) {
+    if (allowedMethods.length === 0) return res.status(404).json({ detail: 'Not found' });
+    res.setHeader('Allow', allowedMethods.join(', '));
+    return res.status(405).json({ detail: `Method ${req.method} not allowed` });
+  }
+
+  const { role, isSignedIn } = await getRequestAccess(req, res);
+  if (!role) return res.status(401).json({ detail: 'Sign in to continue' });
+  if (route.isProtected) {
+    if (role !== AUTH_CONFIG.ADMIN_ROLE) {
+      return isSignedIn
+        ? res.status(403).json({ detail: 'Only admins can change outlet data' })
+        : res.status(401).json({ detail: 'Sign in as an admin to change outlet data' });
+    }
+    if (isCrossSite(req)) return res.status(403).json({ detail: 'Cross-site requests are not allowed' });
+  }
+
+  if (route.isRateLimited) {
+    const { allowed, retryAfterMs } = aiSearchLimiter.hit(clientKey(req));
+    if (!allowed) {
+      const seconds = Math.ceil(retryAfterMs / 1000);
+      res.setHeader('Retry-After', String(seconds));
+      return res.status(429).json({ detail: `Too many AI searches. Try again in ${seconds}s.` });
+    }
+  }
+
+  const { search: rawSearch } = new URL(req.url, 'http://localhost');
+  const search = route.isCached ? cachedQuery(rawSearch) : rawSearch;
+  const cacheKey = `${path}${search}`;
+  // A client asking for fresh data (e.g. after a scrape) skips the cache for
+  // that request only; its response then replaces the cached page
+  if (route.isCached && !/no-cache/.test(req.headers['cache-control'] || '')) {
+    const cached = outletsCache.get(cacheKey);
+    if (cached) return sendBuffered(res, cached, 'HIT');
+  }
+
+  // Stop the backend call when the browser goes away, e.g. a cancelled AI search
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  let response;
+  try {
+    response = await fetch(`${API_BASE_URL}${path}${search}`, {
+      method: req.method,
+      headers: backendHeaders(req, route),
+      body: req.method === 'GET' ? undefined : await readRawBody(req),
+      signal: controller.signal,
+    });
+  } catch (e) {
+    if (controller.signal.aborted) return;
+    return res.status(502).json({ detail: `Backend unreachable: ${e.cause?.message || e.message}` });
+  }
+
+  if (route.changesOutlets) outletsCache.clear();
+
+  if (route.isCached) {
+    const entry = {
+      status: response.status,
+      contentType: response.headers.get('content-type'),
+      body: Buffer.from(await response.arrayBuffer()),
+    };
+    if (response.ok) outletsCache.set(cacheKey, entry);
+    return sendBuffered(res, entry, 'MISS');
+  }
+
+  res.status(response.status);
+  FORWARDED_RESPONSE_HEADERS.forEach((name) => {
+    const value = response.headers.get(name);
+    if (value) res.setHeader(name, value);
+  });
+  if (!response.body) return res.end();
+
+  // Passed through as it arrives so streamed AI answers are not held back;
+  // no-transform keeps the response compression from buffering them
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  try {
+    await pipeline(Readable.fromWeb(response.body), res);
+  } catch {
+    // The browser or the backend hung up mid-stream; nothing left to send
+  }
+};
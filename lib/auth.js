@@ -0,0 +1,104 @@
+// Server-only: NextAuth options with a local credentials provider. Accounts
+// come from AUTH_USERS, a JSON list of {username, password, role}; passwords
+// may be stored as "scrypt:<salt>:<hash>" (see `npm run hash-password`).
+import { scryptSync, timingSafeEqual } from 'node:crypto';
+import { getServerSession } from 'next-auth/next';
+import CredentialsProvider from 'next-auth/providers/credentials';
+import { createRateLimiter, clientKey } from './rateLimit';
+import { AUTH_CONFIG } from '../variables';
+
+// Only for `next dev` without AUTH_USERS, so a fresh checkout can sign in
+const DEVELOPMENT_USERS = [
+  { username: 'admin', password: 'admin', role: 'admin' },
+  { username: 'viewer', password: 'viewer', role: 'viewer' },
+];
+
+const loadUsers = () => {
+  if (!process.env.AUTH_USERS) {
+    return process.env.NODE_ENV === 'development' ? DEVELOPMENT_USERS : [];
+  }
+  try {
+    const users = JSON.parse(process.env.AUTH_USERS);
+    return Array.isArray(users)
+      ? users.filter((user) => user?.username && user.password && AUTH_CONFIG.ROLES.includes(user.role))
+      : [];
+  } catch {
+    return [];
+  }
+};
+
+const safeEqual = (a, b) => a.length === b.length && timingSafeEqual(a, b);
+
+// Constant-time check against a plain or scrypt-hashed password
+const verifyPassword = (password, stored) => {
+  const [scheme, salt, hash] = stored.split(':');
+  if (scheme === 'scrypt' && salt && hash) {
+    const expected = Buffer.from(hash, 'hex');
+    return safeEqual(scryptSync(password, salt, expected.length), expected);
+  }
+  return safeEqual(Buffer.from(password), Buffer.from(stored));
+};
+
+// Slows down password guessing against a single account. Attempts are counted
+// per account and client, so guessing from elsewhere cannot lock its owner out.
+const signInLimiter = createRateLimiter({
+  limit: AUTH_CONFIG.SIGN_IN_ATTEMPTS,
+  windowMs: AUTH_CONFIG.SIGN_IN_WINDOW_MS,
+});
+
+/** Signing in is required for every page and API call, not only admin actions. */
+export const isSignInRequired = () => process.env.AUTH_REQUIRE_SIGN_IN === 'true';
+
+// NextAuth passes authorize only the request's headers, so the client's
+// address is bound in when the options are built for a request
+const credentialsProvider = (client) => CredentialsProvider({
+  name: 'Username and password',
+  credentials: {
+    username: { label: 'Username', type: 'text' },
+    password: { label: 'Password', type: 'password' },
+  },
+  authorize: async (credentials) => {
+    const username = String(credentials?.username || '').trim();
+    const password = String(credentials?.password || '');
+    if (!username || !password) return null;
+    if (!signInLimiter.hit(`${username.toLowerCase()} ${client}`).allowed) {
+      // An error code; the sign-in page shows it in the visitor's language
+      throw new Error('TooManyAttempts');
+    }
+
+    const user = loadUsers().find((item) => item.username === username);
+    if (!user || !verifyPassword(password, user.password)) return null;
+    return { id: user.username, name: user.username, role: user.role };
+  },
+});
+
+/** @type {import('next-auth').AuthOptions} */
+export const authOptions = {
+  providers: [credentialsProvider('unknown')],
+  session: { strategy: 'jwt' },
+  pages: { signIn: AUTH_CONFIG.SIGN_IN_PATH },
+  callbacks: {
+    jwt: ({ token, user }) => (user ? { ...token, role: user.role } : token),
+    session: ({ session, token }) => ({ ...session, user: { ...session.user, role: token.role } }),
+  },
+};
+
+/**
+ * authOptions for a request to the NextAuth route, with sign-in attempts
+ * counted for the requesting client (see clientKey).
+ * @param {import('http').IncomingMessage} req
+ * @returns {import('next-auth').AuthOptions}
+ */
+export const authOptionsFor = (req) => ({ ...authOptions, providers: [credentialsProvider(clientKey(req))] });
+
+/**
+ * Who is calling an API route: the signed-in user's role, or the anonymous
+ * role when signed out. `role` is null when signing in is required and the
+ * caller has not.
+ * @returns {Promise<{role: string|null, isSignedIn: boolean}>}
+ */
+export const getRequestAccess = async (req, res) => {
+  const session = await getServerSession(req, res, authOptions);
+  if (session?.user?.role) return { role: session.user.role, isSignedIn: true };
+  return { role: isSignInRequired() ? null : AUTH_CONFIG.ANONYMOUS_ROLE, isSignedIn: false };
+};
@@ -0,0 +1,75 @@
+// Fraction of one circle's area shared with an equal circle `distance` away
+export const sharedCatchmentFraction = (distance, radius) => {
+  if (distance >= radius * 2) return 0;
+  if (distance <= 0) return 1;
+  const lens = 2 * radius * radius * Math.acos(distance / (2 * radius))
+    - (distance / 2) * Math.sqrt(4 * radius * radius - distance * distance);
+  return lens / (Math.PI * radius * radius);
+};
+
+/**
+ * Group outlets into clusters of transitively overlapping catchments
+ * (connected components of the overlap graph), largest first.
+ * @returns {{id: number, outlets: Object[], pairCount: number}[]}
+ */
+export const findOverlapClusters = (pairs, outlets) => {
+  const parent = new Map();
+  const find = (id) => {
+    let root = id;
+    while (parent.get(root) !== root) root = parent.get(root);
+    // Path compression
+    while (parent.get(id) !== root) {
+      const next = parent.get(id);
+      parent.set(id, root);
+      id = next;
+    }
+    return root;
+  };
+
+  pairs.forEach(({ a, b }) => {
+    if (!parent.has(a)) parent.set(a, a);
+    if (!parent.has(b)) parent.set(b, b);
+    const rootA = find(a);
+    const rootB = find(b);
+    if (rootA !== rootB) parent.set(rootA, rootB);
+  });
+
+  const byRoot = new Map();
+  outlets.forEach((outlet) => {
+    if (!parent.has(outlet.id)) return;
+    const root = find(outlet.id);
+    if (!byRoot.has(root)) byRoot.set(root, { outlets: [], pairCount: 0 });
+    byRoot.get(root).outlets.push(outlet);
+  });
+  pairs.forEach(({ a }) => {
+    const cluster = byRoot.get(find(a));
+    if (cluster) cluster.pairCount++;
+  });
+
+  return [...byRoot.values()]
+    .sort((x, y) => y.outlets.length - x.outlets.length || y.pairCount - x.pairCount)
+    .map((cluster, index) => ({ id: index + 1, ...cluster }));
+};
+
+/**
+ * Rank outlets by how much of their catchment is shared with other outlets.
+ * The score is the sum of shared area fractions, so 1.0 means a whole
+ * catchment's worth of area is contested.
+ */
+export const rankCannibalizedOutlets = (overlaps, outlets, radiusKm) => (
+  outlets
+    .filter((outlet) => overlaps.has(outlet.id))
+    .map((outlet) => {
+      const outletOverlaps = overlaps.get(outlet.id);
+      return {
+        outlet,
+        overlapCount: outletOverlaps.length,
+        nearest: outletOverlaps[0],
+        score: outletOverlaps.reduce(
+          (sum, overlap) => sum + sharedCatchmentFraction(overlap.distance, radiusKm),
+          0
+        ),
+      };
+    })
+    .sort((x, y) => y.score - x.score)
+);
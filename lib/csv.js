@@ -0,0 +1,57 @@
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Serialize rows of objects as CSV using the given [header, accessor] columns
+export const toCsv = (rows, columns) => {
+  const header = columns.map(([label]) => escapeCell(label)).join(',');
+  const lines = rows.map((row) => columns.map(([, accessor]) => escapeCell(accessor(row))).join(','));
+  return [header, ...lines].join('\r\n');
+};
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, doubled quotes, CRLF or LF) into
+ * an array of rows, each an array of cell strings. Blank lines are skipped.
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  const source = text.replace(/^\uFEFF/, ''); // Excel's byte order mark
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.length > 1 || row[0].trim()) rows.push(row);
+    row = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || row.length) endRow();
+  return rows;
+};
@@ -0,0 +1,112 @@
+import { coordinateProblem, findIntersectingOutlets } from './geo';
+import { DATA_QUALITY_CONFIG } from '../variables';
+
+// Issue types in the order they are listed, most serious first; labelled
+// through the `dataQuality.issues.<key>` messages
+export const ISSUE_TYPES = [
+  { key: 'invalid_coordinates', severity: 'error' },
+  { key: 'out_of_country', severity: 'error' },
+  { key: 'near_duplicate', severity: 'warning' },
+  { key: 'missing_hours', severity: 'info' },
+  { key: 'missing_phone', severity: 'info' },
+  { key: 'missing_waze', severity: 'info' },
+];
+
+const MISSING_FIELDS = [
+  { key: 'missing_hours', field: 'operating_hours' },
+  { key: 'missing_phone', field: 'telephone' },
+  { key: 'missing_waze', field: 'waze_link' },
+];
+
+const isBlank = (value) => !String(value ?? '').trim();
+
+const isInBounds = ({ latitude, longitude }, [[south, west], [north, east]]) => (
+  latitude >= south && latitude <= north && longitude >= west && longitude <= east
+);
+
+// The coordinates as stored, for the issue details; blanks become null
+const storedCoordinates = ({ latitude, longitude }) => ({
+  latitude: isBlank(latitude) ? null : latitude,
+  longitude: isBlank(longitude) ? null : longitude,
+});
+
+/**
+ * @typedef {Object} OutletIssue
+ * @property {string} type - a key of ISSUE_TYPES
+ * @property {'missingCoordinates'|'coordinatesOutOfRange'|'outsideCountry'|'nullIsland'} [detail]
+ *   - what exactly is wrong, shown as the `dataQuality.details.<detail>` message
+ * @property {{latitude: *, longitude: *}} [coordinates] - as stored, for coordinate issues
+ * @property {{id: *, distance: number}[]} [related] - the other outlets of a near-duplicate, nearest first, in km
+ */
+
+/**
+ * Every outlet with at least one data problem, with its issues.
+ * Near-duplicates are outlets closer together than `duplicateDistanceM`,
+ * which usually means the same place was scraped twice.
+ * @param {Object[]} outlets
+ * @param {{bounds?: number[][], duplicateDistanceM?: number}} [options]
+ * @returns {{outlet: Object, issues: OutletIssue[]}[]} In the order of `outlets`
+ */
+export const findDataQualityIssues = (outlets, {
+  bounds = DATA_QUALITY_CONFIG.COUNTRY_BOUNDS,
+  duplicateDistanceM = DATA_QUALITY_CONFIG.DUPLICATE_DISTANCE_M,
+} = {}) => {
+  const issues = new Map(outlets.map((outlet) => [outlet, []]));
+  const plottable = [];
+
+  outlets.forEach((outlet) => {
+    const problem = coordinateProblem(outlet);
+    if (problem) {
+      issues.get(outlet).push({
+        type: 'invalid_coordinates',
+        detail: problem === 'missing' ? 'missingCoordinates' : 'coordinatesOutOfRange',
+        coordinates: storedCoordinates(outlet),
+      });
+      return;
+    }
+    plottable.push(outlet);
+    if (!isInBounds(outlet, bounds)) {
+      issues.get(outlet).push({
+        type: 'out_of_country',
+        // 0, 0 usually means the geocoding failed
+        detail: outlet.latitude === 0 && outlet.longitude === 0 ? 'nullIsland' : 'outsideCountry',
+        coordinates: storedCoordinates(outlet),
+      });
+    }
+  });
+
+  // Pairs closer than the threshold are circles of half its radius that intersect
+  const byId = new Map(plottable.map((outlet) => [outlet.id, outlet]));
+  const duplicates = new Map();
+  findIntersectingOutlets(plottable, duplicateDistanceM / 1000 / 2).forEach(({ a, b, distance }) => {
+    [[a, b], [b, a]].forEach(([id, otherId]) => {
+      if (!duplicates.has(id)) duplicates.set(id, []);
+      duplicates.get(id).push({ id: otherId, distance });
+    });
+  });
+  duplicates.forEach((others, id) => {
+    others.sort((x, y) => x.distance - y.distance);
+    issues.get(byId.get(id)).push({ type: 'near_duplicate', related: others });
+  });
+
+  outlets.forEach((outlet) => {
+    MISSING_FIELDS.forEach(({ key, field }) => {
+      if (isBlank(outlet[field])) {
+        issues.get(outlet).push({ type: key });
+      }
+    });
+  });
+
+  return outlets
+    .filter((outlet) => issues.get(outlet).length > 0)
+    .map((outlet) => ({ outlet, issues: issues.get(outlet) }));
+};
+
+// Flagged outlets per issue type, for the summary
+export const countIssues = (flagged) => {
+  const counts = Object.fromEntries(ISSUE_TYPES.map(({ key }) => [key, 0]));
+  flagged.forEach(({ issues }) => {
+    new Set(issues.map((issue) => issue.type)).forEach((type) => { counts[type]++; });
+  });
+  return counts;
+};
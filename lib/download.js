@@ -0,0 +1,15 @@
+// Trigger a browser download for generated content
+export const downloadFile = (content, filename, mimeType) => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+// Date stamp for generated file names, e.g. outlets-2024-05-01.csv
+export const fileDateStamp = (date = new Date()) => date.toISOString().slice(0, 10);
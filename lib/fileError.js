@@ -0,0 +1,17 @@
+/**
+ * A file picked by the user could not be read. `code` names the problem; the
+ * UI shows it as the `fileErrors.<code>` message, filled from `values`.
+ */
+export class FileError extends Error {
+  constructor(code, values = {}) {
+    super(code);
+    this.name = 'FileError';
+    this.code = code;
+    this.values = values;
+  }
+}
+
+/** The error as a message for the user; `t` is useTranslation's. */
+export const fileErrorMessage = (error, t) => (
+  error instanceof FileError ? t(`fileErrors.${error.code}`, error.values) : error.message
+);
@@ -0,0 +1,179 @@
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_DEGREE = EARTH_RADIUS_KM * Math.PI / 180;
+const GRID_SAFETY_MARGIN = 1.01; // absorbs great-circle bulge over a single cell
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Numeric strings such as "3.15" count as numbers; blanks do not
+const toCoordinate = (value) => {
+  if (typeof value === 'number') return value;
+  return typeof value === 'string' && value.trim() !== '' ? Number(value) : NaN;
+};
+
+/**
+ * What is wrong with an outlet's coordinates, or null if they can be plotted.
+ * A latitude or longitude of 0 is valid; only non-numbers and values outside
+ * the globe are not.
+ * @returns {'missing'|'out_of_range'|null}
+ */
+export const coordinateProblem = (outlet) => {
+  const latitude = toCoordinate(outlet.latitude);
+  const longitude = toCoordinate(outlet.longitude);
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return 'missing';
+  if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) return 'out_of_range';
+  return null;
+};
+
+// Coordinates the map can plot; shared by the map, the list and file imports
+export const hasValidCoordinates = (outlet) => coordinateProblem(outlet) === null;
+
+// Calculate distance between two points using Haversine formula
+export const calculateDistance = (lat1, lon1, lat2, lon2) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a =
+    Math.sin(dLat/2) * Math.sin(dLat/2) +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) *
+    Math.sin(dLon/2) * Math.sin(dLon/2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+  return EARTH_RADIUS_KM * c; // Distance in kilometers
+};
+
+// Outlet id -> distance in km from `origin` ({latitude, longitude}); outlets
+// without valid coordinates are left out
+export const distancesFrom = (outlets, origin) => new Map(outlets.filter(hasValidCoordinates).map((outlet) => [
+  outlet.id,
+  calculateDistance(origin.latitude, origin.longitude, outlet.latitude, outlet.longitude),
+]));
+
+/**
+ * Outlets ordered by distance from `origin` ({latitude, longitude}), nearest first.
+ * @returns {{outlet: Object, distance: number}[]} Distances in km
+ */
+export const rankByDistance = (outlets, origin) => outlets
+  .map((outlet) => ({
+    outlet,
+    distance: calculateDistance(origin.latitude, origin.longitude, outlet.latitude, outlet.longitude),
+  }))
+  .sort((a, b) => a.distance - b.distance);
+
+const distanceFormats = new Map();
+const distanceFormat = (locale, digits) => {
+  const key = `${locale}:${digits}`;
+  if (!distanceFormats.has(key)) {
+    distanceFormats.set(key, new Intl.NumberFormat(locale, { minimumFractionDigits: digits, maximumFractionDigits: digits }));
+  }
+  return distanceFormats.get(key);
+};
+
+// "850 m", "4.2 km" or "37 km", with the number formatted for `locale`
+export const formatDistance = (km, locale = 'en') => {
+  if (km < 1) return `${distanceFormat(locale, 0).format(Math.round(km * 1000))} m`;
+  return `${distanceFormat(locale, km < 10 ? 1 : 0).format(km)} km`;
+};
+
+/**
+ * Circle of `radiusKm` around a point as a closed GeoJSON ring of
+ * [lng, lat] positions, counter-clockwise as RFC 7946 expects.
+ */
+export const circleRing = (latitude, longitude, radiusKm, steps = 64) => {
+  const angular = radiusKm / EARTH_RADIUS_KM;
+  const lat1 = toRadians(latitude);
+  const lng1 = toRadians(longitude);
+  const ring = [];
+  for (let i = 0; i <= steps; i++) {
+    const bearing = toRadians(-360 * (i % steps) / steps); // negative bearings run anticlockwise
+    const lat2 = Math.asin(
+      Math.sin(lat1) * Math.cos(angular) + Math.cos(lat1) * Math.sin(angular) * Math.cos(bearing)
+    );
+    const lng2 = lng1 + Math.atan2(
+      Math.sin(bearing) * Math.sin(angular) * Math.cos(lat1),
+      Math.cos(angular) - Math.sin(lat1) * Math.sin(lat2)
+    );
+    ring.push([lng2 * 180 / Math.PI, lat2 * 180 / Math.PI]);
+  }
+  return ring;
+};
+
+/**
+ * Buckets points into a lat/lng grid whose cells are at least `cellSizeKm`
+ * wide everywhere in the dataset, so any two points closer than that are
+ * always in the same or adjacent cells.
+ */
+export const buildSpatialGrid = (points, cellSizeKm) => {
+  const maxAbsLat = points.reduce((max, point) => Math.max(max, Math.abs(point.latitude)), 0);
+  const cellLat = cellSizeKm * GRID_SAFETY_MARGIN / KM_PER_DEGREE;
+  const cellLng = cellLat / Math.max(Math.cos(toRadians(Math.min(maxAbsLat, 89))), 0.01);
+  const cells = new Map();
+
+  points.forEach((point, index) => {
+    const key = `${Math.floor(point.latitude / cellLat)}:${Math.floor(point.longitude / cellLng)}`;
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(index);
+  });
+
+  // Indexes of every point in the cell containing (lat, lng) and its 8 neighbours
+  const neighbours = (latitude, longitude) => {
+    const row = Math.floor(latitude / cellLat);
+    const col = Math.floor(longitude / cellLng);
+    const result = [];
+    for (let dRow = -1; dRow <= 1; dRow++) {
+      for (let dCol = -1; dCol <= 1; dCol++) {
+        const cell = cells.get(`${row + dRow}:${col + dCol}`);
+        if (cell) result.push(...cell);
+      }
+    }
+    return result;
+  };
+
+  return { neighbours };
+};
+
+/**
+ * Find every pair of outlets whose catchment circles intersect, i.e. whose
+ * centres are less than 2 * radius apart. Uses a spatial grid so only nearby
+ * outlets are compared.
+ * @returns {{a: *, b: *, distance: number}[]} Outlet id pairs with their distance in km
+ */
+export const findIntersectingOutlets = (outletList, catchmentRadiusKm) => {
+  const maxDistance = catchmentRadiusKm * 2;
+  const grid = buildSpatialGrid(outletList, maxDistance);
+  const pairs = [];
+
+  outletList.forEach((outlet, i) => {
+    grid.neighbours(outlet.latitude, outlet.longitude).forEach((j) => {
+      if (j <= i) return; // each pair once
+      const other = outletList[j];
+      const distance = calculateDistance(
+        outlet.latitude, outlet.longitude,
+        other.latitude, other.longitude
+      );
+      if (distance < maxDistance) {
+        pairs.push({ a: outlet.id, b: other.id, distance });
+      }
+    });
+  });
+
+  return pairs;
+};
+
+/**
+ * Index overlap pairs by outlet id.
+ * @returns {Map<*, {id: *, name: string, distance: number}[]>} Overlapping outlets, nearest first
+ */
+export const groupOverlapsByOutlet = (pairs, outletList) => {
+  const names = new Map(outletList.map((outlet) => [outlet.id, outlet.name]));
+  const overlaps = new Map();
+  const add = (id, otherId, distance) => {
+    if (!overlaps.has(id)) overlaps.set(id, []);
+    overlaps.get(id).push({ id: otherId, name: names.get(otherId), distance });
+  };
+
+  pairs.forEach(({ a, b, distance }) => {
+    add(a, b, distance);
+    add(b, a, distance);
+  });
+  overlaps.forEach((list) => list.sort((x, y) => x.distance - y.distance));
+
+  return overlaps;
+};
@@ -0,0 +1,57 @@
+import en from '../locales/en.json';
+import ms from '../locales/ms.json';
+
+// Message catalogs per locale. The locales themselves (and the default) are
+// set in next.config.mjs `i18n`, which routes /ms/... to Bahasa Malaysia.
+export const MESSAGES = { en, ms };
+export const DEFAULT_LOCALE = 'en';
+
+// Read by Next.js on `/` to send returning visitors to their chosen locale
+const LOCALE_COOKIE = 'NEXT_LOCALE';
+const LOCALE_COOKIE_MAX_AGE_S = 365 * 24 * 60 * 60;
+
+// Intl formatters are slow to create and list rows format a number each
+const formatters = new Map();
+const cached = (key, create) => {
+  if (!formatters.has(key)) formatters.set(key, create());
+  return formatters.get(key);
+};
+
+/** `value` formatted for `locale`; `options` as for Intl.NumberFormat. */
+export const formatNumber = (locale, value, options = {}) => (
+  cached(`number:${locale}:${JSON.stringify(options)}`, () => new Intl.NumberFormat(locale, options)).format(value)
+);
+
+const lookup = (locale, key) => key.split('.').reduce((node, part) => node?.[part], MESSAGES[locale]);
+
+// Plural entries are objects keyed by Intl.PluralRules category ("one", "other")
+const isPlural = (entry) => typeof entry === 'object' && entry !== null && 'other' in entry;
+
+/**
+ * The message for a dot-separated `key` ("map.legend.title") in `locale`,
+ * falling back to English and then to the key itself. `{name}` placeholders
+ * are filled from `values`, numbers formatted for the locale; a plural
+ * message picks its form from `values.count`.
+ * @param {string} locale
+ * @param {string} key
+ * @param {Object} [values]
+ * @returns {string}
+ */
+export const translate = (locale, key, values = {}) => {
+  let entry = lookup(locale, key) ?? lookup(DEFAULT_LOCALE, key);
+  if (isPlural(entry)) {
+    const category = cached(`plural:${locale}`, () => new Intl.PluralRules(locale)).select(values.count ?? 0);
+    entry = entry[category] ?? entry.other;
+  }
+  if (typeof entry !== 'string') return key;
+  return entry.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    if (!(name in values)) return placeholder;
+    const value = values[name];
+    return typeof value === 'number' ? formatNumber(locale, value) : String(value);
+  });
+};
+
+/** Remember the chosen locale for the next visit. */
+export const saveLocale = (locale) => {
+  document.cookie = `${LOCALE_COOKIE}=${locale}; path=/; max-age=${LOCALE_COOKIE_MAX_AGE_S}; samesite=lax`;
+};
@@ -0,0 +1,41 @@
+// Links that open outlets and routes in external navigation apps
+import { ROUTE_CONFIG } from '../variables';
+
+// Google Maps search pinned to the outlet's coordinates
+export const googleMapsUrl = ({ latitude, longitude }) => (
+  `https://www.google.com/maps/search/?api=1&query=${latitude},${longitude}`
+);
+
+// The scraped Waze link when there is one, otherwise a navigate-to link
+export const wazeUrl = ({ latitude, longitude, waze_link: wazeLink }) => (
+  wazeLink || `https://waze.com/ul?ll=${latitude},${longitude}&navigate=yes`
+);
+
+const toLatLng = ({ latitude, longitude }) => `${latitude},${longitude}`;
+
+/**
+ * Google Maps driving directions through `points` in order. One link takes
+ * an origin, a destination and up to `maxWaypoints` stops in between, so
+ * longer routes are split into several links, each starting where the
+ * previous one ended.
+ * @param {{latitude: number, longitude: number}[]} points
+ * @returns {string[]}
+ */
+export const googleMapsRouteUrls = (points, { maxWaypoints = ROUTE_CONFIG.GOOGLE_MAPS_MAX_WAYPOINTS } = {}) => {
+  if (points.length < 2) return points.map(googleMapsUrl);
+
+  const urls = [];
+  const perLink = maxWaypoints + 1; // legs per link
+  for (let start = 0; start < points.length - 1; start += perLink) {
+    const part = points.slice(start, start + perLink + 1);
+    const params = new URLSearchParams({
+      api: '1',
+      origin: toLatLng(part[0]),
+      destination: toLatLng(part[part.length - 1]),
+      travelmode: 'driving',
+    });
+    if (part.length > 2) params.set('waypoints', part.slice(1, -1).map(toLatLng).join('|'));
+    urls.push(`https://www.google.com/maps/dir/?${params}`);
+  }
+  return urls;
+};
@@ -0,0 +1,108 @@
+// Canvas drawing for the map's density and coverage-gap overlays. Points are
+// in canvas pixels, so this module knows nothing about Leaflet.
+
+// Density ramp from sparse (transparent blue) to dense (red)
+const HEATMAP_GRADIENT = [
+  [0.25, '#3b82f6'],
+  [0.5, '#22d3ee'],
+  [0.65, '#84cc16'],
+  [0.8, '#facc15'],
+  [1, '#dc2626'],
+];
+const HEATMAP_MAX_OPACITY = 0.75;
+
+let paletteCache = null;
+
+// 256 RGBA entries sampled from HEATMAP_GRADIENT
+const getPalette = () => {
+  if (!paletteCache) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 1;
+    canvas.height = 256;
+    const ctx = canvas.getContext('2d');
+    const gradient = ctx.createLinearGradient(0, 0, 0, 256);
+    HEATMAP_GRADIENT.forEach(([stop, color]) => gradient.addColorStop(stop, color));
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, 1, 256);
+    paletteCache = ctx.getImageData(0, 0, 1, 256).data;
+  }
+  return paletteCache;
+};
+
+const brushCache = new Map();
+
+// A soft black dot; stacking them builds up alpha where outlets are dense
+const getBrush = (radius, blur) => {
+  const key = `${radius}:${blur}`;
+  if (!brushCache.has(key)) {
+    const outer = radius + blur;
+    const canvas = document.createElement('canvas');
+    canvas.width = canvas.height = outer * 2;
+    const ctx = canvas.getContext('2d');
+    // Draw the circle off-canvas and keep only its blurred shadow
+    ctx.shadowOffsetX = ctx.shadowOffsetY = outer * 2;
+    ctx.shadowBlur = blur;
+    ctx.shadowColor = 'black';
+    ctx.beginPath();
+    ctx.arc(-outer, -outer, radius, 0, Math.PI * 2, true);
+    ctx.closePath();
+    ctx.fill();
+    brushCache.set(key, canvas);
+  }
+  return brushCache.get(key);
+};
+
+/**
+ * Draw a density heatmap of `points` ({x, y} in CSS pixels).
+ * @param {CanvasRenderingContext2D} ctx - already scaled for the device pixel ratio
+ * @param {{x: number, y: number}[]} points
+ * @param {{radius: number, blur: number, pointOpacity: number}} options
+ */
+export const drawHeatmap = (ctx, points, { radius, blur, pointOpacity }) => {
+  const brush = getBrush(radius, blur);
+  const offset = radius + blur;
+  points.forEach(({ x, y }) => {
+    ctx.globalAlpha = pointOpacity;
+    ctx.drawImage(brush, x - offset, y - offset);
+  });
+  ctx.globalAlpha = 1;
+
+  // Map the accumulated alpha of every device pixel onto the colour ramp
+  const { width, height } = ctx.canvas;
+  const image = ctx.getImageData(0, 0, width, height);
+  const pixels = image.data;
+  const palette = getPalette();
+  for (let i = 3; i < pixels.length; i += 4) {
+    const alpha = pixels[i];
+    if (!alpha) continue;
+    const index = alpha * 4;
+    pixels[i - 3] = palette[index];
+    pixels[i - 2] = palette[index + 1];
+    pixels[i - 1] = palette[index + 2];
+    pixels[i] = Math.min(alpha * 2, 255 * HEATMAP_MAX_OPACITY);
+  }
+  ctx.putImageData(image, 0, 0);
+};
+
+/**
+ * Shade the whole canvas except within each circle, leaving only the areas
+ * farther than the circle radius from every outlet shaded.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {{x: number, y: number, radius: number}[]} circles - in CSS pixels
+ * @param {{width: number, height: number}} size - canvas size in CSS pixels
+ * @param {string} color - shade colour, usually semi-transparent
+ */
+export const drawCoverageGaps = (ctx, circles, size, color) => {
+  ctx.fillStyle = color;
+  ctx.fillRect(0, 0, size.width, size.height);
+
+  ctx.globalCompositeOperation = 'destination-out';
+  ctx.fillStyle = 'black';
+  ctx.beginPath();
+  circles.forEach(({ x, y, radius }) => {
+    ctx.moveTo(x + radius, y);
+    ctx.arc(x, y, radius, 0, Math.PI * 2);
+  });
+  ctx.fill();
+  ctx.globalCompositeOperation = 'source-over';
+};
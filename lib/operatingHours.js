@@ -0,0 +1,277 @@
+import { DEFAULT_LOCALE, translate } from './i18n';
+
+const MALAYSIA_UTC_OFFSET_MINUTES = 8 * 60; // MYT, no daylight saving
+const MINUTES_PER_DAY = 24 * 60;
+const MINUTES_PER_WEEK = 7 * MINUTES_PER_DAY;
+
+export const CLOSING_SOON_MINUTES = 60;
+
+// English and Malay day names and abbreviations
+const DAY_NAMES = [
+  [0, ['sunday', 'sun', 'ahad']],
+  [1, ['monday', 'mon', 'isnin']],
+  [2, ['tuesday', 'tues', 'tue', 'selasa']],
+  [3, ['wednesday', 'wed', 'rabu']],
+  [4, ['thursday', 'thurs', 'thur', 'thu', 'khamis']],
+  [5, ['friday', 'fri', 'jumaat']],
+  [6, ['saturday', 'sat', 'sabtu']],
+];
+const DAY_LOOKUP = new Map(DAY_NAMES.flatMap(([day, names]) => names.map((name) => [name, day])));
+// Longest names first so "tues" is not read as "tue"
+const DAY_PATTERN = [...DAY_LOOKUP.keys()].sort((a, b) => b.length - a.length).join('|');
+
+const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+const DAY_GROUPS = [
+  [/\b(daily|every\s*day|everyday|all\s*week|setiap\s*hari)\b/i, ALL_DAYS],
+  [/\bweekdays?\b/i, [1, 2, 3, 4, 5]],
+  [/\bweekends?\b/i, [6, 0]],
+];
+const DAY_RANGE = new RegExp(`\\b(${DAY_PATTERN})\\b\\.?\\s*(?:-|–|to|until)\\s*\\b(${DAY_PATTERN})\\b\\.?`, 'gi');
+const DAY_SINGLE = new RegExp(`\\b(${DAY_PATTERN})\\b\\.?`, 'gi');
+
+const TWENTY_FOUR_HOURS = /24\s*(hours|hrs|jam|h\b)|24\/7|open\s*24/i;
+const CLOSED = /\b(closed|tutup)\b/i;
+const TIME = '(\\d{1,2})(?:[:.](\\d{2}))?\\s*(am|pm|a\\.m\\.|p\\.m\\.)?';
+const TIME_RANGE = new RegExp(`${TIME}\\s*(?:-|–|—|to|until)\\s*${TIME}`, 'gi');
+const PUBLIC_HOLIDAY = '(?:public\\s*holidays?|cuti\\s*umum|\\bph\\b)';
+// "(PH closed)", or a holiday mention and everything after it ("except public holidays", "PH: 24 hours")
+const HOLIDAY_CLAUSE = new RegExp(
+  `\\([^)]*${PUBLIC_HOLIDAY}[^)]*\\)|(?:\\b(?:except|excluding|kecuali|closed|tutup)\\b\\W*(?:on\\s+|pada\\s+)?)?${PUBLIC_HOLIDAY}.*$`,
+  'gi',
+);
+
+const toMinutes = (hour, minute, meridiem) => {
+  const h = Number(hour);
+  const m = Number(minute || 0);
+  if (h > 24 || m > 59) return null;
+  if (!meridiem) return (h % 24) * 60 + m;
+  if (h > 12) return null;
+  return ((h % 12) + (meridiem.toLowerCase().startsWith('p') ? 12 : 0)) * 60 + m;
+};
+
+const expandDayRange = (from, to) => {
+  const days = [];
+  for (let day = from; ; day = (day + 1) % 7) {
+    days.push(day);
+    if (day === to) return days;
+  }
+};
+
+// Days a segment applies to, e.g. "Mon-Fri", "Sat & Sun", "Daily"
+const parseDays = (text) => {
+  const days = new Set();
+  DAY_GROUPS.forEach(([pattern, groupDays]) => {
+    if (pattern.test(text)) groupDays.forEach((day) => days.add(day));
+  });
+  const withoutRanges = text.replace(DAY_RANGE, (_, from, to) => {
+    expandDayRange(DAY_LOOKUP.get(from.toLowerCase()), DAY_LOOKUP.get(to.toLowerCase()))
+      .forEach((day) => days.add(day));
+    return ' ';
+  });
+  for (const match of withoutRanges.matchAll(DAY_SINGLE)) {
+    days.add(DAY_LOOKUP.get(match[1].toLowerCase()));
+  }
+  return [...days];
+};
+
+// Opening ranges in minutes since midnight; a close past midnight is > 1440
+// Explicit ranges win over a 24-hour note ("8am-10pm (Drive-Thru 24 hours)")
+const parseRanges = (text) => {
+  const ranges = [];
+  for (const match of text.matchAll(TIME_RANGE)) {
+    const open = toMinutes(match[1], match[2], match[3]);
+    let close = toMinutes(match[4], match[5], match[6]);
+    if (open === null || close === null) continue;
+    // "7am - 2am" and "7am - 12am" run into the next day
+    if (close <= open) close += MINUTES_PER_DAY;
+    ranges.push({ open, close });
+  }
+  if (ranges.length > 0) return ranges;
+  if (TWENTY_FOUR_HOURS.test(text)) return [{ open: 0, close: MINUTES_PER_DAY }];
+  return CLOSED.test(text) ? [] : null;
+};
+
+const parseCache = new Map();
+
+/**
+ * Turn a scraped operating-hours string into a weekly schedule.
+ *
+ * Understands "24 Hours", a single range for every day ("7:00 AM - 2:00 AM"),
+ * per-day ranges ("Mon-Fri: 7am-11pm; Sat-Sun: 24 hours"), split shifts,
+ * "Closed" days and English or Malay day names. Times are Malaysia time.
+ *
+ * @param {string} [text]
+ * @returns {{days: (Array<{open: number, close: number}>|null)[], isAlwaysOpen: boolean}|null}
+ *   `days[0]` is Sunday; `null` for a day means its hours are not known and
+ *   `[]` means closed. Returns null when nothing could be understood.
+ */
+export const parseOperatingHours = (text) => {
+  if (typeof text !== 'string' || !text.trim()) return null;
+  if (parseCache.has(text)) return parseCache.get(text);
+
+  const days = Array(7).fill(null);
+  let currentDays = null;
+  let pendingDays = [];
+  let understood = false;
+
+  text.split(/[\n;|,]+/).forEach((rawSegment) => {
+    // Holiday hours are not part of the weekly schedule
+    const segment = rawSegment.replace(HOLIDAY_CLAUSE, ' ').trim();
+    if (!segment) return;
+
+    // Day names before the first digit, so "7am" is never read as a day
+    const firstDigit = segment.search(/\d/);
+    const dayText = firstDigit === -1 ? segment : segment.slice(0, firstDigit);
+    const segmentDays = parseDays(dayText);
+    const ranges = parseRanges(segment);
+
+    if (ranges === null) {
+      // "Sat, Sun: 24 hours" arrives as "Sat" then "Sun: 24 hours"
+      pendingDays = pendingDays.concat(segmentDays);
+      return;
+    }
+
+    if (segmentDays.length > 0 || pendingDays.length > 0) {
+      currentDays = [...new Set([...pendingDays, ...segmentDays])];
+      pendingDays = [];
+    } else if (currentDays === null) {
+      currentDays = ALL_DAYS;
+    }
+    // A segment without days continues the previous one ("10am-2pm, 5pm-10pm")
+    currentDays.forEach((day) => {
+      days[day] = segmentDays.length > 0 || days[day] === null ? [...ranges] : days[day].concat(ranges);
+    });
+    understood = true;
+  });
+
+  const schedule = understood
+    ? {
+      days,
+      isAlwaysOpen: days.every((ranges) => ranges?.some((range) => range.open === 0 && range.close >= MINUTES_PER_DAY)),
+    }
+    : null;
+  parseCache.set(text, schedule);
+  return schedule;
+};
+
+// Day of week and minutes since midnight in Malaysia time
+export const malaysiaTime = (now = new Date()) => {
+  const shifted = new Date(now.getTime() + MALAYSIA_UTC_OFFSET_MINUTES * 60 * 1000);
+  return {
+    day: shifted.getUTCDay(),
+    minutes: shifted.getUTCHours() * 60 + shifted.getUTCMinutes(),
+  };
+};
+
+// Every range as [start, end) minutes since Sunday 00:00, repeated for the
+// weeks before and after so Saturday-night ranges reach into Sunday morning
+const weekIntervals = (schedule) => schedule.days.flatMap((ranges, day) => (
+  (ranges || []).flatMap((range) => [-MINUTES_PER_WEEK, 0, MINUTES_PER_WEEK].map((shift) => [
+    shift + day * MINUTES_PER_DAY + range.open,
+    shift + day * MINUTES_PER_DAY + range.close,
+  ]))
+));
+
+const containing = (intervals, minute) => intervals.find(([start, end]) => minute >= start && minute < end);
+
+/**
+ * Open/closed state of an outlet at `now`.
+ * @param {string} [text] - Scraped operating hours
+ * @param {Date} [now]
+ * @returns {{state: 'open'|'closed'|'unknown', closesInMinutes: number|null, opensInMinutes: number|null}}
+ *   `closesInMinutes` is null for outlets that never close; `opensInMinutes`
+ *   is null when the next opening is not known.
+ */
+export const getOpenStatus = (text, now = new Date()) => {
+  const unknown = { state: 'unknown', closesInMinutes: null, opensInMinutes: null };
+  const schedule = parseOperatingHours(text);
+  if (!schedule) return unknown;
+
+  const { day, minutes } = malaysiaTime(now);
+  const minute = day * MINUTES_PER_DAY + minutes;
+  const intervals = weekIntervals(schedule);
+
+  const current = containing(intervals, minute);
+  if (current) {
+    // Follow back-to-back ranges (e.g. 24-hour days) to the real closing time
+    let end = current[1];
+    for (let next = containing(intervals, end); next && end - minute < MINUTES_PER_WEEK; next = containing(intervals, end)) {
+      end = next[1];
+    }
+    const closesIn = end - minute;
+    return { state: 'open', closesInMinutes: closesIn >= MINUTES_PER_WEEK ? null : closesIn, opensInMinutes: null };
+  }
+
+  if (schedule.days[day] === null) return unknown;
+
+  const starts = intervals.map(([start]) => start).filter((start) => start > minute);
+  return { state: 'closed', closesInMinutes: null, opensInMinutes: starts.length ? Math.min(...starts) - minute : null };
+};
+
+/**
+ * Whether an outlet is open at `now`, judging from its scraped hours string.
+ * @returns {boolean|null} null when the hours are missing or not understood
+ */
+export const isOpenNow = (hours, now = new Date()) => {
+  const { state } = getOpenStatus(hours, now);
+  return state === 'unknown' ? null : state === 'open';
+};
+
+// Day names and times come from Intl, formatted in UTC so the fixed dates
+// below are not shifted by the viewer's time zone
+const dateFormats = new Map();
+const dateFormat = (locale, options) => {
+  const key = `${locale}:${JSON.stringify(options)}`;
+  if (!dateFormats.has(key)) dateFormats.set(key, new Intl.DateTimeFormat(locale, { ...options, timeZone: 'UTC' }));
+  return dateFormats.get(key);
+};
+
+// 7 January 2024 was a Sunday, so day indexes follow Date#getDay()
+const dayLabel = (day, locale) => dateFormat(locale, { weekday: 'short' }).format(Date.UTC(2024, 0, 7 + day));
+
+const formatMinutes = (minutes, locale) => (
+  dateFormat(locale, { hour: 'numeric', minute: '2-digit' }).format((minutes % MINUTES_PER_DAY) * 60 * 1000)
+);
+
+const formatRanges = (ranges, locale) => {
+  if (ranges === null) return translate(locale, 'hours.schedule.unknown');
+  if (ranges.length === 0) return translate(locale, 'hours.closed');
+  if (ranges.some((range) => range.open === 0 && range.close >= MINUTES_PER_DAY)) return translate(locale, 'hours.schedule.allDay');
+  return ranges.map((range) => `${formatMinutes(range.open, locale)} – ${formatMinutes(range.close, locale)}`).join(', ');
+};
+
+/**
+ * Weekly schedule as display rows in `locale`, with consecutive days that
+ * share the same hours grouped ("Mon–Fri"). Rows start on Monday.
+ * @returns {{label: string, hours: string}[]}
+ */
+export const formatWeeklySchedule = (schedule, locale = DEFAULT_LOCALE) => {
+  if (!schedule) return [];
+  const order = [1, 2, 3, 4, 5, 6, 0];
+  const texts = order.map((day) => formatRanges(schedule.days[day], locale));
+  if (texts.every((text) => text === texts[0])) return [{ label: translate(locale, 'hours.schedule.daily'), hours: texts[0] }];
+
+  const rows = [];
+  order.forEach((day, index) => {
+    const last = rows[rows.length - 1];
+    if (last && last.hours === texts[index]) {
+      last.to = day;
+    } else {
+      rows.push({ from: day, to: day, hours: texts[index] });
+    }
+  });
+  return rows.map(({ from, to, hours }) => ({
+    label: from === to ? dayLabel(from, locale) : `${dayLabel(from, locale)}–${dayLabel(to, locale)}`,
+    hours,
+  }));
+};
+
+// "45 min", "2 h" or "2 h 15 min" in `locale`
+export const formatDuration = (minutes, locale = DEFAULT_LOCALE) => {
+  if (minutes < 60) return translate(locale, 'hours.duration.minutes', { minutes });
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  return rest
+    ? translate(locale, 'hours.duration.hoursMinutes', { hours, minutes: rest })
+    : translate(locale, 'hours.duration.hours', { hours });
+};
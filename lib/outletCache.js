@@ -0,0 +1,62 @@
+import { OFFLINE_CONFIG } from '../variables';
+
+// IndexedDB copy of the last outlet dataset, shown when the backend is out of reach
+const STORE = 'datasets';
+const OUTLETS_KEY = 'outlets';
+
+const isSupported = () => typeof indexedDB !== 'undefined';
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    const request = indexedDB.open(OFFLINE_CONFIG.DB_NAME, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(STORE);
+    dbPromise = promisify(request).catch((e) => {
+      dbPromise = null; // allow a retry, e.g. after private mode is left
+      throw e;
+    });
+  }
+  return dbPromise;
+};
+
+const withStore = async (mode, run) => {
+  const db = await openDb();
+  return promisify(run(db.transaction(STORE, mode).objectStore(STORE)));
+};
+
+/**
+ * Store the full outlet dataset, replacing the previous one.
+ * Failures are swallowed: the cache is a convenience, not a source of truth.
+ * @param {{outlets: Object[], total: number|null}} dataset
+ * @returns {Promise<number|null>} when it was stored, or null when it was not
+ */
+export const saveOutletDataset = async ({ outlets, total }) => {
+  if (!isSupported()) return null;
+  const savedAt = Date.now();
+  try {
+    await withStore('readwrite', (store) => store.put({ outlets, total, savedAt }, OUTLETS_KEY));
+    return savedAt;
+  } catch {
+    // Quota exceeded or storage disabled
+    return null;
+  }
+};
+
+/**
+ * The last stored dataset, or null when there is none.
+ * @returns {Promise<{outlets: Object[], total: number|null, savedAt: number}|null>}
+ */
+export const loadOutletDataset = async () => {
+  if (!isSupported()) return null;
+  try {
+    return (await withStore('readonly', (store) => store.get(OUTLETS_KEY))) ?? null;
+  } catch {
+    return null;
+  }
+};
@@ -0,0 +1,152 @@
+import { toCsv } from './csv';
+import { circleRing, findIntersectingOutlets, groupOverlapsByOutlet, hasValidCoordinates } from './geo';
+
+export const EXPORT_FORMATS = [
+  { key: 'csv', label: 'CSV', extension: 'csv', mimeType: 'text/csv;charset=utf-8' },
+  { key: 'geojson', label: 'GeoJSON', extension: 'geojson', mimeType: 'application/geo+json' },
+  { key: 'kml', label: 'KML (Google Earth)', extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml' },
+];
+
+const OUTLET_COLUMNS = [
+  ['ID', (outlet) => outlet.id],
+  ['Name', (outlet) => outlet.name],
+  ['Address', (outlet) => outlet.address],
+  ['Latitude', (outlet) => outlet.latitude],
+  ['Longitude', (outlet) => outlet.longitude],
+  ['Operating Hours', (outlet) => outlet.operating_hours],
+  ['Telephone', (outlet) => outlet.telephone],
+  ['Waze Link', (outlet) => outlet.waze_link],
+];
+
+export const outletsToCsv = (outlets) => toCsv(outlets, OUTLET_COLUMNS);
+
+const outletProperties = (outlet) => ({
+  id: outlet.id,
+  name: outlet.name,
+  address: outlet.address ?? null,
+  operating_hours: outlet.operating_hours ?? null,
+  telephone: outlet.telephone ?? null,
+  waze_link: outlet.waze_link ?? null,
+});
+
+/**
+ * Outlets as a GeoJSON FeatureCollection of points. With `catchmentRadiusKm`,
+ * each outlet also gets its catchment as a polygon and both features carry
+ * overlap flags. `overlaps` (see groupOverlapsByOutlet) is reused when given,
+ * otherwise it is computed with findIntersectingOutlets. Outlets without
+ * valid coordinates have no geometry to export and are left out.
+ * @param {Object[]} outlets
+ * @param {{catchmentRadiusKm?: number, overlaps?: Map}} [options]
+ */
+export const outletsToGeoJson = (outlets, { catchmentRadiusKm = null, overlaps = null } = {}) => {
+  const located = outlets.filter(hasValidCoordinates);
+  const withCatchments = catchmentRadiusKm > 0;
+  const overlapIndex = withCatchments
+    ? overlaps ?? groupOverlapsByOutlet(findIntersectingOutlets(located, catchmentRadiusKm), located)
+    : null;
+
+  const features = located.flatMap((outlet) => {
+    const point = {
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [Number(outlet.longitude), Number(outlet.latitude)] },
+      properties: outletProperties(outlet),
+    };
+    if (!withCatchments) return [point];
+
+    const overlapping = overlapIndex.get(outlet.id) ?? [];
+    const flags = {
+      catchment_radius_km: catchmentRadiusKm,
+      overlapping: overlapping.length > 0,
+      overlap_count: overlapping.length,
+      overlapping_outlet_ids: overlapping.map((other) => other.id),
+    };
+    Object.assign(point.properties, flags);
+    return [point, {
+      type: 'Feature',
+      geometry: { type: 'Polygon', coordinates: [circleRing(outlet.latitude, outlet.longitude, catchmentRadiusKm)] },
+      properties: { feature: 'catchment', outlet_id: outlet.id, name: outlet.name, ...flags },
+    }];
+  });
+
+  return JSON.stringify({ type: 'FeatureCollection', features }, null, 2);
+};
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const KML_FIELDS = [
+  ['Address', 'address'],
+  ['Operating hours', 'operating_hours'],
+  ['Telephone', 'telephone'],
+  ['Waze', 'waze_link'],
+];
+
+const outletPlacemark = (outlet) => {
+  const fields = KML_FIELDS.filter(([, key]) => outlet[key]);
+  const description = fields.map(([label, key]) => `${label}: ${outlet[key]}`).join('\n');
+  return [
+    '    <Placemark>',
+    `      <name>${escapeXml(outlet.name)}</name>`,
+    description && `      <description>${escapeXml(description)}</description>`,
+    '      <ExtendedData>',
+    `        <Data name="id"><value>${escapeXml(outlet.id)}</value></Data>`,
+    ...fields.map(([, key]) => `        <Data name="${key}"><value>${escapeXml(outlet[key])}</value></Data>`),
+    '      </ExtendedData>',
+    `      <Point><coordinates>${outlet.longitude},${outlet.latitude},0</coordinates></Point>`,
+    '    </Placemark>',
+  ].filter(Boolean).join('\n');
+};
+
+// Outlets as a KML document of placemarks for Google Earth; outlets without
+// valid coordinates are left out
+export const outletsToKml = (outlets, { name = "McDonald's Outlets" } = {}) => [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<kml xmlns="http://www.opengis.net/kml/2.2">',
+  '  <Document>',
+  `    <name>${escapeXml(name)}</name>`,
+  ...outlets.filter(hasValidCoordinates).map(outletPlacemark),
+  '  </Document>',
+  '</kml>',
+].join('\n');
+
+// A <wpt> or <rtept>; `indent` is the tag's nesting depth
+const gpxPoint = (tag, { latitude, longitude }, { name, description, indent }) => {
+  const pad = '  '.repeat(indent);
+  return [
+    `${pad}<${tag} lat="${latitude}" lon="${longitude}">`,
+    `${pad}  <name>${escapeXml(name)}</name>`,
+    description && `${pad}  <desc>${escapeXml(description)}</desc>`,
+    `${pad}</${tag}>`,
+  ].filter(Boolean).join('\n');
+};
+
+/**
+ * A planned route (see planRoute) as GPX 1.1 for GPS apps: every stop as a
+ * numbered waypoint plus the route through them, from `origin` when given.
+ * @param {import('./routePlanning').PlannedRoute} route
+ * @param {{name?: string, origin?: {latitude: number, longitude: number}}} [options]
+ */
+export const routeToGpx = (route, { name = "McDonald's outlet visits", origin = null } = {}) => {
+  const stopName = (outlet, index) => `${index + 1}. ${outlet.name}`;
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<gpx version="1.1" creator="McDonald's Outlet Locator" xmlns="http://www.topografix.com/GPX/1/1">`,
+    '  <metadata>',
+    `    <name>${escapeXml(name)}</name>`,
+    `    <time>${new Date().toISOString()}</time>`,
+    '  </metadata>',
+    ...route.stops.map((outlet, index) => (
+      gpxPoint('wpt', outlet, { name: stopName(outlet, index), description: outlet.address, indent: 1 })
+    )),
+    '  <rte>',
+    `    <name>${escapeXml(name)}</name>`,
+    origin && gpxPoint('rtept', origin, { name: 'Start', indent: 2 }),
+    ...route.stops.map((outlet, index) => gpxPoint('rtept', outlet, { name: stopName(outlet, index), indent: 2 })),
+    '  </rte>',
+    '</gpx>',
+  ].filter(Boolean).join('\n');
+};
@@ -0,0 +1,107 @@
+import { isOpenNow } from './operatingHours';
+
+export const DEFAULT_FILTERS = {
+  text: '',
+  hasTelephone: false,
+  hasWaze: false,
+  openNow: false,
+  overlappingOnly: false,
+};
+
+// Toggle filters in display order, with their query string keys; the labels
+// are in the message catalogs under filters.facets
+export const FILTER_FACETS = [
+  { key: 'hasTelephone', param: 'phone' },
+  { key: 'hasWaze', param: 'waze' },
+  { key: 'openNow', param: 'open' },
+  { key: 'overlappingOnly', param: 'overlap' },
+];
+
+const TEXT_PARAM = 'q';
+
+export const FILTER_QUERY_PARAMS = [TEXT_PARAM, ...FILTER_FACETS.map((facet) => facet.param)];
+
+export const filtersFromQuery = (query) => {
+  const filters = { ...DEFAULT_FILTERS };
+  if (typeof query[TEXT_PARAM] === 'string') filters.text = query[TEXT_PARAM];
+  FILTER_FACETS.forEach(({ key, param }) => {
+    filters[key] = query[param] === '1';
+  });
+  return filters;
+};
+
+// Only non-default values are written so clean URLs stay clean
+export const filtersToQuery = (filters) => {
+  const query = {};
+  if (filters.text.trim()) query[TEXT_PARAM] = filters.text.trim();
+  FILTER_FACETS.forEach(({ key, param }) => {
+    if (filters[key]) query[param] = '1';
+  });
+  return query;
+};
+
+export const countActiveFilters = (filters) => (
+  (filters.text.trim() ? 1 : 0) + FILTER_FACETS.filter(({ key }) => filters[key]).length
+);
+
+const FACET_PREDICATES = {
+  hasTelephone: (outlet) => Boolean(outlet.telephone && outlet.telephone.trim()),
+  hasWaze: (outlet) => Boolean(outlet.waze_link),
+  openNow: (outlet, { now }) => isOpenNow(outlet.operating_hours, now) === true,
+  overlappingOnly: (outlet, { overlaps }) => overlaps.has(outlet.id),
+};
+
+const matchesText = (outlet, text) => {
+  const needle = text.trim().toLowerCase();
+  if (!needle) return true;
+  return (outlet.name || '').toLowerCase().includes(needle)
+    || (outlet.address || '').toLowerCase().includes(needle);
+};
+
+const matches = (outlet, filters, context, skipFacet) => (
+  matchesText(outlet, filters.text)
+  && FILTER_FACETS.every(({ key }) => (
+    key === skipFacet || !filters[key] || FACET_PREDICATES[key](outlet, context)
+  ))
+);
+
+/**
+ * @param {Object[]} outlets
+ * @param {typeof DEFAULT_FILTERS} filters
+ * @param {{overlaps: Map, now: Date}} context
+ */
+export const applyOutletFilters = (outlets, filters, context) => (
+  outlets.filter((outlet) => matches(outlet, filters, context))
+);
+
+// How many outlets each facet would match, given every other active filter
+export const countFacets = (outlets, filters, context) => {
+  const counts = {};
+  FILTER_FACETS.forEach(({ key }) => {
+    counts[key] = outlets.filter((outlet) => (
+      matches(outlet, filters, context, key) && FACET_PREDICATES[key](outlet, context)
+    )).length;
+  });
+  return counts;
+};
+
+// Labels are in the message catalogs under list.sorts
+export const OUTLET_SORTS = [
+  { key: 'name' },
+  { key: 'distance' },
+];
+
+const compareNames = (a, b) => (a.name || '').localeCompare(b.name || '', undefined, { sensitivity: 'base' });
+
+/**
+ * Sorted copy of `outlets`. Distance sorting needs `distances` (outlet id ->
+ * km, see distancesFrom) and falls back to name order without it.
+ */
+export const sortOutlets = (outlets, sortBy, distances = null) => {
+  if (sortBy === 'distance' && distances) {
+    return [...outlets].sort((a, b) => (
+      (distances.get(a.id) ?? Infinity) - (distances.get(b.id) ?? Infinity) || compareNames(a, b)
+    ));
+  }
+  return [...outlets].sort(compareNames);
+};
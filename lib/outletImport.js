@@ -0,0 +1,253 @@
+import { parseCsv } from './csv';
+import { buildSpatialGrid, calculateDistance, coordinateProblem, hasValidCoordinates } from './geo';
+import { FileError } from './fileError';
+
+// Accepted spellings of each column/property, compared after normalizeHeader.
+// The first entry of each list matches the headers written by outletsToCsv.
+const FIELD_ALIASES = {
+  id: ['id', 'outlet id'],
+  name: ['name', 'outlet', 'outlet name'],
+  address: ['address'],
+  latitude: ['latitude', 'lat'],
+  longitude: ['longitude', 'lng', 'lon', 'long'],
+  operating_hours: ['operating hours', 'hours', 'opening hours'],
+  telephone: ['telephone', 'phone', 'tel'],
+  waze_link: ['waze link', 'waze'],
+};
+
+const TEXT_FIELDS = ['name', 'address', 'operating_hours', 'telephone', 'waze_link'];
+
+// Coordinates closer than this (in degrees, ~1 m) count as unchanged
+const COORDINATE_TOLERANCE = 0.00001;
+
+// `color` is shared by the preview panel and the map overlay
+export const IMPORT_STATUSES = [
+  { key: 'new', label: 'New', color: '#16a34a' },
+  { key: 'changed', label: 'Changed', color: '#d97706' },
+  { key: 'duplicate', label: 'Possible duplicates', color: '#9333ea' },
+  { key: 'unchanged', label: 'Unchanged', color: '#6b7280' },
+  { key: 'missing', label: 'Missing from file', color: '#dc2626' },
+  { key: 'invalid', label: 'Invalid', color: '#111827' },
+];
+
+// Rows that can be sent to the backend
+export const SUBMITTABLE_STATUSES = ['new', 'changed', 'duplicate'];
+
+const normalizeHeader = (header) => String(header).trim().toLowerCase().replace(/[\s_-]+/g, ' ');
+
+const fieldForHeader = (header) => {
+  const normalized = normalizeHeader(header);
+  return Object.keys(FIELD_ALIASES).find((field) => FIELD_ALIASES[field].includes(normalized)) ?? null;
+};
+
+export const normalizeName = (name) => String(name ?? '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+const parseCoordinate = (value) => {
+  if (typeof value === 'number') return value;
+  const text = String(value ?? '').trim();
+  return text ? Number(text) : NaN;
+};
+
+// Numeric ids stay numbers so they compare equal to the ones from the API
+const parseId = (value) => {
+  const text = String(value ?? '').trim();
+  if (!text) return undefined;
+  return /^\d+$/.test(text) ? Number(text) : text;
+};
+
+/**
+ * Build an outlet from a record of known fields. Fields the file does not
+ * have stay undefined, so the diff only compares what was provided.
+ */
+const toOutlet = (record) => {
+  const outlet = {
+    id: parseId(record.id),
+    latitude: parseCoordinate(record.latitude),
+    longitude: parseCoordinate(record.longitude),
+  };
+  TEXT_FIELDS.forEach((field) => {
+    if (record[field] !== undefined) outlet[field] = String(record[field] ?? '').trim();
+  });
+  return outlet;
+};
+
+// What is wrong with a row, as a code the preview translates (`import.problems.<code>`)
+const validateOutlet = (outlet) => {
+  if (!outlet.name) return { problem: 'missingName' };
+  const problem = coordinateProblem(outlet);
+  if (problem === 'missing') return { problem: 'missingCoordinates' };
+  if (problem === 'out_of_range') return { problem: 'coordinatesOutOfRange' };
+  return null;
+};
+
+const collect = (records) => {
+  const rows = [];
+  const invalid = [];
+  records.forEach(({ row, record, error }) => {
+    const outlet = error ? null : toOutlet(record);
+    const failure = error || validateOutlet(outlet);
+    if (failure) invalid.push({ status: 'invalid', row, values: {}, ...failure, outlet });
+    else rows.push({ row, outlet });
+  });
+  return { rows, invalid };
+};
+
+const csvRecords = (text) => {
+  const [header = [], ...lines] = parseCsv(text);
+  const fields = header.map(fieldForHeader);
+  if (!fields.includes('latitude') || !fields.includes('longitude')) {
+    throw new FileError('csvNeedsCoordinates');
+  }
+  if (!fields.includes('name')) throw new FileError('csvNeedsName');
+
+  return lines.map((cells, index) => {
+    const record = {};
+    fields.forEach((field, column) => {
+      if (field) record[field] = cells[column] ?? '';
+    });
+    return { row: `Line ${index + 2}`, record }; // line 1 is the header
+  });
+};
+
+const propertiesRecord = (properties = {}) => {
+  const record = {};
+  Object.entries(properties ?? {}).forEach(([key, value]) => {
+    const field = fieldForHeader(key);
+    if (field && record[field] === undefined) record[field] = value;
+  });
+  return record;
+};
+
+const geoJsonRecords = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new FileError('invalidJson');
+  }
+
+  let features;
+  if (data?.type === 'FeatureCollection' && Array.isArray(data.features)) features = data.features;
+  else if (data?.type === 'Feature') features = [data];
+  else throw new FileError('notGeoJson');
+
+  return features.flatMap((feature, index) => {
+    const row = `Feature ${index + 1}`;
+    // Catchment polygons from our own GeoJSON export are not outlets
+    if (feature?.properties?.feature === 'catchment') return [];
+    const geometry = feature?.geometry?.type;
+    if (geometry !== 'Point') {
+      return [{ row, error: geometry ? { problem: 'notPoint', values: { geometry } } : { problem: 'noGeometry' } }];
+    }
+    const [longitude, latitude] = feature.geometry.coordinates ?? [];
+    return [{ row, record: { ...propertiesRecord(feature.properties), latitude, longitude } }];
+  });
+};
+
+const isGeoJsonFile = (text, fileName = '') => (
+  /\.(geo)?json$/i.test(fileName) || (!/\.csv$/i.test(fileName) && /^\s*[{[]/.test(text))
+);
+
+/**
+ * Parse an outlet CSV or GeoJSON file. Headers and property names are
+ * matched loosely (case, spaces and underscores are ignored), so files
+ * written by the export menu import unchanged.
+ * @returns {{format: 'csv'|'geojson', rows: {row: string, outlet: Object}[], invalid: Object[]}}
+ * @throws {FileError} when the file is not a recognisable outlet file
+ */
+export const parseOutletFile = (text, fileName) => {
+  const format = isGeoJsonFile(text, fileName) ? 'geojson' : 'csv';
+  const records = format === 'geojson' ? geoJsonRecords(text) : csvRecords(text);
+  return { format, ...collect(records) };
+};
+
+const fieldChanged = (field, imported, existing) => {
+  if (field === 'latitude' || field === 'longitude') {
+    return Math.abs(imported[field] - Number(existing[field])) > COORDINATE_TOLERANCE;
+  }
+  return imported[field] !== undefined && imported[field] !== String(existing[field] ?? '').trim();
+};
+
+const changedFields = (imported, existing) => (
+  ['latitude', 'longitude', ...TEXT_FIELDS]
+    .filter((field) => fieldChanged(field, imported, existing))
+    .map((field) => ({ field, from: existing[field] ?? null, to: imported[field] }))
+);
+
+const nearestWithin = (grid, points, outlet, radiusKm, accept = () => true) => {
+  let nearest = null;
+  grid.neighbours(outlet.latitude, outlet.longitude).forEach((index) => {
+    const point = points[index];
+    if (!accept(index)) return;
+    const distance = calculateDistance(outlet.latitude, outlet.longitude, point.latitude, point.longitude);
+    if (distance <= radiusKm && (!nearest || distance < nearest.distance)) {
+      nearest = { index, distance };
+    }
+  });
+  return nearest;
+};
+
+/**
+ * Compare imported rows with the outlets already loaded. Each row is
+ * matched to an existing outlet by id, then by name, and is `changed` or
+ * `unchanged`; otherwise it is a `duplicate` when it lies within
+ * `duplicateRadiusKm` of an existing outlet or an earlier row, else `new`.
+ * Existing outlets no row matched are reported as `missing`.
+ * @returns {{status: string, row?: string, outlet: Object, existing?: Object,
+ *   changes?: Object[], distance?: number, duplicateOf?: string}[]}
+ */
+export const diffImportedOutlets = (rows, existingOutlets, { duplicateRadiusKm }) => {
+  const existing = existingOutlets.filter(hasValidCoordinates);
+  const byId = new Map(existingOutlets.map((outlet) => [String(outlet.id), outlet]));
+  const byName = new Map();
+  existingOutlets.forEach((outlet) => {
+    const key = normalizeName(outlet.name);
+    if (!byName.has(key)) byName.set(key, outlet);
+  });
+
+  const existingGrid = buildSpatialGrid(existing, duplicateRadiusKm);
+  const importedOutlets = rows.map(({ outlet }) => outlet);
+  const importedGrid = buildSpatialGrid(importedOutlets, duplicateRadiusKm);
+  const matchedIds = new Set();
+  const newRows = new Set();
+
+  const entries = rows.map(({ row, outlet }, index) => {
+    const match = (outlet.id !== undefined && byId.get(String(outlet.id))) || byName.get(normalizeName(outlet.name));
+    if (match && !matchedIds.has(match.id)) {
+      matchedIds.add(match.id);
+      const changes = changedFields(outlet, match);
+      return { status: changes.length ? 'changed' : 'unchanged', row, outlet, existing: match, changes };
+    }
+
+    const nearExisting = nearestWithin(existingGrid, existing, outlet, duplicateRadiusKm);
+    if (nearExisting) {
+      return { status: 'duplicate', row, outlet, existing: existing[nearExisting.index], distance: nearExisting.distance };
+    }
+    const nearImported = nearestWithin(
+      importedGrid, importedOutlets, outlet, duplicateRadiusKm,
+      (other) => other < index && newRows.has(other)
+    );
+    if (nearImported) {
+      return { status: 'duplicate', row, outlet, duplicateOf: rows[nearImported.index].row, distance: nearImported.distance };
+    }
+
+    newRows.add(index);
+    return { status: 'new', row, outlet };
+  });
+
+  const missing = existingOutlets
+    .filter((outlet) => !matchedIds.has(outlet.id))
+    .map((outlet) => ({ status: 'missing', outlet }));
+
+  return [...entries, ...missing];
+};
+
+/**
+ * The outlet to send for an accepted entry: a changed row is merged into
+ * the outlet it matched (keeping its id), anything else is saved as given.
+ */
+export const outletToSubmit = (entry) => {
+  if (entry.status !== 'changed') return entry.outlet;
+  const updates = Object.fromEntries(Object.entries(entry.outlet).filter(([, value]) => value !== undefined));
+  return { ...entry.existing, ...updates, id: entry.existing.id };
+};
@@ -0,0 +1,67 @@
+import { DEFAULT_LOCALE, translate } from './i18n';
+
+// Outlet marker pins as inline SVG. Free of Leaflet so the map legend can
+// draw the same pins; MapIcon.js wraps them in Leaflet divIcons.
+
+const PIN_WIDTH = 30;
+const PIN_HEIGHT = 40;
+const SELECTED_SCALE = 1.3;
+
+const COLORS = {
+  open: { body: '#da291c', arches: '#ffc72c' }, // McDonald's red and gold
+  closed: { body: '#6b7280', arches: '#e5e7eb' },
+};
+
+// Teardrop pin with the golden arches, drawn in a 30x40 box with the tip at the bottom centre
+const PIN_PATH = 'M15 1C7.3 1 1 7.2 1 14.9 1 25 15 39 15 39s14-14 14-24.1C29 7.2 22.7 1 15 1z';
+const ARCHES_PATH = 'M7.5 21c0-7.2 1.4-11.4 3.5-11.4 1.9 0 3.1 3.2 4 7.1.9-3.9 2.1-7.1 4-7.1 2.1 0 3.5 4.2 3.5 11.4';
+
+/**
+ * @typedef {Object} OutletPinState
+ * @property {number} [overlapCount] - outlets whose catchments intersect this one
+ * @property {boolean} [isClosed] - closed right now according to its hours
+ * @property {boolean} [isSelected]
+ */
+
+/** Width and height in px of the pin for a state. */
+export const outletPinSize = ({ isSelected = false } = {}) => {
+  const scale = isSelected ? SELECTED_SCALE : 1;
+  return [Math.round(PIN_WIDTH * scale), Math.round(PIN_HEIGHT * scale)];
+};
+
+/**
+ * Markup of the pin for a state: closed outlets are grey, overlapping ones
+ * carry a badge with the overlap count, and the selected one is larger.
+ * @param {OutletPinState} state
+ */
+export const outletPinHtml = ({ overlapCount = 0, isClosed = false, isSelected = false } = {}) => {
+  const { body, arches } = isClosed ? COLORS.closed : COLORS.open;
+  const [width, height] = outletPinSize({ isSelected });
+  const classes = ['outlet-pin-graphic', isSelected && 'is-selected', isClosed && 'is-closed'].filter(Boolean).join(' ');
+  const badge = overlapCount > 0
+    ? `<span class="outlet-pin-badge">${overlapCount > 9 ? '9+' : overlapCount}</span>`
+    : '';
+
+  // No inline styles, so the markup also works under a strict style-src CSP
+  return `<div class="${classes}">`
+    + `<svg viewBox="0 0 ${PIN_WIDTH} ${PIN_HEIGHT}" width="${width}" height="${height}" aria-hidden="true">`
+    + `<path d="${PIN_PATH}" fill="${body}" stroke="#ffffff" stroke-width="1.5"/>`
+    + `<path d="${ARCHES_PATH}" fill="none" stroke="${arches}" stroke-width="2.6" stroke-linecap="round"/>`
+    + '</svg>'
+    + badge
+    + '</div>';
+};
+
+/**
+ * Short description of a pin state, used as the marker's hover title.
+ * @param {OutletPinState} state
+ * @param {(key: string, values?: Object) => string} [t] - translation function, English by default
+ */
+export const outletPinLabel = (
+  { overlapCount = 0, isClosed = false, isSelected = false } = {},
+  t = (key, values) => translate(DEFAULT_LOCALE, key, values)
+) => [
+  isClosed && t('marker.states.closedNow'),
+  overlapCount > 0 && t('marker.states.overlaps', { count: overlapCount }),
+  isSelected && t('marker.states.selected'),
+].filter(Boolean).join(' · ');
@@ -0,0 +1,43 @@
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// "McDonald's Bukit Bintang" is often written as just "Bukit Bintang"
+const BRAND_PREFIX = /^mc\s*donald'?s\s+/i;
+const MIN_SHORT_NAME_LENGTH = 4;
+
+const ID_PATTERN = /(?:#|\b(?:outlet|id)\s*#?\s*)(\d+)\b/gi;
+
+const namePatterns = (outlet) => {
+  const names = [outlet.name];
+  const shortName = outlet.name.replace(BRAND_PREFIX, '').trim();
+  if (shortName !== outlet.name && shortName.length >= MIN_SHORT_NAME_LENGTH) names.push(shortName);
+  return names.map((name) => new RegExp(`(^|[^\\w])${escapeRegExp(name)}(?![\\w])`, 'i'));
+};
+
+/**
+ * Outlets mentioned in a piece of text, by full name, name without the
+ * brand prefix, or id ("#12", "outlet 12", "ID 12").
+ * @returns {Object[]} Matching outlets in order of first mention
+ */
+export const findOutletReferences = (text, outlets) => {
+  if (!text) return [];
+  const byId = new Map(outlets.map((outlet) => [String(outlet.id), outlet]));
+  const found = new Map();
+  const add = (outlet, index) => {
+    if (!found.has(outlet.id) || found.get(outlet.id).index > index) found.set(outlet.id, { outlet, index });
+  };
+
+  for (const match of text.matchAll(ID_PATTERN)) {
+    const outlet = byId.get(match[1]);
+    if (outlet) add(outlet, match.index);
+  }
+
+  outlets.forEach((outlet) => {
+    if (!outlet.name) return;
+    namePatterns(outlet).forEach((pattern) => {
+      const match = text.match(pattern);
+      if (match) add(outlet, match.index);
+    });
+  });
+
+  return [...found.values()].sort((a, b) => a.index - b.index).map((entry) => entry.outlet);
+};
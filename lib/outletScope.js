@@ -0,0 +1,74 @@
+// Malaysian states and federal territories, with the spellings seen in addresses
+const REGIONS = [
+  { name: 'Kuala Lumpur', aliases: ['kuala lumpur'] },
+  { name: 'Putrajaya', aliases: ['putrajaya'] },
+  { name: 'Labuan', aliases: ['labuan'] },
+  { name: 'Selangor', aliases: ['selangor'] },
+  { name: 'Johor', aliases: ['johor'] },
+  { name: 'Kedah', aliases: ['kedah'] },
+  { name: 'Kelantan', aliases: ['kelantan'] },
+  { name: 'Melaka', aliases: ['melaka', 'malacca'] },
+  { name: 'Negeri Sembilan', aliases: ['negeri sembilan'] },
+  { name: 'Pahang', aliases: ['pahang'] },
+  { name: 'Perak', aliases: ['perak'] },
+  { name: 'Perlis', aliases: ['perlis'] },
+  { name: 'Pulau Pinang', aliases: ['pulau pinang', 'penang'] },
+  { name: 'Sabah', aliases: ['sabah'] },
+  { name: 'Sarawak', aliases: ['sarawak'] },
+  { name: 'Terengganu', aliases: ['terengganu'] },
+];
+
+export const DELETE_ALL_CONFIRMATION = 'DELETE ALL';
+
+// The state comes last in Malaysian addresses, so the last mention wins
+// ("Jalan Selangor, 46000 Petaling Jaya, Selangor" is still Selangor)
+export const outletRegion = (outlet) => {
+  const address = (outlet.address || '').toLowerCase();
+  let match = null;
+  let matchIndex = -1;
+  REGIONS.forEach((region) => {
+    region.aliases.forEach((alias) => {
+      const index = address.lastIndexOf(alias);
+      if (index > matchIndex) {
+        match = region.name;
+        matchIndex = index;
+      }
+    });
+  });
+  return match;
+};
+
+// Regions present in the data with their outlet counts, largest first
+export const listRegions = (outlets) => {
+  const counts = new Map();
+  outlets.forEach((outlet) => {
+    const region = outletRegion(outlet);
+    if (region) counts.set(region, (counts.get(region) || 0) + 1);
+  });
+  return [...counts.entries()]
+    .map(([name, count]) => ({ name, count }))
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+};
+
+// Same matching the scraper uses for a search term: name or address contains it
+const matchesSearchTerm = (outlet, term) => {
+  const needle = term.trim().toLowerCase();
+  return Boolean(needle) && `${outlet.name || ''} ${outlet.address || ''}`.toLowerCase().includes(needle);
+};
+
+/**
+ * Outlets affected by a scoped operation.
+ * @param {Object[]} outlets
+ * @param {{type: 'all'|'region'|'search', value?: string}} scope
+ */
+export const outletsInScope = (outlets, scope) => {
+  if (scope.type === 'all') return outlets;
+  if (scope.type === 'region') return outlets.filter((outlet) => outletRegion(outlet) === scope.value);
+  if (scope.type === 'search') return outlets.filter((outlet) => matchesSearchTerm(outlet, scope.value || ''));
+  return [];
+};
+
+// What the user has to type to confirm a destructive operation on the scope
+export const scopeConfirmationText = (scope) => (
+  scope.type === 'all' ? DELETE_ALL_CONFIRMATION : (scope.value || '').trim()
+);
@@ -0,0 +1,54 @@
+import { FileError } from './fileError';
+
+export const SNAPSHOT_FORMAT = 'mcd-outlets-snapshot';
+export const SNAPSHOT_VERSION = 1;
+
+/**
+ * JSON backup of the stored outlets, taken before destructive operations.
+ * @param {Object[]} outlets - The full outlet set, not just the affected scope
+ * @param {{type: string, value?: string}} [scope] - The operation it was taken for
+ */
+export const createSnapshot = (outlets, scope = null) => JSON.stringify({
+  format: SNAPSHOT_FORMAT,
+  version: SNAPSHOT_VERSION,
+  exportedAt: new Date().toISOString(),
+  scope,
+  count: outlets.length,
+  outlets,
+}, null, 2);
+
+const isValidOutlet = (outlet) => (
+  outlet
+  && typeof outlet.name === 'string'
+  && Number.isFinite(outlet.latitude)
+  && Number.isFinite(outlet.longitude)
+);
+
+/**
+ * Reads a snapshot file back. Throws a FileError when the file is not a
+ * snapshot; outlets without a name or coordinates are dropped.
+ * @param {string} text
+ * @returns {{exportedAt: string|null, scope: Object|null, outlets: Object[], skipped: number}}
+ */
+export const parseSnapshot = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new FileError('invalidJson');
+  }
+  if (data?.format !== SNAPSHOT_FORMAT || !Array.isArray(data.outlets)) {
+    throw new FileError('notSnapshot');
+  }
+  if (data.version > SNAPSHOT_VERSION) {
+    throw new FileError('snapshotTooNew', { version: data.version });
+  }
+
+  const outlets = data.outlets.filter(isValidOutlet);
+  return {
+    exportedAt: data.exportedAt || null,
+    scope: data.scope || null,
+    outlets,
+    skipped: data.outlets.length - outlets.length,
+  };
+};
@@ -0,0 +1,48 @@
+import { PROXY_CONFIG } from '../variables';
+
+/**
+ * Fixed-window rate limiter: each key may be hit `limit` times per `windowMs`.
+ * `hit` counts an attempt and returns whether it is allowed and, when it is
+ * not, how long until the window resets.
+ */
+export const createRateLimiter = ({ limit, windowMs }) => {
+  const windows = new Map();
+
+  // Forget finished windows so one-off clients do not pile up
+  const prune = (now) => {
+    windows.forEach((entry, key) => {
+      if (entry.resetAt <= now) windows.delete(key);
+    });
+  };
+
+  const hit = (key) => {
+    const now = Date.now();
+    let entry = windows.get(key);
+    if (!entry || entry.resetAt <= now) {
+      if (windows.size > 1000) prune(now);
+      entry = { count: 0, resetAt: now + windowMs };
+      windows.set(key, entry);
+    }
+    entry.count++;
+    return {
+      allowed: entry.count <= limit,
+      remaining: Math.max(0, limit - entry.count),
+      retryAfterMs: entry.count <= limit ? 0 : entry.resetAt - now,
+    };
+  };
+
+  return { hit };
+};
+
+/**
+ * The client's address for rate limiting. Each trusted proxy appends the
+ * address it received the request from, so the client is that many entries
+ * from the end; anything further left was written by the client itself.
+ * @param {import('http').IncomingMessage} req
+ */
+export const clientKey = (req) => {
+  const hops = PROXY_CONFIG.TRUSTED_PROXY_HOPS;
+  const forwarded = req.headers['x-forwarded-for']?.split(',').map((address) => address.trim()).filter(Boolean) ?? [];
+  if (hops > 0 && forwarded.length > 0) return forwarded[Math.max(0, forwarded.length - hops)];
+  return req.socket?.remoteAddress || 'unknown';
+};
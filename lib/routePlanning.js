@@ -0,0 +1,98 @@
+import { calculateDistance } from './geo';
+
+// Route order for a handful of outlets: a nearest-neighbour tour improved with
+// 2-opt. Distances are straight lines, so the order is a good guess at the
+// shortest drive, not a guarantee.
+
+const distanceMatrix = (points) => points.map((a) => points.map((b) => (
+  calculateDistance(a.latitude, a.longitude, b.latitude, b.longitude)
+)));
+
+const pathLength = (order, distances) => order.reduce(
+  (total, point, index) => (index === 0 ? 0 : total + distances[order[index - 1]][point]),
+  0
+);
+
+// Greedy tour from `start`: always go to the closest unvisited point
+const nearestNeighbourOrder = (distances, start) => {
+  const unvisited = new Set(distances.keys());
+  unvisited.delete(start);
+  const order = [start];
+  while (unvisited.size > 0) {
+    const current = order[order.length - 1];
+    let next = null;
+    unvisited.forEach((candidate) => {
+      if (next === null || distances[current][candidate] < distances[current][next]) next = candidate;
+    });
+    order.push(next);
+    unvisited.delete(next);
+  }
+  return order;
+};
+
+// Reverse segments while that shortens the path. The path is open, so the
+// ends may move too unless the first point is fixed.
+const twoOpt = (initialOrder, distances, { fixedStart }) => {
+  const order = [...initialOrder];
+  const edge = (from, to) => (from === undefined || to === undefined ? 0 : distances[from][to]);
+  let improved = true;
+  while (improved) {
+    improved = false;
+    for (let i = fixedStart ? 1 : 0; i < order.length - 1; i++) {
+      for (let j = i + 1; j < order.length; j++) {
+        const before = edge(order[i - 1], order[i]) + edge(order[j], order[j + 1]);
+        const after = edge(order[i - 1], order[j]) + edge(order[i], order[j + 1]);
+        if (after < before - 1e-9) {
+          const reversed = order.slice(i, j + 1).reverse();
+          order.splice(i, reversed.length, ...reversed);
+          improved = true;
+        }
+      }
+    }
+  }
+  return order;
+};
+
+/**
+ * @typedef {Object} PlannedRoute
+ * @property {Object[]} stops - the outlets in visiting order
+ * @property {{from: Object, to: Object, distance: number}[]} legs - in km; the first starts at `origin` when given
+ * @property {number} totalKm
+ */
+
+/**
+ * Order outlets so visiting them one after another covers the least
+ * straight-line distance. With `origin` ({latitude, longitude}, e.g. the
+ * user's position) the route starts there; otherwise at whichever outlet
+ * gives the shortest route.
+ * @param {Object[]} outlets - with valid coordinates
+ * @param {{origin?: {latitude: number, longitude: number}}} [options]
+ * @returns {PlannedRoute}
+ */
+export const planRoute = (outlets, { origin = null } = {}) => {
+  if (outlets.length === 0) return { stops: [], legs: [], totalKm: 0 };
+
+  const points = origin ? [origin, ...outlets] : outlets;
+  const distances = distanceMatrix(points);
+  const starts = origin ? [0] : [...points.keys()];
+
+  let best = null;
+  starts.forEach((start) => {
+    const order = twoOpt(nearestNeighbourOrder(distances, start), distances, { fixedStart: Boolean(origin) });
+    const length = pathLength(order, distances);
+    if (!best || length < best.length) best = { order, length };
+  });
+
+  const ordered = best.order.map((index) => points[index]);
+  const legs = ordered.slice(1).map((to, index) => ({
+    from: ordered[index],
+    to,
+    distance: distances[best.order[index]][best.order[index + 1]],
+  }));
+
+  return {
+    stops: origin ? ordered.slice(1) : ordered,
+    legs,
+    totalKm: best.length,
+  };
+};
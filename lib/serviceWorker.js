@@ -0,0 +1,9 @@
+import { OFFLINE_CONFIG } from '../variables';
+
+// Registered in production builds only; in development it would cache stale bundles
+export const registerServiceWorker = () => {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+  navigator.serviceWorker.register(OFFLINE_CONFIG.SERVICE_WORKER_URL).catch(() => {
+    // Offline support is optional; the app works the same without it
+  });
+};
@@ -0,0 +1,27 @@
+/**
+ * In-memory cache whose entries expire `ttlMs` after being stored. The
+ * oldest entry is evicted once `maxEntries` is reached.
+ */
+export const createTtlCache = ({ ttlMs, maxEntries }) => {
+  const entries = new Map();
+
+  const get = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return undefined;
+    }
+    return entry.value;
+  };
+
+  const set = (key, value) => {
+    entries.delete(key);
+    if (entries.size >= maxEntries) entries.delete(entries.keys().next().value);
+    entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+  };
+
+  const clear = () => entries.clear();
+
+  return { get, set, clear };
+};
@@ -0,0 +1,24 @@
+import { NextResponse } from 'next/server';
+import { withAuth } from 'next-auth/middleware';
+import { AUTH_CONFIG } from './variables';
+
+// One per locale, so visitors on /ms/... are sent to /ms/signin
+const requireSignIn = new Map();
+const requireSignInFor = ({ locale, defaultLocale }) => {
+  const prefix = locale && locale !== defaultLocale ? `/${locale}` : '';
+  if (!requireSignIn.has(prefix)) {
+    requireSignIn.set(prefix, withAuth({ pages: { signIn: `${prefix}${AUTH_CONFIG.SIGN_IN_PATH}` } }));
+  }
+  return requireSignIn.get(prefix);
+};
+
+// With AUTH_REQUIRE_SIGN_IN=true every page sends signed-out visitors to the
+// sign-in page; API routes check the session themselves
+export default function middleware(req, event) {
+  if (process.env.AUTH_REQUIRE_SIGN_IN !== 'true') return NextResponse.next();
+  return requireSignInFor(req.nextUrl)(req, event);
+}
+
+export const config = {
+  matcher: ['/((?!api/|signin|_next/|icons/|favicon.ico|manifest.webmanifest|sw.js).*)'],
+};
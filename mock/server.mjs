@@ -0,0 +1,243 @@
+// Offline stand-in for the FastAPI outlets backend.
+// Usage: npm run mock-api  (listens on MOCK_API_PORT, default 8000; 0 picks a free port)
+import http from 'node:http';
+import { readFileSync } from 'node:fs';
+
+const PORT = Number(process.env.MOCK_API_PORT ?? 8000);
+const SCRAPE_STEP_MS = Number(process.env.MOCK_SCRAPE_STEP_MS) || 1500;
+const STREAM_TOKEN_MS = Number(process.env.MOCK_STREAM_TOKEN_MS) || 60;
+// When set, the routes below need `Authorization: Bearer <key>`, as sent by the proxy
+const API_KEY = process.env.MOCK_API_KEY;
+const PROTECTED_ROUTES = ['DELETE /outlets', 'DELETE /outlets/:id', 'POST /save-outlets', 'GET /scrape-jobs/:id'];
+
+const fixtures = JSON.parse(readFileSync(new URL('./fixtures/outlets.json', import.meta.url), 'utf8'));
+
+let outlets = [];
+let nextOutletId = 1;
+const jobs = new Map();
+let nextJobId = 1;
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+const readJson = (req) => new Promise((resolve, reject) => {
+  let raw = '';
+  req.on('data', (chunk) => { raw += chunk; });
+  req.on('end', () => {
+    try {
+      resolve(raw ? JSON.parse(raw) : {});
+    } catch (e) {
+      reject(e);
+    }
+  });
+});
+
+const validationError = (res, field, msg) => sendJson(res, 422, {
+  detail: [{ loc: ['body', field], msg, type: 'value_error' }],
+});
+
+// Saves matching fixtures one by one so progress can be observed
+const runScrapeJob = (job) => {
+  const term = job.search_term.toLowerCase();
+  const known = new Set(outlets.map((outlet) => outlet.name));
+  const queue = fixtures.filter((fixture) => (
+    !known.has(fixture.name)
+    && `${fixture.name} ${fixture.address}`.toLowerCase().includes(term)
+  ));
+
+  job.status = 'running';
+  const step = () => {
+    const fixture = queue.shift();
+    if (!fixture) {
+      job.status = 'completed';
+      job.finished_at = new Date().toISOString();
+      return;
+    }
+    outlets.push({ id: nextOutletId++, ...fixture });
+    job.new_outlets++;
+    setTimeout(step, SCRAPE_STEP_MS);
+  };
+  setTimeout(step, SCRAPE_STEP_MS);
+};
+
+// Saves outlet records (snapshots, imports). Outlets whose name is already
+// stored are skipped unless overwrite_existing is set, in which case they are updated.
+const saveOutlets = (res, records, overwriteExisting) => {
+  const invalid = records.findIndex((outlet) => (
+    typeof outlet?.name !== 'string' || !Number.isFinite(outlet.latitude) || !Number.isFinite(outlet.longitude)
+  ));
+  if (invalid !== -1) {
+    return sendJson(res, 422, {
+      detail: [{ loc: ['body', 'outlets', invalid], msg: 'name, latitude and longitude are required', type: 'value_error' }],
+    });
+  }
+
+  const knownIds = new Set(outlets.map((outlet) => outlet.id));
+  let saved = 0;
+  let updated = 0;
+  records.forEach((outlet) => {
+    // Updates may rename an outlet, so they also match on id
+    const existing = (overwriteExisting && outlets.find((item) => item.id === outlet.id))
+      || outlets.find((item) => item.name === outlet.name);
+    if (existing) {
+      if (overwriteExisting) {
+        Object.assign(existing, outlet, { id: existing.id });
+        updated++;
+      }
+      return;
+    }
+    const id = Number.isInteger(outlet.id) && !knownIds.has(outlet.id) ? outlet.id : null;
+    const restored = { ...outlet, id: id ?? nextOutletId };
+    nextOutletId = Math.max(nextOutletId, restored.id) + 1;
+    outlets.push(restored);
+    knownIds.add(restored.id);
+    saved++;
+  });
+  sendJson(res, 200, {
+    message: `Saved ${saved} new outlets${overwriteExisting ? ` and updated ${updated}` : ''}.`,
+    saved_count: saved,
+    updated_count: updated,
+  });
+};
+
+const routes = {
+  'GET /outlets': (req, res, url) => {
+    const page = Math.max(1, Number(url.searchParams.get('page')) || 1);
+    const perPage = Math.max(1, Number(url.searchParams.get('per_page')) || 50);
+    const start = (page - 1) * perPage;
+    sendJson(res, 200, {
+      outlets: outlets.slice(start, start + perPage),
+      total: outlets.length,
+      page,
+      per_page: perPage,
+    });
+  },
+
+  // Like the real backend, query parameters are ignored: everything goes
+  'DELETE /outlets': (req, res) => {
+    const count = outlets.length;
+    outlets = [];
+    sendJson(res, 200, { message: `Deleted ${count} outlets.`, deleted_count: count });
+  },
+
+  'DELETE /outlets/:id': (req, res, url, params) => {
+    const index = outlets.findIndex((outlet) => String(outlet.id) === params.id);
+    if (index === -1) return sendJson(res, 404, { detail: `Outlet ${params.id} not found` });
+    outlets.splice(index, 1);
+    sendJson(res, 200, { message: `Deleted outlet ${params.id}.` });
+  },
+
+  'POST /save-outlets': async (req, res) => {
+    const body = await readJson(req);
+    if (Array.isArray(body.outlets)) return saveOutlets(res, body.outlets, Boolean(body.overwrite_existing));
+    if (typeof body.search_term !== 'string' || !body.search_term.trim()) {
+      return validationError(res, 'search_term', 'field required');
+    }
+    const job = {
+      job_id: String(nextJobId++),
+      search_term: body.search_term.trim(),
+      status: 'queued',
+      new_outlets: 0,
+      started_at: new Date().toISOString(),
+      finished_at: null,
+      error: null,
+    };
+    jobs.set(job.job_id, job);
+    runScrapeJob(job);
+    sendJson(res, 202, { message: `Scraping started for "${job.search_term}"`, job_id: job.job_id });
+  },
+
+  'GET /scrape-jobs/:id': (req, res, url, params) => {
+    const job = jobs.get(params.id);
+    if (!job) return sendJson(res, 404, { detail: `Scrape job ${params.id} not found` });
+    sendJson(res, 200, job);
+  },
+
+  'POST /api/v1/search': async (req, res) => {
+    const body = await readJson(req);
+    if (typeof body.query !== 'string' || !body.query.trim()) {
+      return validationError(res, 'query', 'field required');
+    }
+    const words = body.query.toLowerCase().split(/\W+/).filter((word) => word.length > 3);
+    const matches = outlets.filter((outlet) => (
+      words.some((word) => `${outlet.name} ${outlet.address} ${outlet.operating_hours}`.toLowerCase().includes(word))
+    ));
+    const turns = Array.isArray(body.history) ? body.history.length : 0;
+    const response = (matches.length
+      ? `I found ${matches.length} matching outlet(s):\n${matches.map((outlet) => `- ${outlet.name}`).join('\n')}`
+      : 'I could not find any outlets matching your question.')
+      + (turns ? `\n(${turns} earlier message(s) taken into account)` : '');
+
+    const wantsStream = body.stream || String(req.headers.accept).includes('text/event-stream');
+    if (!wantsStream) return sendJson(res, 200, { response });
+
+    // Streams the answer word by word as Server-Sent Events
+    res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+    const tokens = response.match(/\S+\s*/g) || [];
+    const timer = setInterval(() => {
+      const token = tokens.shift();
+      if (token === undefined) {
+        clearInterval(timer);
+        res.end('data: [DONE]\n\n');
+        return;
+      }
+      res.write(`data: ${JSON.stringify({ token })}\n\n`);
+    }, STREAM_TOKEN_MS);
+    req.on('close', () => clearInterval(timer));
+  },
+};
+
+const matchRoute = (method, pathname) => {
+  for (const [key, handler] of Object.entries(routes)) {
+    const [routeMethod, routePath] = key.split(' ');
+    if (routeMethod !== method) continue;
+    const routeParts = routePath.split('/');
+    const pathParts = pathname.split('/');
+    if (routeParts.length !== pathParts.length) continue;
+    const params = {};
+    const isMatch = routeParts.every((part, index) => {
+      if (part.startsWith(':')) {
+        params[part.slice(1)] = decodeURIComponent(pathParts[index]);
+        return true;
+      }
+      return part === pathParts[index];
+    });
+    if (isMatch) return { key, handler, params };
+  }
+  return null;
+};
+
+const server = http.createServer(async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Accept, Authorization, Cache-Control');
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    return res.end();
+  }
+
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const route = matchRoute(req.method, url.pathname.replace(/\/$/, '') || '/');
+  if (!route) return sendJson(res, 404, { detail: 'Not Found' });
+  if (API_KEY && PROTECTED_ROUTES.includes(route.key) && req.headers.authorization !== `Bearer ${API_KEY}`) {
+    return sendJson(res, 401, { detail: 'Not authenticated' });
+  }
+
+  try {
+    await route.handler(req, res, url, route.params);
+  } catch (e) {
+    if (e instanceof SyntaxError) {
+      return sendJson(res, 422, { detail: [{ loc: ['body'], msg: 'JSON decode error', type: 'json_invalid' }] });
+    }
+    // Mirrors FastAPI/uvicorn's plain-text 500 page
+    res.writeHead(500, { 'Content-Type': 'text/plain' });
+    res.end('Internal Server Error');
+    console.error(e);
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock outlets API listening on http://localhost:${server.address().port}`);
+});
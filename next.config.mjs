@@ -1,6 +1,11 @@
 /** @type {import('next').NextConfig} */
 const nextConfig = {
   reactStrictMode: false,
+  // English at /, Bahasa Malaysia at /ms; message catalogs are in locales/
+  i18n: {
+    locales: ['en', 'ms'],
+    defaultLocale: 'en',
+  },
 };
 
 export default nextConfig;
@@ -1,5 +1,23 @@
+import { useEffect } from "react";
+import { useRouter } from "next/router";
+import { SessionProvider } from "next-auth/react";
 import "@/styles/globals.css";
+import { registerServiceWorker } from "@/lib/serviceWorker";
+import { DEFAULT_LOCALE } from "@/lib/i18n";
+import { LocaleProvider } from "@/hooks/useTranslation";
 
-export default function App({ Component, pageProps }) {
-  return <Component {...pageProps} />;
+export default function App({ Component, pageProps: { session, ...pageProps } }) {
+  const { locale } = useRouter();
+
+  useEffect(() => {
+    registerServiceWorker();
+  }, []);
+
+  return (
+    <SessionProvider session={session}>
+      <LocaleProvider value={locale ?? DEFAULT_LOCALE}>
+        <Component {...pageProps} />
+      </LocaleProvider>
+    </SessionProvider>
+  );
 }
@@ -1,9 +1,16 @@
 import { Html, Head, Main, NextScript } from "next/document";
 
-export default function Document() {
+export default function Document({ locale }) {
   return (
-    <Html lang="en">
-      <Head />
+    <Html lang={locale}>
+      <Head>
+        <link rel="manifest" href="/manifest.webmanifest" />
+        <link rel="icon" href="/icons/icon.svg" type="image/svg+xml" />
+        <link rel="apple-touch-icon" href="/icons/apple-touch-icon.png" />
+        <meta name="theme-color" content="#dc2626" />
+        <meta name="mobile-web-app-capable" content="yes" />
+        <meta name="apple-mobile-web-app-title" content="Outlets" />
+      </Head>
       <body className="antialiased">
         <Main />
         <NextScript />
@@ -0,0 +1,7 @@
+import NextAuth from 'next-auth';
+import { authOptionsFor } from '../../../lib/auth';
+
+// Built per request so sign-in attempts are limited per client
+export default function auth(req, res) {
+  return NextAuth(req, res, authOptionsFor(req));
+}
@@ -0,0 +1,11 @@
+import { handleProxyRequest } from '../../../lib/apiProxy';
+
+// Same-origin proxy to the backend; see lib/apiProxy.js for the routes
+export const config = {
+  api: {
+    bodyParser: false, // request bodies are forwarded untouched
+    responseLimit: false,
+  },
+};
+
+export default handleProxyRequest;
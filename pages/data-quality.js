@@ -0,0 +1,209 @@
+import React, { useState, useMemo } from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+import { useRouter } from 'next/router';
+import LanguageSwitcher from '../components/LanguageSwitcher';
+import useTranslation from '../hooks/useTranslation';
+import { getAllOutlets } from '../lib/apiClient';
+import { hasValidCoordinates } from '../lib/geo';
+import { ISSUE_TYPES, countIssues, findDataQualityIssues } from '../lib/dataQuality';
+import { DATA_QUALITY_CONFIG } from '../variables';
+
+const SEVERITY_STYLES = {
+  error: 'bg-red-100 text-red-700 border-red-200',
+  warning: 'bg-amber-100 text-amber-800 border-amber-200',
+  info: 'bg-gray-100 text-gray-700 border-gray-200',
+};
+
+const SEVERITIES = Object.fromEntries(ISSUE_TYPES.map(({ key, severity }) => [key, severity]));
+const COUNTRY = DATA_QUALITY_CONFIG.COUNTRY_NAME;
+
+export async function getServerSideProps({ query, res }) {
+  let outlets;
+  try {
+    outlets = await getAllOutlets();
+  } catch (e) {
+    res.statusCode = e.status || 502;
+    return { props: { error: e.message } };
+  }
+
+  const flagged = findDataQualityIssues(outlets);
+  const names = new Map(outlets.map((outlet) => [outlet.id, outlet.name]));
+
+  return {
+    props: {
+      total: outlets.length,
+      initialIssueType: ISSUE_TYPES.some(({ key }) => key === query.issue) ? query.issue : null,
+      // Only what the page renders is sent to the browser
+      flagged: flagged.map(({ outlet, issues }) => ({
+        id: outlet.id,
+        name: outlet.name ?? null,
+        address: outlet.address ?? null,
+        isPlottable: hasValidCoordinates(outlet),
+        issues: issues.map(({ related = [], ...issue }) => ({
+          ...issue,
+          related: related.map(({ id, distance }) => ({ id, name: names.get(id) ?? null, distance })),
+        })),
+      })),
+    },
+  };
+}
+
+const IssueBadge = ({ type, count, isActive, onClick }) => {
+  const { t, formatNumber } = useTranslation();
+  return (
+    <button
+      onClick={onClick}
+      aria-pressed={isActive}
+      className={`px-3 py-1.5 text-sm rounded-full border transition-colors ${
+        isActive ? 'ring-2 ring-blue-500 ' : ''
+      }${SEVERITY_STYLES[SEVERITIES[type]]}`}
+    >
+      {t(`dataQuality.issues.${type}`, { country: COUNTRY })} <span className="font-semibold">({formatNumber(count)})</span>
+    </button>
+  );
+};
+
+// What exactly is wrong, for issues that say more than their label
+const IssueDetail = ({ issue }) => {
+  const { t, formatDistance } = useTranslation();
+
+  if (issue.related?.length > 0) {
+    return (
+      <span className="text-gray-700">
+        {issue.related.map((related, index) => {
+          // Split around the outlet name, which is rendered as a link
+          const [before, after] = t('dataQuality.distanceFrom', { distance: formatDistance(related.distance) }).split('{name}');
+          return (
+            <React.Fragment key={related.id}>
+              {index > 0 && ', '}
+              {before}
+              <Link href={`/?outlet=${related.id}`} className="text-blue-700 hover:underline">
+                {related.name || t('dataQuality.unnamed', { id: related.id })}
+              </Link>
+              {after}
+            </React.Fragment>
+          );
+        })}
+      </span>
+    );
+  }
+  if (!issue.detail) return null;
+
+  const { latitude, longitude } = issue.coordinates;
+  const coordinates = `${latitude ?? t('dataQuality.noLatitude')}, ${longitude ?? t('dataQuality.noLongitude')}`;
+  return <span className="text-gray-700">{t(`dataQuality.details.${issue.detail}`, { coordinates, country: COUNTRY })}</span>;
+};
+
+export default function DataQuality({ total = 0, flagged = [], initialIssueType = null, error }) {
+  const router = useRouter();
+  const { t } = useTranslation();
+  const [issueType, setIssueType] = useState(initialIssueType);
+  const counts = useMemo(() => countIssues(flagged), [flagged]);
+  const shown = useMemo(
+    () => (issueType ? flagged.filter(({ issues }) => issues.some((issue) => issue.type === issueType)) : flagged),
+    [flagged, issueType]
+  );
+
+  // Mirrored to ?issue=<type> so a filtered list can be linked to
+  const handleIssueTypeChange = (type) => {
+    setIssueType(type);
+    const query = type ? { issue: type } : {};
+    router.replace({ pathname: router.pathname, query }, undefined, { shallow: true, scroll: false });
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <Head>
+        <title>{`${t('dataQuality.title')} | ${t('home.title')}`}</title>
+        <meta name="robots" content="noindex" />
+      </Head>
+
+      <header className="bg-white shadow-sm border-b">
+        <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 h-16 flex items-center justify-between">
+          <Link href="/" className="flex items-center space-x-3">
+            <span className="h-8 w-8 bg-red-600 rounded-full flex items-center justify-center text-white font-bold text-sm">M</span>
+            <span className="text-xl font-bold text-gray-900">{t('home.title')}</span>
+          </Link>
+          <div className="flex items-center gap-4">
+            <Link href="/" className="text-sm text-blue-700 hover:underline">
+              {t('dataQuality.backToMap')}
+            </Link>
+            <LanguageSwitcher />
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-6">
+        <section className="bg-white rounded-lg shadow-lg p-6">
+          <h1 className="text-3xl font-bold text-gray-900">{t('dataQuality.title')}</h1>
+          {error ? (
+            <p className="mt-2 text-red-700">{t('dataQuality.loadFailed', { message: error })}</p>
+          ) : (
+            <>
+              <p className="mt-2 text-gray-700">
+                {flagged.length === 0
+                  ? t('dataQuality.allFine', { count: total })
+                  : t('dataQuality.withProblems', { count: flagged.length, total })}
+              </p>
+              {flagged.length > 0 && (
+                <div className="mt-4 flex flex-wrap gap-2" role="group" aria-label={t('dataQuality.filterLabel')}>
+                  {ISSUE_TYPES.filter(({ key }) => counts[key] > 0).map(({ key }) => (
+                    <IssueBadge
+                      key={key}
+                      type={key}
+                      count={counts[key]}
+                      isActive={issueType === key}
+                      onClick={() => handleIssueTypeChange(issueType === key ? null : key)}
+                    />
+                  ))}
+                  {issueType && (
+                    <button onClick={() => handleIssueTypeChange(null)} className="px-3 py-1.5 text-sm text-blue-600 hover:underline">
+                      {t('dataQuality.showAll')}
+                    </button>
+                  )}
+                </div>
+              )}
+            </>
+          )}
+        </section>
+
+        {shown.length > 0 && (
+          <section className="bg-white rounded-lg shadow-lg">
+            <ul className="divide-y">
+              {shown.map((outlet) => (
+                <li key={outlet.id} className="p-4 flex flex-wrap items-start justify-between gap-4">
+                  <div className="min-w-0 flex-1">
+                    <Link href={`/outlets/${outlet.id}`} className="font-semibold text-blue-700 hover:underline">
+                      {outlet.name || t('dataQuality.unnamed', { id: outlet.id })}
+                    </Link>
+                    <p className="text-sm text-gray-500">{outlet.address || t('dataQuality.noAddress')}</p>
+                    <ul className="mt-2 space-y-1 text-sm">
+                      {outlet.issues.map((issue) => (
+                        <li key={issue.type} className="flex flex-wrap items-baseline gap-2">
+                          <span className={`px-2 py-0.5 text-xs font-medium rounded border ${SEVERITY_STYLES[SEVERITIES[issue.type]]}`}>
+                            {t(`dataQuality.issues.${issue.type}`, { country: COUNTRY })}
+                          </span>
+                          <IssueDetail issue={issue} />
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                  <div className="shrink-0 text-sm text-right">
+                    {outlet.isPlottable ? (
+                      <Link href={`/?outlet=${outlet.id}`} className="text-blue-700 hover:underline">
+                        {t('dataQuality.showOnMap')}
+                      </Link>
+                    ) : (
+                      <span className="text-gray-500">{t('dataQuality.notOnMap')}</span>
+                    )}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </section>
+        )}
+      </main>
+    </div>
+  );
+}
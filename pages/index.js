@@ -1,157 +1,215 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import dynamic from 'next/dynamic';
 import Head from 'next/head';
-import { API_BASE_URL, API_ENDPOINTS } from '../variables';
+import Link from 'next/link';
+import { useRouter } from 'next/router';
+import useOutletPages from '../hooks/useOutletPages';
+import useAllOutlets from '../hooks/useAllOutlets';
+import useOutletFilters from '../hooks/useOutletFilters';
+import useNow from '../hooks/useNow';
+import useUserLocation from '../hooks/useUserLocation';
+import useOutletImport from '../hooks/useOutletImport';
+import useOnlineStatus from '../hooks/useOnlineStatus';
+import useRole from '../hooks/useRole';
+import useRoutePlanner from '../hooks/useRoutePlanner';
+import useTranslation from '../hooks/useTranslation';
+import OutletList from '../components/OutletList';
+import CatchmentAnalysisPanel from '../components/CatchmentAnalysisPanel';
+import OutletFilterBar from '../components/OutletFilterBar';
+import ScrapingControls from '../components/ScrapingControls';
+import AiChatPanel from '../components/AiChatPanel';
+import NearMeControl from '../components/NearMeControl';
+import RoutePlannerPanel from '../components/RoutePlannerPanel';
+import ExportMenu from '../components/ExportMenu';
+import ImportDropZone from '../components/ImportDropZone';
+import ImportPreviewPanel from '../components/ImportPreviewPanel';
+import OfflineBanner from '../components/OfflineBanner';
+import AccountMenu from '../components/AccountMenu';
+import LanguageSwitcher from '../components/LanguageSwitcher';
+import { applyOutletFilters, countActiveFilters, countFacets, sortOutlets } from '../lib/outletFilters';
+import { distancesFrom, hasValidCoordinates } from '../lib/geo';
+import { MAP_CONFIG, LOCATION_CONFIG } from '../variables';
 
-// Dynamically import the map component to avoid SSR issues
-const OutletMap = dynamic(() => import("../components/OutletMap"), {
-  ssr: false,
-  loading: () => (
+const MapLoading = () => {
+  const { t } = useTranslation();
+  return (
     <div className="flex items-center justify-center h-96 bg-gray-100 rounded-lg">
       <div className="text-center">
         <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto"></div>
-        <p className="mt-4 text-gray-800">Loading map...</p>
+        <p className="mt-4 text-gray-800">{t('home.loadingMap')}</p>
       </div>
     </div>
-  )
+  );
+};
+
+// Dynamically import the map component to avoid SSR issues
+const OutletMap = dynamic(() => import("../components/OutletMap"), {
+  ssr: false,
+  loading: () => <MapLoading />
 });
 
 export default function Home() {
-  const [searchTerm, setSearchTerm] = useState('');
-  const [outlets, setOutlets] = useState([]);
-  const [isSearching, setIsSearching] = useState(false);
-  const [isRescraping, setIsRescraping] = useState(false);
-  const [isFetchingOutlets, setIsFetchingOutlets] = useState(false);
+  const router = useRouter();
+  const { t } = useTranslation();
   const [error, setError] = useState(null);
-  const [mapCenter, setMapCenter] = useState({ lat: 3.1390, lng: 101.6869 });
-
-  // State for AI Search
-  const [aiSearchQuery, setAiSearchQuery] = useState('');
-  const [isSearchingAI, setIsSearchingAI] = useState(false);
-  const [aiResponse, setAiResponse] = useState('');
-  const [searchError, setSearchError] = useState(null);
-
-  const handleSearch = async () => {
-    if (!searchTerm.trim()) {
-      alert('Please enter a search term.');
-      return;
-    }
-
-    setIsSearching(true);
-    setError(null);
-
-    try {
-        const response = await fetch(`${API_BASE_URL}${API_ENDPOINTS.scrapeAndSave}`, {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json',
-              'Accept': 'application/json',
-            },
-            body: JSON.stringify({
-              search_term: searchTerm,
-              overwrite_existing: false 
-            }),
-        });
-
-        if (!response.ok) {
-            const errorData = await response.json();
-            throw new Error(errorData.detail || `HTTP error! status: ${response.status}`);
-        }
-        
-        alert(`Scraping process for "${searchTerm}" started successfully! The data will be updated shortly.`);
-        await fetchOutlets(); // Refresh outlets
-    } catch (e) {
-        setError(e.message);
-        alert(`An error occurred: ${e.message}`);
-    } finally {
-        setIsSearching(false);
-    }
-  };
+  const [selectedOutletId, setSelectedOutletId] = useState(null);
+  const {
+    outlets: pagedOutlets,
+    total: totalOutlets,
+    hasMore: hasMoreOutlets,
+    isLoading: isFetchingOutlets,
+    error: outletsError,
+    loadMore: loadMoreOutlets,
+    refresh: refreshOutletPages,
+  } = useOutletPages();
+  // The list pages through the backend; the map and every analysis use the
+  // full dataset, falling back to the pages loaded so far until it arrives.
+  // Offline, the saved copy of the dataset stands in for both.
+  const {
+    outlets: allOutlets,
+    isLoaded: isDatasetLoaded,
+    error: datasetError,
+    isFromCache: isShowingSavedOutlets,
+    savedAt: outletsSavedAt,
+    refresh: refreshDataset,
+  } = useAllOutlets();
+  const outlets = isDatasetLoaded ? allOutlets : pagedOutlets;
+  const refreshOutlets = useCallback(
+    () => Promise.all([refreshOutletPages(), refreshDataset()]),
+    [refreshOutletPages, refreshDataset]
+  );
+  const isOnline = useOnlineStatus();
+
+  // Swap the saved copy for live data once the connection is back
+  const wasOnlineRef = useRef(isOnline);
+  useEffect(() => {
+    if (isOnline && !wasOnlineRef.current && isShowingSavedOutlets) refreshOutlets();
+    wasOnlineRef.current = isOnline;
+  }, [isOnline, isShowingSavedOutlets, refreshOutlets]);
+
+  // Scraping, importing and deleting are for admins; the server enforces it too
+  const { isAdmin } = useRole();
 
-  const handleAISearch = async () => {
-    if (!aiSearchQuery.trim()) {
-      alert('Please enter a question to ask the AI.');
-      return;
-    }
-
-    setIsSearchingAI(true);
-    setAiResponse('');
-    setSearchError(null);
-
-    try {
-      const response = await fetch(`${API_BASE_URL}${API_ENDPOINTS.aiSearch}`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Accept': 'application/json',
-        },
-        body: JSON.stringify({ query: aiSearchQuery }),
-      });
-
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.detail || `HTTP error! status: ${response.status}`);
-      }
-
-      const result = await response.json();
-      setAiResponse(result.response);
-
-    } catch (e) {
-      setSearchError(e.message);
-    } finally {
-      setIsSearchingAI(false);
-    }
+  // Catchment analysis shared between the map and the analysis panel
+  const [catchmentRadiusKm, setCatchmentRadiusKm] = useState(MAP_CONFIG.DEFAULT_CATCHMENT_RADIUS_KM);
+  const [overlapAnalysis, setOverlapAnalysis] = useState({ outlets: [], overlaps: new Map(), pairs: [], isComputing: false });
+
+  // One filtered set drives the list, the map markers and the counts
+  const { filters, setFilter, resetFilters } = useOutletFilters();
+  const now = useNow();
+  const isFiltered = countActiveFilters(filters) > 0;
+  const filterContext = useMemo(
+    () => ({ overlaps: overlapAnalysis.overlaps, now }),
+    [overlapAnalysis.overlaps, now]
+  );
+  const filteredOutlets = useMemo(
+    () => (isFiltered ? applyOutletFilters(outlets, filters, filterContext) : outlets),
+    [outlets, filters, filterContext, isFiltered]
+  );
+  const facetCounts = useMemo(
+    () => countFacets(outlets, filters, filterContext),
+    [outlets, filters, filterContext]
+  );
+  const visibleOutletIds = useMemo(
+    () => (isFiltered ? new Set(filteredOutlets.map((outlet) => outlet.id)) : null),
+    [filteredOutlets, isFiltered]
+  );
+
+  // The map cannot plot these; say so instead of dropping them silently
+  const unplottableCount = useMemo(
+    () => filteredOutlets.filter((outlet) => !hasValidCoordinates(outlet)).length,
+    [filteredOutlets]
+  );
+
+  // "Near me": distances from the user's position drive the list order and row labels
+  const {
+    location: userLocation,
+    isLocating,
+    error: locationError,
+    locate,
+    placePin,
+    dropPin,
+    clear: clearLocation,
+  } = useUserLocation();
+  const [searchRadiusKm, setSearchRadiusKm] = useState(LOCATION_CONFIG.DEFAULT_RADIUS_KM);
+  const [sortBy, setSortBy] = useState('name');
+  const distances = useMemo(
+    () => (userLocation ? distancesFrom(outlets, userLocation) : null),
+    [outlets, userLocation]
+  );
+  const sortedOutlets = useMemo(
+    () => sortOutlets(filteredOutlets, sortBy, distances),
+    [filteredOutlets, sortBy, distances]
+  );
+
+  // Unfiltered and by name, the list scrolls through backend pages; filtered
+  // or by distance, or from the saved copy, it shows every matching outlet
+  // from the full dataset. So does a selection past the pages loaded so far,
+  // e.g. from a /?outlet= link, so the list can scroll to it.
+  const isSelectionPaged = useMemo(() => {
+    if (selectedOutletId === null) return true;
+    const isSelected = (outlet) => String(outlet.id) === selectedOutletId;
+    return pagedOutlets.some(isSelected) || !allOutlets.some(isSelected);
+  }, [selectedOutletId, pagedOutlets, allOutlets]);
+  const isListPaged = !isFiltered && sortBy !== 'distance' && !isShowingSavedOutlets && isSelectionPaged;
+  // A failed page does not matter while the list shows the saved copy
+  const pagingError = isShowingSavedOutlets ? null : outletsError;
+  const listOutlets = useMemo(
+    () => (isListPaged ? sortOutlets(pagedOutlets, 'name') : sortedOutlets),
+    [isListPaged, pagedOutlets, sortedOutlets]
+  );
+
+  const handleLocate = () => {
+    locate();
+    setSortBy('distance');
   };
 
-  const handleRescrape = async () => {
-    if (!confirm('Are you sure you want to delete all outlets and start a new scrape? This action cannot be undone.')) {
-        return;
-    }
-
-    setIsRescraping(true);
-    setError(null);
-
-    try {
-        const response = await fetch(`${API_BASE_URL}${API_ENDPOINTS.deleteAllOutlets}`, {
-            method: 'DELETE',
-        });
-
-        if (!response.ok) {
-            const errorData = await response.json();
-            throw new Error(errorData.detail || `HTTP error! status: ${response.status}`);
-        }
-        
-        const result = await response.json();
-        alert(result.message);
-        setOutlets([]); // Clear existing outlets from view
-    } catch (e) {
-        setError(e.message);
-        alert(`An error occurred: ${e.message}`);
-    } finally {
-        setIsRescraping(false);
-    }
+  const handleDropPin = () => {
+    dropPin();
+    setSortBy('distance');
   };
 
-  const fetchOutlets = async () => {
-    setIsFetchingOutlets(true);
-    try {
-        const response = await fetch(`${API_BASE_URL}${API_ENDPOINTS.outlets}?per_page=1000`);
-        if (!response.ok) {
-            const errorData = await response.json();
-            throw new Error(errorData.detail || `HTTP error! status: ${response.status}`);
-        }
-        const data = await response.json();
-        setOutlets(data.outlets);
-    } catch (e) {
-        setError(e.message);
-    } finally {
-        setIsFetchingOutlets(false);
-    }
+  // Outlets picked for a visit, ordered from the user's position when known
+  const routePlanner = useRoutePlanner(outlets, { origin: userLocation });
+
+  const handleClearLocation = () => {
+    clearLocation();
+    setSortBy('name');
   };
 
+  // Imported files are diffed against the loaded outlets before anything is saved
+  // Rows missing from the file are only meaningful against the whole dataset
+  const outletImport = useOutletImport(allOutlets, { onSubmitted: refreshOutlets });
+  const importOverlay = useMemo(
+    () => (outletImport.showOnMap ? { entries: outletImport.entries, accepted: outletImport.accepted } : null),
+    [outletImport.showOnMap, outletImport.entries, outletImport.accepted]
+  );
+
+  // Outlets referenced in the latest AI answer, highlighted on the map and list
+  const [aiHighlightedIds, setAiHighlightedIds] = useState(() => new Set());
+
+  // Selection lives in state and is mirrored to ?outlet=<id> for shareable links
+  const handleSelectOutlet = useCallback((outletId) => {
+    const nextId = outletId === null ? null : String(outletId);
+    setSelectedOutletId(nextId);
+
+    const { outlet, ...query } = router.query;
+    if ((outlet || null) === nextId) return;
+    if (nextId) query.outlet = nextId;
+    router.replace({ pathname: router.pathname, query }, undefined, { shallow: true, scroll: false });
+  }, [router]);
+
+  // Only clear if the closing popup still belongs to the current selection
+  const handleDeselectOutlet = useCallback((outletId) => {
+    if (String(outletId) === selectedOutletId) handleSelectOutlet(null);
+  }, [selectedOutletId, handleSelectOutlet]);
+
+  // Restore the selection from a shared link, and follow back/forward navigation
+  const { outlet: outletParam } = router.query;
   useEffect(() => {
-    fetchOutlets();
-  }, []);
+    if (!router.isReady) return;
+    setSelectedOutletId(typeof outletParam === 'string' && outletParam ? outletParam : null);
+  }, [router.isReady, outletParam]);
 
   return (
     <div className="min-h-screen bg-gray-50">
@@ -165,152 +223,194 @@ export default function Home() {
                   <span className="text-white font-bold text-sm">M</span>
                 </div>
                 <h1 className="text-2xl font-bold text-gray-900">
-                  McDonald&apos;s Outlet Locators
+                  {t('home.title')}
                 </h1>
               </div>
             </div>
+            <div className="flex items-center gap-4">
+              <Link href="/data-quality" className="text-sm text-gray-700 hover:text-blue-700 hover:underline">
+                {t('home.dataQuality')}
+              </Link>
+              <LanguageSwitcher />
+              <AccountMenu />
+            </div>
           </div>
         </div>
       </header>
 
       {/* Main Content */}
       <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <OfflineBanner
+          isOnline={isOnline}
+          isShowingSaved={isShowingSavedOutlets}
+          savedAt={outletsSavedAt}
+          onRetry={refreshOutlets}
+        />
+
         {/* Welcome Section */}
         <div className="bg-white rounded-lg shadow-lg p-6 mb-8">
           <div className="text-center">
             <h2 className="text-3xl font-bold text-gray-900 mb-4">
-              Find McDonald&apos;s Outlets Near You
+              {t('home.heroTitle')}
             </h2>
             <p className="text-gray-800 text-lg">
-              Use the AI-powered search to ask questions about outlets, or explore locations on the interactive map below.
+              {t('home.heroText')}
             </p>
           </div>
         </div>
 
         {/* AI Search Section */}
-        <div className="bg-white rounded-lg shadow-lg p-6 mb-8">
-          <h3 className="text-xl font-semibold text-gray-900 mb-4">
-            AI-Powered Search
-          </h3>
-          <div className="flex items-center space-x-4">
-            <input
-              type="text"
-              value={aiSearchQuery}
-              onChange={(e) => setAiSearchQuery(e.target.value)}
-              onKeyPress={(e) => e.key === 'Enter' && handleAISearch()}
-              placeholder="Ask a question, e.g., 'Which outlets have a drive-thru?'"
-              className="flex-grow p-3 border text-black border-gray-300 rounded-lg focus:ring-purple-500 focus:border-purple-500"
-            />
-            <button
-              onClick={handleAISearch}
-              disabled={isSearchingAI}
-              className="px-6 py-3 bg-purple-600 text-white font-semibold rounded-lg shadow-md hover:bg-purple-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors"
-            >
-              {isSearchingAI ? 'Thinking...' : 'Ask AI'}
-            </button>
-          </div>
-          {isSearchingAI && (
-            <div className="mt-4 text-center p-4 bg-gray-50 rounded-lg">
-              <p className="text-gray-700">The AI is thinking... please wait.</p>
-            </div>
-          )}
-          {searchError && (
-            <div className="mt-4 p-4 bg-red-100 border border-red-400 text-red-700 rounded-lg">
-              <p><span className="font-bold">Error:</span> {searchError}</p>
-            </div>
-          )}
-          {aiResponse && (
-            <div className="mt-4 p-4 bg-blue-50 border border-blue-200 rounded-lg">
-              <p className="text-gray-800 whitespace-pre-wrap">{aiResponse}</p>
-            </div>
-          )}
-        </div>
+        <AiChatPanel
+          outlets={outlets}
+          onSelectOutlet={handleSelectOutlet}
+          onHighlightOutlets={setAiHighlightedIds}
+        />
 
         {/* Controls Section */}
-        <div className="bg-white rounded-lg shadow-lg p-6 mb-8">
-          <h3 className="text-xl font-semibold text-gray-900 mb-4">
-            Scraping Controls
-          </h3>
-          <div className="flex items-center space-x-4">
-            <input
-              type="text"
-              value={searchTerm}
-              onChange={(e) => setSearchTerm(e.target.value)}
-              onKeyPress={(e) => e.key === 'Enter' && handleSearch()}
-              placeholder="Enter a location to scrape (e.g., &quot;Kuala Lumpur&quot;)"
-              className="flex-grow p-3 border text-black border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
-            />
-            <button
-              onClick={handleSearch}
-              disabled={isSearching || isRescraping}
-              className="px-6 py-3 bg-blue-600 text-white font-semibold rounded-lg shadow-md hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors"
-            >
-              {isSearching ? 'Scraping...' : 'Search & Scrape'}
-            </button>
-            <button
-              onClick={handleRescrape}
-              disabled={isSearching || isRescraping}
-              className="px-6 py-3 bg-red-600 text-white font-semibold rounded-lg shadow-md hover:bg-red-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors"
-            >
-              {isRescraping ? 'Deleting...' : 'Delete All & Rescrape'}
-            </button>
-          </div>
-        </div>
+        {isAdmin && <ScrapingControls onDataChanged={refreshOutlets} onError={setError} />}
 
         {/* Status Messages */}
-        {error && (
+        {(error || pagingError || datasetError) && (
           <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg relative mb-6" role="alert">
-            <strong className="font-bold">An error occurred:</strong>
-            <span className="block sm:inline"> {error}</span>
+            <strong className="font-bold">{t('home.errorTitle')}</strong>
+            <span className="block sm:inline"> {error || pagingError || datasetError}</span>
           </div>
         )}
 
-        {isFetchingOutlets && (
+        {isFetchingOutlets && outlets.length === 0 && (
           <div className="text-center p-4 bg-gray-100 rounded-lg">
-            <p className="text-gray-800">Loading outlets, please wait...</p>
+            <p className="text-gray-800">{t('home.loadingOutlets')}</p>
           </div>
         )}
 
+        <OutletFilterBar
+          filters={filters}
+          onFilterChange={setFilter}
+          onReset={resetFilters}
+          facetCounts={facetCounts}
+          matchCount={filteredOutlets.length}
+          totalCount={outlets.length}
+        >
+          <ExportMenu
+            outlets={sortedOutlets}
+            catchmentRadiusKm={catchmentRadiusKm}
+            overlaps={overlapAnalysis.isComputing ? null : overlapAnalysis.overlaps}
+          />
+          {isAdmin && <ImportDropZone onFile={outletImport.loadFile} disabled={!isDatasetLoaded || outletImport.isSubmitting} />}
+        </OutletFilterBar>
+
+        <ImportPreviewPanel
+          file={outletImport.file}
+          entries={outletImport.entries}
+          accepted={outletImport.accepted}
+          acceptedCount={outletImport.acceptedCount}
+          showOnMap={outletImport.showOnMap}
+          onShowOnMapChange={outletImport.setShowOnMap}
+          onAcceptedChange={outletImport.setRowsAccepted}
+          onSubmit={outletImport.submit}
+          onDiscard={outletImport.discard}
+          onSelectOutlet={handleSelectOutlet}
+          isSubmitting={outletImport.isSubmitting}
+          error={outletImport.error}
+          result={outletImport.result}
+        />
+
+        <NearMeControl
+          location={userLocation}
+          isLocating={isLocating}
+          error={locationError}
+          radiusKm={searchRadiusKm}
+          onRadiusChange={setSearchRadiusKm}
+          onLocate={handleLocate}
+          onDropPin={handleDropPin}
+          onClear={handleClearLocation}
+          outlets={filteredOutlets}
+          distances={distances}
+          onSelectOutlet={handleSelectOutlet}
+        />
+
+        <RoutePlannerPanel
+          route={routePlanner.route}
+          origin={routePlanner.origin}
+          canStartFromOrigin={Boolean(userLocation)}
+          startFromOrigin={routePlanner.startFromOrigin}
+          onStartFromOriginChange={routePlanner.setStartFromOrigin}
+          pendingCount={routePlanner.pendingCount}
+          isFull={routePlanner.isFull}
+          onRemoveStop={routePlanner.toggleStop}
+          onSelectOutlet={handleSelectOutlet}
+          onClear={routePlanner.clearStops}
+        />
+
         {/* Map and Outlet List */}
         <div className="grid grid-cols-1 md:grid-cols-3 gap-8">
           {/* Outlet List */}
-          <div className="md:col-span-1 bg-white rounded-lg shadow-lg p-4 overflow-y-auto h-[70vh]">
-            <h3 className="text-xl font-semibold text-gray-900 mb-4 sticky top-0 bg-white pb-3 border-b">
-              Available Outlets ({outlets.length})
-            </h3>
-            {outlets.length > 0 ? (
-              <ul className="space-y-4">
-                {outlets.map((outlet, index) => (
-                  <li 
-                    key={index} 
-                    className="p-4 border rounded-lg hover:bg-gray-100 cursor-pointer transition-colors"
-                    onClick={() => setMapCenter({ lat: outlet.latitude, lng: outlet.longitude })}
-                  >
-                    <p className="font-bold text-lg text-gray-800">{outlet.name}</p>
-                    <p className="text-sm text-gray-600">{outlet.address}</p>
-                    <div className="mt-2 text-xs text-gray-500">
-                      <span>Lat: {outlet.latitude.toFixed(4)}</span> | <span>Lng: {outlet.longitude.toFixed(4)}</span>
-                    </div>
-                  </li>
-                ))}
-              </ul>
-            ) : (
-              <p className="text-gray-600 mt-4 text-center">No outlets found. Try scraping a new location.</p>
-            )}
+          <div className="md:col-span-1">
+            <OutletList
+              outlets={listOutlets}
+              total={isListPaged ? totalOutlets : listOutlets.length}
+              hasMore={isListPaged && hasMoreOutlets}
+              isLoading={isFetchingOutlets}
+              onLoadMore={loadMoreOutlets}
+              selectedOutletId={selectedOutletId}
+              onSelectOutlet={handleSelectOutlet}
+              highlightedOutletIds={aiHighlightedIds}
+              routeStopNumbers={routePlanner.stopNumbers}
+              onToggleRouteStop={routePlanner.toggleStop}
+              now={now}
+              distances={distances}
+              sortBy={sortBy}
+              onSortChange={setSortBy}
+              emptyMessage={isFiltered ? t('home.noFilterMatch') : undefined}
+            />
           </div>
 
           {/* Map */}
           <div className="md:col-span-2 rounded-lg shadow-lg overflow-hidden h-[70vh]">
-            <OutletMap outlets={outlets} center={mapCenter} />
+            {unplottableCount > 0 && (
+              <p className="px-4 py-2 bg-yellow-50 border-b border-yellow-200 text-sm text-yellow-800">
+                {t('home.unplottable', { count: unplottableCount })}{' '}
+                <Link href="/data-quality?issue=invalid_coordinates" className="font-medium underline">{t('home.review')}</Link>
+              </p>
+            )}
+            <OutletMap
+              outlets={outlets}
+              visibleOutletIds={visibleOutletIds}
+              selectedOutletId={selectedOutletId}
+              onSelectOutlet={handleSelectOutlet}
+              onDeselectOutlet={handleDeselectOutlet}
+              catchmentRadiusKm={catchmentRadiusKm}
+              onOverlapsChange={setOverlapAnalysis}
+              highlightedOutletIds={aiHighlightedIds}
+              userLocation={userLocation}
+              searchRadiusKm={searchRadiusKm}
+              onUserLocationMove={placePin}
+              importOverlay={importOverlay}
+              route={routePlanner.route}
+              routeOrigin={routePlanner.origin}
+              routeStopNumbers={routePlanner.stopNumbers}
+              onToggleRouteStop={routePlanner.toggleStop}
+              now={now}
+            />
           </div>
         </div>
+
+        <CatchmentAnalysisPanel
+          outlets={overlapAnalysis.outlets}
+          overlaps={overlapAnalysis.overlaps}
+          pairs={overlapAnalysis.pairs}
+          isComputing={overlapAnalysis.isComputing}
+          radiusKm={catchmentRadiusKm}
+          onRadiusChange={setCatchmentRadiusKm}
+          onSelectOutlet={handleSelectOutlet}
+        />
       </main>
 
       {/* Footer */}
       <footer className="bg-white border-t mt-12">
         <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
           <div className="text-center text-gray-800">
-            <p>&copy; 2024 McDonald&apos;s Outlet Application. Built with Next.js.</p>
+            <p>{t('home.footer')}</p>
           </div>
         </div>
       </footer>
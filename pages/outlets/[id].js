@@ -0,0 +1,269 @@
+import React, { useState, useEffect } from 'react';
+import dynamic from 'next/dynamic';
+import Head from 'next/head';
+import Link from 'next/link';
+import OutletHours from '../../components/OutletHours';
+import LanguageSwitcher from '../../components/LanguageSwitcher';
+import useNow from '../../hooks/useNow';
+import useTranslation from '../../hooks/useTranslation';
+import { getAllOutlets } from '../../lib/apiClient';
+import { hasValidCoordinates, rankByDistance } from '../../lib/geo';
+import { sharedCatchmentFraction } from '../../lib/catchmentAnalysis';
+import { createTtlCache } from '../../lib/ttlCache';
+import { googleMapsUrl, wazeUrl } from '../../lib/mapLinks';
+import { MAP_CONFIG, DETAIL_CONFIG } from '../../variables';
+
+const MapLoading = () => {
+  const { t } = useTranslation();
+  return (
+    <div className="flex items-center justify-center h-72 bg-gray-100 rounded-lg">
+      <p className="text-gray-800">{t('home.loadingMap')}</p>
+    </div>
+  );
+};
+
+const OutletDetailMap = dynamic(() => import('../../components/OutletDetailMap'), {
+  ssr: false,
+  loading: () => <MapLoading />,
+});
+
+// Only what the page renders is sent to the browser
+const summarize = ({ outlet, distance }) => ({
+  id: outlet.id,
+  name: outlet.name,
+  address: outlet.address ?? null,
+  latitude: outlet.latitude,
+  longitude: outlet.longitude,
+  distance,
+});
+
+// Nearby outlets need the whole dataset, so one load serves every outlet
+// page for a while instead of paging through the backend on each view.
+// The promise is cached, so concurrent renders share a load in flight.
+const datasetCache = createTtlCache({ ttlMs: DETAIL_CONFIG.DATASET_CACHE_TTL_MS, maxEntries: 1 });
+const loadOutlets = () => {
+  let pending = datasetCache.get('outlets');
+  if (!pending) {
+    pending = getAllOutlets().catch((e) => {
+      datasetCache.clear();
+      throw e;
+    });
+    datasetCache.set('outlets', pending);
+  }
+  return pending;
+};
+
+export async function getServerSideProps({ params, res, locale, defaultLocale }) {
+  let outlets;
+  try {
+    outlets = await loadOutlets();
+  } catch (e) {
+    res.statusCode = e.status || 502;
+    return { props: { error: e.message } };
+  }
+
+  const outlet = outlets.find((item) => String(item.id) === params.id);
+  if (!outlet) return { notFound: true };
+
+  const catchmentRadiusKm = MAP_CONFIG.DEFAULT_CATCHMENT_RADIUS_KM;
+  const others = hasValidCoordinates(outlet)
+    ? rankByDistance(
+      outlets.filter((item) => item.id !== outlet.id && hasValidCoordinates(item)),
+      outlet
+    )
+    : [];
+
+  // Unfurl bots refetch often; a short shared cache spares the backend
+  res.setHeader('Cache-Control', 'public, s-maxage=60, stale-while-revalidate=300');
+
+  return {
+    props: {
+      outlet,
+      nearby: others.slice(0, DETAIL_CONFIG.NEARBY_COUNT).map(summarize),
+      overlaps: others
+        .filter(({ distance }) => distance < catchmentRadiusKm * 2)
+        .map((entry) => ({
+          ...summarize(entry),
+          sharedFraction: sharedCatchmentFraction(entry.distance, catchmentRadiusKm),
+        })),
+      catchmentRadiusKm,
+      // Never from Host or X-Forwarded-*: the page is cached and shared
+      pageUrl: DETAIL_CONFIG.SITE_URL
+        ? `${DETAIL_CONFIG.SITE_URL}${locale && locale !== defaultLocale ? `/${locale}` : ''}/outlets/${encodeURIComponent(params.id)}`
+        : null,
+      origin: DETAIL_CONFIG.SITE_URL || null,
+    },
+  };
+}
+
+const OutletLinkList = ({ items, renderExtra }) => {
+  const { formatDistance } = useTranslation();
+  return (
+    <ul className="divide-y">
+      {items.map((item) => (
+        <li key={item.id} className="py-2 flex items-baseline justify-between gap-4">
+          <div className="min-w-0">
+            <Link href={`/outlets/${item.id}`} className="font-medium text-blue-700 hover:underline">
+              {item.name}
+            </Link>
+            {item.address && <p className="text-sm text-gray-500 truncate">{item.address}</p>}
+          </div>
+          <div className="shrink-0 text-sm text-right text-gray-700">
+            <span className="font-semibold">{formatDistance(item.distance)}</span>
+            {renderExtra?.(item)}
+          </div>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default function OutletDetail({ outlet, nearby, overlaps, catchmentRadiusKm, pageUrl, origin, error }) {
+  const { t, formatNumber } = useTranslation();
+  const now = useNow();
+  // The open/closed badge depends on the visitor's clock, so it waits for hydration
+  const [isHydrated, setIsHydrated] = useState(false);
+  useEffect(() => setIsHydrated(true), []);
+
+  const siteName = t('home.title');
+  if (error) {
+    return (
+      <main className="max-w-3xl mx-auto px-4 py-16 text-center">
+        <Head>
+          <title>{`${t('outletPage.unavailable')} | ${siteName}`}</title>
+        </Head>
+        <h1 className="text-2xl font-bold text-gray-900">{t('outletPage.loadFailed')}</h1>
+        <p className="mt-2 text-gray-600">{error}</p>
+        <Link href="/" className="mt-6 inline-block text-blue-700 hover:underline">{t('outletPage.backToAll')}</Link>
+      </main>
+    );
+  }
+
+  const hasCoordinates = hasValidCoordinates(outlet);
+  const title = `${outlet.name} | ${siteName}`;
+  const description = [
+    outlet.address,
+    outlet.telephone && t('outletPage.description.telephone', { telephone: outlet.telephone }),
+    overlaps.length > 0 && t('outletPage.description.overlaps', { count: overlaps.length, radius: catchmentRadiusKm }),
+  ].filter(Boolean).join(' · ') || t('outletPage.description.fallback', { name: outlet.name });
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <Head>
+        <title>{title}</title>
+        <meta name="description" content={description} />
+        {pageUrl && <link rel="canonical" href={pageUrl} />}
+        <meta property="og:type" content="place" />
+        <meta property="og:site_name" content={siteName} />
+        <meta property="og:title" content={outlet.name} />
+        <meta property="og:description" content={description} />
+        {pageUrl && <meta property="og:url" content={pageUrl} />}
+        {origin && <meta property="og:image" content={`${origin}/icons/icon-512.png`} />}
+        {hasCoordinates && <meta property="place:location:latitude" content={String(outlet.latitude)} />}
+        {hasCoordinates && <meta property="place:location:longitude" content={String(outlet.longitude)} />}
+        <meta name="twitter:card" content="summary" />
+      </Head>
+
+      <header className="bg-white shadow-sm border-b">
+        <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 h-16 flex items-center justify-between">
+          <Link href="/" className="flex items-center space-x-3">
+            <span className="h-8 w-8 bg-red-600 rounded-full flex items-center justify-center text-white font-bold text-sm">M</span>
+            <span className="text-xl font-bold text-gray-900">{siteName}</span>
+          </Link>
+          <div className="flex items-center gap-4">
+            <Link href={`/?outlet=${outlet.id}`} className="text-sm text-blue-700 hover:underline">
+              {t('outletPage.showOnMainMap')}
+            </Link>
+            <LanguageSwitcher />
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-6">
+        <section className="bg-white rounded-lg shadow-lg p-6">
+          <h1 className="text-3xl font-bold text-gray-900">{outlet.name}</h1>
+          <div className="mt-4 grid gap-6 md:grid-cols-2 text-sm">
+            <div className="space-y-3">
+              <div>
+                <span className="font-semibold text-gray-700">{t('outletPage.address')}</span>
+                <p className="text-gray-600">{outlet.address || t('outletPage.notAvailable')}</p>
+              </div>
+              {outlet.telephone && (
+                <div>
+                  <span className="font-semibold text-gray-700">{t('outletPage.phone')}</span>
+                  <p>
+                    <a href={`tel:${outlet.telephone.replace(/[^\d+]/g, '')}`} className="text-blue-700 hover:underline">
+                      {outlet.telephone}
+                    </a>
+                  </p>
+                </div>
+              )}
+              {hasCoordinates && (
+                <div className="flex flex-wrap gap-2 pt-1">
+                  <a
+                    href={googleMapsUrl(outlet)}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="inline-flex items-center px-3 py-1.5 bg-green-600 text-white text-xs rounded-md hover:bg-green-700 transition-colors"
+                  >
+                    {t('outletPage.openInGoogleMaps')}
+                  </a>
+                  <a
+                    href={wazeUrl(outlet)}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="inline-flex items-center px-3 py-1.5 bg-blue-600 text-white text-xs rounded-md hover:bg-blue-700 transition-colors"
+                  >
+                    {t('outletPage.openInWaze')}
+                  </a>
+                </div>
+              )}
+            </div>
+            <OutletHours hours={outlet.operating_hours} now={isHydrated ? now : null} />
+          </div>
+        </section>
+
+        {hasCoordinates && (
+          <OutletDetailMap
+            outlet={outlet}
+            nearby={nearby}
+            catchmentRadiusKm={catchmentRadiusKm}
+            hasOverlaps={overlaps.length > 0}
+          />
+        )}
+
+        <div className="grid gap-6 md:grid-cols-2">
+          <section className="bg-white rounded-lg shadow-lg p-6">
+            <h2 className="text-xl font-semibold text-gray-900 mb-2">{t('outletPage.nearbyTitle')}</h2>
+            {nearby.length > 0 ? (
+              <OutletLinkList items={nearby} />
+            ) : (
+              <p className="text-sm text-gray-500">{t('outletPage.noNearby')}</p>
+            )}
+          </section>
+
+          <section className="bg-white rounded-lg shadow-lg p-6">
+            <h2 className="text-xl font-semibold text-gray-900 mb-2">
+              {t('outletPage.overlapsTitle')}{' '}
+              <span className="text-sm font-normal text-gray-500">{t('outletPage.radius', { radius: catchmentRadiusKm })}</span>
+            </h2>
+            {overlaps.length > 0 ? (
+              <OutletLinkList
+                items={overlaps}
+                renderExtra={(item) => (
+                  <span className="block text-xs text-gray-500">
+                    {t('outletPage.shared', { percent: formatNumber(item.sharedFraction, { style: 'percent', maximumFractionDigits: 0 }) })}
+                  </span>
+                )}
+              />
+            ) : (
+              <p className="text-sm text-gray-500">
+                {hasCoordinates ? t('outletPage.noOverlaps') : t('outletPage.noCoordinates')}
+              </p>
+            )}
+          </section>
+        </div>
+      </main>
+    </div>
+  );
+}
@@ -0,0 +1,107 @@
+import React, { useState } from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+import { useRouter } from 'next/router';
+import { signIn } from 'next-auth/react';
+import LanguageSwitcher from '../components/LanguageSwitcher';
+import useTranslation from '../hooks/useTranslation';
+import { isSignInRequired } from '../lib/auth';
+
+// Only same-site paths, so the sign-in form cannot redirect elsewhere
+const safeCallbackUrl = (value) => (
+  typeof value === 'string' && value.startsWith('/') && !value.startsWith('//') ? value : '/'
+);
+
+// NextAuth error codes, and the ones thrown by authorize(), shown as sentences
+const ERROR_MESSAGES = {
+  CredentialsSignin: 'signIn.errors.credentials',
+  SessionRequired: 'signIn.errors.sessionRequired',
+  TooManyAttempts: 'signIn.errors.tooManyAttempts',
+};
+const GENERIC_ERROR = 'signIn.errors.generic';
+
+export async function getServerSideProps() {
+  return { props: { canBrowseSignedOut: !isSignInRequired() } };
+}
+
+export default function SignIn({ canBrowseSignedOut }) {
+  const router = useRouter();
+  const { t } = useTranslation();
+  const callbackUrl = safeCallbackUrl(router.query.callbackUrl);
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const errorKey = error ?? (router.query.error ? ERROR_MESSAGES[router.query.error] ?? GENERIC_ERROR : null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setError(null);
+    const result = await signIn('credentials', { username, password, redirect: false });
+    if (result?.ok) {
+      router.replace(callbackUrl);
+      return;
+    }
+    setError(ERROR_MESSAGES[result?.error] ?? GENERIC_ERROR);
+    setIsSubmitting(false);
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center px-4">
+      <Head>
+        <title>{`${t('signIn.title')} | ${t('home.title')}`}</title>
+      </Head>
+      <form onSubmit={handleSubmit} className="w-full max-w-sm bg-white rounded-lg shadow-lg p-6 space-y-4">
+        <div className="flex items-center justify-between gap-3">
+          <div className="flex items-center space-x-3">
+            <div className="h-8 w-8 bg-red-600 rounded-full flex items-center justify-center">
+              <span className="text-white font-bold text-sm">M</span>
+            </div>
+            <h1 className="text-xl font-bold text-gray-900">{t('signIn.title')}</h1>
+          </div>
+          <LanguageSwitcher />
+        </div>
+        {errorKey && (
+          <p className="bg-red-100 border border-red-400 text-red-700 px-3 py-2 rounded-lg text-sm" role="alert">
+            {t(errorKey)}
+          </p>
+        )}
+        <label className="block text-sm font-medium text-gray-700">
+          {t('signIn.username')}
+          <input
+            type="text"
+            autoComplete="username"
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+            required
+            className="mt-1 w-full p-2 border text-black border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
+          />
+        </label>
+        <label className="block text-sm font-medium text-gray-700">
+          {t('signIn.password')}
+          <input
+            type="password"
+            autoComplete="current-password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            required
+            className="mt-1 w-full p-2 border text-black border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
+          />
+        </label>
+        <button
+          type="submit"
+          disabled={isSubmitting}
+          className="w-full px-4 py-2 bg-blue-600 text-white font-semibold rounded-lg shadow-md hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors"
+        >
+          {isSubmitting ? t('signIn.submitting') : t('signIn.submit')}
+        </button>
+        {canBrowseSignedOut && (
+          <Link href="/" className="block text-center text-sm text-blue-700 hover:underline">
+            {t('signIn.continueSignedOut')}
+          </Link>
+        )}
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,39 @@
+import { defineConfig, devices } from '@playwright/test';
+
+// End-to-end smoke tests against `next dev` backed by the mock API.
+// Browsers are installed once with `npx playwright install chromium`.
+const MOCK_API_PORT = 8010;
+const APP_PORT = 3010;
+
+export default defineConfig({
+  testDir: './e2e',
+  timeout: 60 * 1000,
+  retries: process.env.CI ? 1 : 0,
+  reporter: process.env.CI ? 'line' : 'list',
+  use: {
+    baseURL: `http://localhost:${APP_PORT}`,
+    trace: 'retain-on-failure',
+  },
+  projects: [
+    { name: 'chromium', use: { ...devices['Desktop Chrome'] } },
+  ],
+  webServer: [
+    {
+      command: 'node mock/server.mjs',
+      url: `http://localhost:${MOCK_API_PORT}/outlets`,
+      env: { MOCK_API_PORT: String(MOCK_API_PORT), MOCK_SCRAPE_STEP_MS: '50' },
+      reuseExistingServer: !process.env.CI,
+    },
+    {
+      command: `npx next dev --port ${APP_PORT}`,
+      url: `http://localhost:${APP_PORT}`,
+      env: {
+        API_BASE_URL: `http://localhost:${MOCK_API_PORT}`,
+        NEXTAUTH_URL: `http://localhost:${APP_PORT}`,
+        NEXTAUTH_SECRET: 'e2e-only-secret',
+      },
+      timeout: 180 * 1000,
+      reuseExistingServer: !process.env.CI,
+    },
+  ],
+});
@@ -0,0 +1,108 @@
+/* Service worker: offline app shell and map tile cache.
+ * Outlet data is not cached here; the page keeps the last dataset in
+ * IndexedDB (see lib/outletCache.js) so it can show when it was saved.
+ */
+
+const VERSION = 'v3';
+const SHELL_CACHE = `shell-${VERSION}`;
+const PAGES_CACHE = `pages-${VERSION}`; // pages visited, for offline reloads
+const STATIC_CACHE = `static-${VERSION}`;
+const TILE_CACHE = 'tiles'; // kept across versions, tiles do not depend on the app
+const MAX_PAGES = 50; // one per outlet page visited, so they are capped too
+const MAX_STATIC = 300; // every build adds new hashed assets; old ones age out
+const MAX_TILES = 3000; // ~40 MB of 256px PNG tiles; the oldest are evicted first
+
+const SHELL_URLS = [
+  '/',
+  '/ms', // Bahasa Malaysia
+  '/manifest.webmanifest',
+  '/icons/icon.svg',
+  '/icons/icon-192.png',
+];
+
+// z/x/y tile paths from any XYZ tile server, including retina (@2x) tiles
+const TILE_PATTERN = /\/\d+\/\d+\/\d+(@2x)?\.(png|jpe?g|webp)(\?.*)?$/i;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then((cache) => cache.addAll(SHELL_URLS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+// Caches of earlier versions, whatever their kind, are deleted
+self.addEventListener('activate', (event) => {
+  const current = [SHELL_CACHE, PAGES_CACHE, STATIC_CACHE, TILE_CACHE];
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(keys.filter((key) => !current.includes(key)).map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Listing a large cache is slow, so trimming only runs every TRIM_EVERY puts
+// to a cache, or every tenth of its limit for small ones
+const TRIM_EVERY = 50;
+const putsSinceTrim = new Map();
+
+const trimCache = async (name, maxEntries) => {
+  const cache = await caches.open(name);
+  const keys = await cache.keys(); // insertion order, oldest first
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map((key) => cache.delete(key)));
+};
+
+// Stores a response and trims the cache to maxEntries now and then
+const putCapped = async (cacheName, request, response, maxEntries) => {
+  const cache = await caches.open(cacheName);
+  // Re-added at the end, so pages visited again are the last to go
+  await cache.delete(request);
+  await cache.put(request, response);
+  const puts = (putsSinceTrim.get(cacheName) ?? 0) + 1;
+  const isTrimDue = puts >= Math.min(TRIM_EVERY, maxEntries / 10);
+  putsSinceTrim.set(cacheName, isTrimDue ? 0 : puts);
+  if (isTrimDue) trimCache(cacheName, maxEntries);
+};
+
+// Pages: the network when it answers, otherwise the last copy (or the shell)
+const networkFirst = async (request) => {
+  try {
+    const response = await fetch(request);
+    if (response.ok) putCapped(PAGES_CACHE, request, response.clone(), MAX_PAGES);
+    return response;
+  } catch (e) {
+    const pages = await caches.open(PAGES_CACHE);
+    const shell = await caches.open(SHELL_CACHE);
+    const cached = await pages.match(request, { ignoreSearch: true })
+      || await shell.match(request, { ignoreSearch: true })
+      || await shell.match('/');
+    if (cached) return cached;
+    throw e;
+  }
+};
+
+// Hashed build assets and tiles never change under the same URL
+const cacheFirst = async (request, cacheName, maxEntries) => {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) await putCapped(cacheName, request, response.clone(), maxEntries);
+  return response;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request));
+  } else if (url.origin === self.location.origin && (url.pathname.startsWith('/_next/static/') || url.pathname.startsWith('/icons/'))) {
+    event.respondWith(cacheFirst(request, STATIC_CACHE, MAX_STATIC));
+  } else if (request.destination === 'image' && TILE_PATTERN.test(url.pathname + url.search)) {
+    event.respondWith(cacheFirst(request, TILE_CACHE, MAX_TILES));
+  }
+  // Everything else, including API calls, goes straight to the network
+});
@@ -0,0 +1,12 @@
+// Prints an scrypt hash for AUTH_USERS, so plain passwords stay out of the environment.
+// Usage: npm run hash-password -- <password>
+import { randomBytes, scryptSync } from 'node:crypto';
+
+const password = process.argv[2];
+if (!password) {
+  console.error('Usage: npm run hash-password -- <password>');
+  process.exit(1);
+}
+
+const salt = randomBytes(16).toString('hex');
+console.log(`scrypt:${salt}:${scryptSync(password, salt, 64).toString('hex')}`);
@@ -1,22 +1,161 @@
-export const API_BASE_URL = 'https://mcdonalds-outlet-scraper-fa-i5uhv.sevalla.app';
+// Backend URL, used on the server only: the browser goes through the
+// same-origin proxy at PROXY_CONFIG.BASE_PATH (pages/api/backend)
+export const API_BASE_URL = process.env.API_BASE_URL || 'http://localhost:8000';
 
 export const API_ENDPOINTS = {
   scrapeAndSave: '/save-outlets',
   outlets: `/outlets`,
   deleteAllOutlets: '/outlets',
+  deleteOutlet: '/outlets', // DELETE /outlets/{outlet_id}
   aiSearch: '/api/v1/search',
+  scrapeJob: '/scrape-jobs', // GET /scrape-jobs/{job_id}
+};
+
+// API Client Configuration
+export const API_CONFIG = {
+  TIMEOUT: Number(process.env.NEXT_PUBLIC_API_TIMEOUT) || 30000,
+  MAX_RETRIES: 2,
+  RETRY_DELAY: 500 // ms, doubled on every retry
+};
+
+// API Proxy (pages/api/backend)
+export const PROXY_CONFIG = {
+  BASE_PATH: '/api/backend',
+  OUTLETS_CACHE_TTL_MS: 15 * 1000, // GET /outlets responses are shared for this long
+  OUTLETS_CACHE_MAX_ENTRIES: 100,
+  AI_SEARCH_RATE_LIMIT: 10, // AI searches per client...
+  AI_SEARCH_RATE_WINDOW_MS: 60 * 1000, // ...per minute
+  // Reverse proxies in front of the app that append to X-Forwarded-For. With 0 the
+  // forwarded headers are ignored, as any client can send them.
+  TRUSTED_PROXY_HOPS: Number(process.env.TRUSTED_PROXY_HOPS) || 0
+};
+
+// Access Control
+export const AUTH_CONFIG = {
+  ROLES: ['viewer', 'admin'],
+  ADMIN_ROLE: 'admin', // may scrape, import and delete; viewers only browse and ask the AI
+  ANONYMOUS_ROLE: 'viewer', // signed-out visitors, unless AUTH_REQUIRE_SIGN_IN is set
+  SIGN_IN_PATH: '/signin',
+  SIGN_IN_ATTEMPTS: 5, // sign-in attempts per username and client...
+  SIGN_IN_WINDOW_MS: 5 * 60 * 1000 // ...per 5 minutes
+};
+
+// Scrape Job Tracking
+export const JOBS_CONFIG = {
+  POLL_INTERVAL_MS: 3000,
+  TIMEOUT_MS: 10 * 60 * 1000, // give up on a job after 10 minutes
+  IDLE_TIMEOUT_MS: 2 * 60 * 1000, // no new outlets for this long counts as done
+  STABLE_POLLS: 3, // unchanged outlet counts in a row that count as done
+  MAX_JOBS: 20, // finished jobs kept in the panel
+  STORAGE_KEY: 'mcd-outlets:scrape-jobs'
 };
 
 // Map Configuration
 export const MAP_CONFIG = {
   DEFAULT_CENTER: [3.1390, 101.6869], // Kuala Lumpur, Malaysia
   DEFAULT_ZOOM: 11,
+  SELECTED_ZOOM: 15, // minimum zoom when flying to a selected outlet
+  FLY_TO_DURATION: 1.2, // seconds
+  CLUSTER_RADIUS: 60, // px, markers closer than this on screen are clustered
+  CLUSTER_MAX_ZOOM: 16, // above this zoom every outlet is shown individually
+  CATCHMENT_MIN_ZOOM: 12, // catchment circles are only drawn from this zoom in
+  VIEWPORT_PADDING: 0.25, // fraction of the viewport rendered beyond each edge
+  DEFAULT_CATCHMENT_RADIUS_KM: 5,
+  CATCHMENT_RADIUS_OPTIONS_KM: [1, 3, 5, 10],
+  OVERLAP_WORKER_THRESHOLD: 500, // outlet count from which overlaps are computed in a Web Worker
   MAX_OUTLETS_PER_REQUEST: 1000
 };
 
+// Map Layers
+const OSM_ATTRIBUTION = '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors';
+const CARTO_ATTRIBUTION = `${OSM_ATTRIBUTION} &copy; <a href="https://carto.com/attributions">CARTO</a>`;
+
+// Optional self-hosted tile server for internal deployments, e.g. http://tiles.internal/{z}/{x}/{y}.png
+const CUSTOM_TILE_LAYER = process.env.NEXT_PUBLIC_TILE_URL ? [{
+  key: 'custom',
+  name: process.env.NEXT_PUBLIC_TILE_NAME || 'Internal',
+  url: process.env.NEXT_PUBLIC_TILE_URL,
+  attribution: process.env.NEXT_PUBLIC_TILE_ATTRIBUTION || OSM_ATTRIBUTION,
+  maxZoom: Number(process.env.NEXT_PUBLIC_TILE_MAX_ZOOM) || 19,
+  crossOrigin: process.env.NEXT_PUBLIC_TILE_CORS !== 'false', // set to false if the server sends no CORS headers
+}] : [];
+
+export const LAYER_CONFIG = {
+  BASE_LAYERS: [
+    { key: 'street', name: 'Street', url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', attribution: OSM_ATTRIBUTION, maxZoom: 19, crossOrigin: true },
+    { key: 'light', name: 'Light', url: 'https://{s}.basemaps.cartocdn.com/light_all/{z}/{x}/{y}{r}.png', attribution: CARTO_ATTRIBUTION, subdomains: 'abcd', maxZoom: 20, crossOrigin: true },
+    { key: 'dark', name: 'Dark', url: 'https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png', attribution: CARTO_ATTRIBUTION, subdomains: 'abcd', maxZoom: 20, crossOrigin: true },
+    ...CUSTOM_TILE_LAYER,
+  ],
+  DEFAULT_BASE_LAYER: process.env.NEXT_PUBLIC_DEFAULT_BASE_LAYER || (CUSTOM_TILE_LAYER.length ? 'custom' : 'street'),
+  COVERAGE_GAP_OPTIONS_KM: [2, 5, 10, 20],
+  DEFAULT_COVERAGE_GAP_KM: 5,
+  HEATMAP_RADIUS_PX: 25,
+  HEATMAP_BLUR_PX: 15,
+  HEATMAP_POINT_OPACITY: 0.15, // how much one outlet adds to the density
+  STORAGE_KEY: 'mcd-outlets:map-layers'
+};
+
+// User Location ("Near me")
+export const LOCATION_CONFIG = {
+  DEFAULT_RADIUS_KM: 5,
+  RADIUS_OPTIONS_KM: [1, 2, 5, 10, 20],
+  GEOLOCATION_TIMEOUT_MS: 10000,
+  GEOLOCATION_MAX_AGE_MS: 60 * 1000, // accept a cached fix this recent
+  LOCATED_ZOOM: 13
+};
+
+// Route Planning
+export const ROUTE_CONFIG = {
+  MAX_STOPS: 25,
+  GOOGLE_MAPS_MAX_WAYPOINTS: 9, // stops between origin and destination in one directions link
+  LINE_COLOR: '#2563eb',
+  STORAGE_KEY: 'mcd-outlets:route-stops'
+};
+
+// File Import
+export const IMPORT_CONFIG = {
+  DUPLICATE_RADIUS_M: 50, // rows this close to another outlet are flagged as duplicates
+  MAX_FILE_SIZE_MB: 10,
+  PREVIEW_ROWS: 200 // rows listed per tab in the import preview
+};
+
+// Outlet Detail Page
+export const DETAIL_CONFIG = {
+  NEARBY_COUNT: 5, // closest outlets listed on an outlet's page
+  MAP_ZOOM: 13,
+  // Public address of the site, e.g. https://outlets.example.com, for canonical and share links.
+  // Without it those tags are left out rather than built from request headers.
+  SITE_URL: (process.env.SITE_URL || '').replace(/\/+$/, ''),
+  DATASET_CACHE_TTL_MS: 60 * 1000 // outlets shared between page renders, as long as the page's s-maxage
+};
+
+// Data Quality Page
+export const DATA_QUALITY_CONFIG = {
+  COUNTRY_NAME: 'Malaysia',
+  COUNTRY_BOUNDS: [[0.85, 99.6], [7.4, 119.3]], // [[south, west], [north, east]], Peninsular Malaysia to Sabah
+  DUPLICATE_DISTANCE_M: 50 // outlets closer than this are probably the same place
+};
+
+// Offline Support (PWA)
+export const OFFLINE_CONFIG = {
+  SERVICE_WORKER_URL: '/sw.js', // tile cache limits live in public/sw.js
+  DB_NAME: 'mcd-outlets' // IndexedDB database holding the last outlet dataset
+};
+
+// AI Search Configuration
+export const AI_CONFIG = {
+  STORAGE_KEY: 'mcd-outlets:ai-conversations',
+  MAX_HISTORY_MESSAGES: 10, // earlier turns sent with each question
+  MAX_STORED_CONVERSATIONS: 20,
+};
+
 // UI Configuration
 export const UI_CONFIG = {
   LOADING_SPINNER_SIZE: 'h-12 w-12',
+  OUTLET_ROW_HEIGHT: 140, // px, fixed height of a virtualized outlet list row
+  ANALYSIS_TOP_OUTLETS: 10, // rows in the "most cannibalized" ranking
+  FILTER_URL_DEBOUNCE_MS: 300,
   DEFAULT_PAGINATION: {
     PAGE: 1,
     PER_PAGE: 50
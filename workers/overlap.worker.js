@@ -0,0 +1,12 @@
+import { findIntersectingOutlets } from '../lib/geo';
+
+// Computes catchment overlap pairs off the main thread
+self.onmessage = ({ data }) => {
+  const { requestId, outlets, catchmentRadiusKm } = data;
+  try {
+    const pairs = findIntersectingOutlets(outlets, catchmentRadiusKm);
+    self.postMessage({ requestId, pairs });
+  } catch (e) {
+    self.postMessage({ requestId, error: e.message });
+  }
+};